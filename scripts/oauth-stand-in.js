@@ -0,0 +1,163 @@
+/**
+ * Local OAuth stand-in for testing Google sign-in without Google
+ * Implements just enough of Google's OAuth endpoints for the extension:
+ * authorization code + PKCE (auto-approved), refresh tokens, userinfo and
+ * revoke. Access tokens expire quickly so silent renewal can be watched.
+ *
+ * Usage:
+ *   node scripts/oauth-stand-in.js [port] [expiresInSeconds]
+ *
+ * Then, in the service worker console of the extension:
+ *   chrome.storage.local.set({ oauthConfig: {
+ *     authUrl: 'http://127.0.0.1:8765/auth',
+ *     tokenUrl: 'http://127.0.0.1:8765/token',
+ *     revokeUrl: 'http://127.0.0.1:8765/revoke',
+ *     userinfoUrl: 'http://127.0.0.1:8765/userinfo',
+ *     desktopClientId: 'stand-in', // own client: code + PKCE like real clients
+ *   } })
+ * Remove `oauthConfig` to go back to Google. Drive requests still go to
+ * Google, so only sign-in and token renewal can be tested this way.
+ */
+
+import http from 'node:http';
+import { createHash, randomBytes } from 'node:crypto';
+
+const port = Number(process.argv[2]) || 8765;
+const expiresIn = Number(process.argv[3]) || 120;
+
+const codes = new Map();         // code -> { challenge, redirectUri, clientId }
+const refreshTokens = new Set();
+const accessTokens = new Map();  // token -> expiresAt
+
+/**
+ * Random URL-safe token
+ * @param {string} prefix
+ * @returns {string}
+ */
+function token(prefix) {
+  return `${prefix}-${randomBytes(16).toString('base64url')}`;
+}
+
+/**
+ * Issue a new access token
+ * @returns {{access_token: string, expires_in: number, token_type: string, scope: string}}
+ */
+function issueAccessToken() {
+  const accessToken = token('access');
+  accessTokens.set(accessToken, Date.now() + expiresIn * 1000);
+  return { access_token: accessToken, expires_in: expiresIn, token_type: 'Bearer', scope: 'openid email profile' };
+}
+
+/**
+ * Send a JSON response with CORS headers
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {object} body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Read a form-encoded request body
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<URLSearchParams>}
+ */
+async function readForm(req) {
+  let body = '';
+  for await (const chunk of req) body += chunk;
+  return new URLSearchParams(body);
+}
+
+const handlers = {
+  // Auto-approve and redirect back with a code
+  'GET /auth': (req, res, url) => {
+    const params = url.searchParams;
+    if (params.get('response_type') !== 'code' || params.get('code_challenge_method') !== 'S256') {
+      return sendJson(res, 400, { error: 'unsupported_response_type' });
+    }
+    if (!params.get('redirect_uri')) return sendJson(res, 400, { error: 'invalid_request' });
+    const code = token('code');
+    codes.set(code, {
+      challenge: params.get('code_challenge'),
+      redirectUri: params.get('redirect_uri'),
+      clientId: params.get('client_id'),
+    });
+    const redirect = new URL(params.get('redirect_uri'));
+    redirect.searchParams.set('code', code);
+    redirect.searchParams.set('state', params.get('state'));
+    res.writeHead(302, { Location: redirect.href });
+    res.end();
+  },
+
+  'POST /token': async (req, res) => {
+    const form = await readForm(req);
+    const grant = form.get('grant_type');
+
+    if (grant === 'authorization_code') {
+      const pending = codes.get(form.get('code'));
+      codes.delete(form.get('code'));
+      const challenge = createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+      if (!pending || pending.challenge !== challenge || pending.redirectUri !== form.get('redirect_uri')
+        || pending.clientId !== form.get('client_id')) {
+        return sendJson(res, 400, { error: 'invalid_grant', error_description: 'Bad code, verifier or redirect URI' });
+      }
+      const refreshToken = token('refresh');
+      refreshTokens.add(refreshToken);
+      console.log('[stand-in] Signed in');
+      return sendJson(res, 200, { ...issueAccessToken(), refresh_token: refreshToken });
+    }
+
+    if (grant === 'refresh_token') {
+      if (!refreshTokens.has(form.get('refresh_token'))) {
+        return sendJson(res, 400, { error: 'invalid_grant', error_description: 'Token has been expired or revoked.' });
+      }
+      console.log('[stand-in] Access token renewed');
+      return sendJson(res, 200, issueAccessToken());
+    }
+
+    sendJson(res, 400, { error: 'unsupported_grant_type' });
+  },
+
+  'GET /userinfo': (req, res) => {
+    const bearer = (req.headers.authorization || '').replace(/^Bearer /, '');
+    if (!(accessTokens.get(bearer) > Date.now())) {
+      return sendJson(res, 401, { error: 'invalid_token' });
+    }
+    sendJson(res, 200, { id: '1', name: 'Stand-in User', email: 'stand-in@example.com', picture: null });
+  },
+
+  'POST /revoke': async (req, res) => {
+    const revoked = (await readForm(req)).get('token');
+    refreshTokens.delete(revoked);
+    accessTokens.delete(revoked);
+    console.log('[stand-in] Revoked');
+    sendJson(res, 200, {});
+  },
+};
+
+http.createServer(async (req, res) => {
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+      'Access-Control-Allow-Methods': 'GET, POST',
+    });
+    return res.end();
+  }
+
+  // A malformed request gets a 400 instead of taking the stand-in down
+  try {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const handler = handlers[`${req.method} ${url.pathname}`];
+    if (!handler) return sendJson(res, 404, { error: 'not_found' });
+    await handler(req, res, url);
+  } catch (error) {
+    console.log('[stand-in] Bad request:', error.message);
+    if (!res.headersSent) sendJson(res, 400, { error: 'invalid_request' });
+    else res.end();
+  }
+}).listen(port, '127.0.0.1', () => {
+  console.log(`OAuth stand-in on http://127.0.0.1:${port} (access tokens expire after ${expiresIn}s)`);
+});
@@ -1,8 +1,102 @@
 /**
  * Azkura Auth — Service Worker (Manifest V3)
- * Handles: auto-lock alarm, badge updates, QR scan message relay
+ * Handles: auto-lock alarm, badge updates, QR scan message relay,
+ * scheduled Drive backups, Drive vault sync, local folder backups
  */
 
+import {
+  BACKUP_ALARM,
+  BACKUP_CHANGE_ALARM,
+  BACKUP_QUEUE_ALARM,
+  getScheduledBackupSettings,
+  scheduleBackupAlarm,
+  scheduleBackupAfterChange,
+  runScheduledBackup,
+  flushBackupQueue,
+} from '../core/scheduled-backup.js';
+import {
+  SYNC_ALARM,
+  SYNC_CHANGE_ALARM,
+  getDriveSyncSettings,
+  scheduleSyncAlarm,
+  scheduleSyncAfterChange,
+  runDriveSync,
+} from '../core/drive-sync.js';
+import {
+  LOCAL_BACKUP_ALARM,
+  LOCAL_BACKUP_CHANGE_ALARM,
+  getLocalBackupSettings,
+  scheduleLocalBackupAlarm,
+  scheduleLocalBackupAfterChange,
+  runLocalFolderBackup,
+} from '../core/local-folder-backup.js';
+
+let backupInProgress = false;
+let syncInProgress = null;
+
+/**
+ * Check whether a change to the linked Google accounts added one
+ * @param {chrome.storage.StorageChange} change
+ * @returns {boolean}
+ */
+function hasNewAccount({ oldValue, newValue }) {
+  const before = new Set((oldValue || []).map(a => a.id));
+  return (newValue || []).some(a => !before.has(a.id));
+}
+
+/**
+ * Run a scheduled backup (or upload queued ones) unless one is already running
+ * @param {boolean} [queueOnly=false] - Only retry backups queued while offline
+ */
+async function runBackupOnce(queueOnly = false) {
+  if (backupInProgress) return;
+  backupInProgress = true;
+  try {
+    // Send older queued backups first, so retention sees them in order
+    await flushBackupQueue();
+    if (!queueOnly) await runScheduledBackup();
+  } catch (error) {
+    console.error('[Azkura] Scheduled backup error:', error);
+  } finally {
+    backupInProgress = false;
+  }
+}
+
+/**
+ * Run a Drive sync, or wait for the one already running
+ * @returns {Promise<object>} Sync result
+ */
+function runSyncOnce() {
+  if (!syncInProgress) {
+    syncInProgress = runDriveSync()
+      .catch((error) => {
+        console.error('[Azkura] Drive sync error:', error);
+        return { success: false, error: error.message };
+      })
+      .finally(() => {
+        syncInProgress = null;
+      });
+  }
+  return syncInProgress;
+}
+
+/**
+ * Make sure the periodic backup and sync alarms match the saved settings
+ */
+async function restoreBackupAlarm() {
+  const settings = await getScheduledBackupSettings();
+  await scheduleBackupAlarm(settings.frequency);
+
+  const sync = await getDriveSyncSettings();
+  await scheduleSyncAlarm(sync.enabled);
+
+  const local = await getLocalBackupSettings();
+  await scheduleLocalBackupAlarm(local.frequency);
+
+  // Retry backups that were queued while offline
+  await runBackupOnce(true);
+}
+
 // ─── On Install ─────────────────────────────────────────────────────────────
 chrome.runtime.onInstalled.addListener(async (details) => {
   if (details.reason === 'install') {
@@ -10,8 +104,11 @@ chrome.runtime.onInstalled.addListener(async (details) => {
   } else if (details.reason === 'update') {
     console.log('[Azkura] Extension updated to', chrome.runtime.getManifest().version);
   }
+  await restoreBackupAlarm();
 });
 
+chrome.runtime.onStartup.addListener(restoreBackupAlarm);
+
 // ─── Alarm listener ─────────────────────────────────────────────────────────
 chrome.alarms.onAlarm.addListener(async (alarm) => {
   if (alarm.name === 'auto-lock') {
@@ -23,10 +120,61 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
     chrome.action.setBadgeText({ text: '🔒' });
     chrome.action.setBadgeBackgroundColor({ color: '#333333' });
   }
+
+  if (alarm.name === BACKUP_ALARM || alarm.name === BACKUP_CHANGE_ALARM) {
+    await runBackupOnce();
+  }
+
+  if (alarm.name === BACKUP_QUEUE_ALARM) {
+    await runBackupOnce(true);
+  }
+
+  if (alarm.name === SYNC_ALARM || alarm.name === SYNC_CHANGE_ALARM) {
+    await runSyncOnce();
+  }
+
+  if (alarm.name === LOCAL_BACKUP_ALARM || alarm.name === LOCAL_BACKUP_CHANGE_ALARM) {
+    await runLocalFolderBackup().catch(error => console.error('[Azkura] Folder backup error:', error));
+  }
+});
+
+// ─── Storage changes (backup/sync on change, retry pending runs) ────────────
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  // Vault or folders edited
+  if ((areaName === 'local' && changes.vault) || (areaName === 'sync' && changes.folders)) {
+    await scheduleBackupAfterChange();
+    await scheduleSyncAfterChange();
+    await scheduleLocalBackupAfterChange();
+  }
+
+  // Unlocked or signed in again: run a backup that came due meanwhile
+  // (token renewals and profile updates don't count, only a newly linked account)
+  const unlocked = areaName === 'session' && changes.vaultKey?.newValue;
+  const signedIn = areaName === 'local' && changes.googleAccounts && hasNewAccount(changes.googleAccounts);
+  if (unlocked || signedIn) {
+    const settings = await getScheduledBackupSettings();
+    await runBackupOnce(!settings.pending);
+
+    // Pick up changes made on other devices while this one was locked
+    const sync = await getDriveSyncSettings();
+    if (sync.enabled) await runSyncOnce();
+  }
+
+  // Folder backup that came due while locked
+  if (unlocked) {
+    const local = await getLocalBackupSettings();
+    if (local.pending) await runLocalFolderBackup().catch(error => console.error('[Azkura] Folder backup error:', error));
+  }
 });
 
 // ─── Message relay (QR Scanner → Popup) ─────────────────────────────────────
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type === 'RUN_DRIVE_SYNC') {
+    // Popup "Sync now": share the service worker's run so syncs never overlap
+    runSyncOnce().then(sendResponse);
+    return true; // Keep channel open for async response
+  }
+
   if (message.type === 'QR_SCANNED') {
     // Forward to popup if it's open
     chrome.runtime.sendMessage(message).catch(() => {
@@ -45,6 +193,9 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   return false; // synchronous response
 });
 
+// Back online: upload backups queued meanwhile
+self.addEventListener('online', () => runBackupOnce(true));
+
 // ─── Handle mobile click (desktop uses popup) ────────────────────────────────
 // Note: This only fires if default_popup is NOT set in manifest
 // We keep it for potential future use or if popup is disabled
@@ -3,19 +3,43 @@
  * CRUD operations + export/import with encryption
  */
 
-import { encrypt, decrypt, getDefaultKey } from './crypto.js';
+import {
+  encrypt,
+  decrypt,
+  getDefaultKey,
+  getLegacyDefaultKey,
+  clearDefaultKeyCache,
+  generateDataKey,
+  encryptWithKey,
+  decryptWithKey,
+  wrapDataKey,
+  unwrapDataKey,
+  toBase64,
+  fromBase64,
+  usesCurrentKdf,
+} from './crypto.js';
 export { getDefaultKey };
 import {
   getLocalItem,
   setLocalItem,
+  setLocalItems,
+  getSessionItem,
+  setSessionItem,
+  removeSessionItem,
   getSessionAccounts,
   setSessionAccounts,
   clearLocal,
   clearSession,
   getFolders,
   saveFolders,
+  recordDeletions,
+  getPinAttempts,
+  registerPinAttempt,
+  clearPinAttempts,
+  recordPinWipe,
 } from './storage.js';
 import { resetStats } from './stats.js';
+import { exportToFormat } from './exporters.js';
 
 /**
  * Generate a unique ID
@@ -37,38 +61,260 @@ export function getServiceMeta(issuer) {
 }
 
 // ─── Vault operations ────────────────────────────────────────────────────────
+//
+// Vault format (version 2, envelope encryption):
+// {
+//   version: 2,
+//   keys: { pin?: WrappedKey, device?: WrappedKey },  // data key wrapped by PIN or default key
+//   data: { iv, ciphertext },                         // accounts encrypted with the data key
+// }
+// Enabling, disabling or changing the PIN only re-wraps the data key.
+// Version 1 vaults (accounts encrypted directly with the password) are
+// migrated on the next successful unlock.
+// Vaults wrapped with the legacy userAgent/screen default key are re-wrapped
+// with the random device secret on the next successful unlock.
+
+const VAULT_VERSION = 2;
+const SESSION_KEY_DATA_KEY = 'vaultKey';
 
 /**
- * Load and decrypt vault, store in session
+ * Get the unwrapped data key of the unlocked vault
+ * @returns {Promise<Uint8Array|null>}
+ */
+async function getSessionDataKey() {
+  const b64 = await getSessionItem(SESSION_KEY_DATA_KEY);
+  return b64 ? fromBase64(b64) : null;
+}
+
+/**
+ * Keep the unwrapped data key in session storage while unlocked
+ * @param {Uint8Array} dataKey
+ */
+async function setSessionDataKey(dataKey) {
+  await setSessionItem(SESSION_KEY_DATA_KEY, toBase64(dataKey));
+}
+
+/**
+ * Wrap the data key for a single unlock method
+ * @param {Uint8Array} dataKey
+ * @param {string|null} pin - PIN, or null for the device (default) key
+ * @returns {Promise<object>} keys object for the vault
+ */
+async function wrapKeysFor(dataKey, pin) {
+  if (pin) {
+    return { pin: await wrapDataKey(dataKey, pin) };
+  }
+  return { device: await wrapDataKey(dataKey, null) };
+}
+
+/**
+ * Run a decrypt operation with the device key, falling back to the legacy
+ * userAgent/screen-derived key for vaults created before the device secret
+ * @param {(password: string|null) => Promise<T>} operation
+ * @returns {Promise<{result: T, usedLegacyKey: boolean}>}
+ * @template T
+ */
+async function withDeviceKey(operation) {
+  try {
+    return { result: await operation(null), usedLegacyKey: false };
+  } catch (error) {
+    try {
+      const legacyKey = await getLegacyDefaultKey();
+      return { result: await operation(legacyKey), usedLegacyKey: true };
+    } catch {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Migrate a version 1 vault to envelope encryption
+ * @param {object} vault - Legacy {salt, iv, ciphertext} bundle
  * @param {string} password
  * @returns {Promise<Array>} accounts
  */
+async function migrateLegacyVault(vault, password) {
+  // throws if wrong password
+  const plaintext = password
+    ? await decrypt(vault, password)
+    : (await withDeviceKey((key) => decrypt(vault, key))).result;
+  const accounts = JSON.parse(plaintext);
+  await setSessionAccounts(accounts);
+  await removeSessionItem(SESSION_KEY_DATA_KEY);
+  await saveVault(password); // creates a fresh data key wrapped for this password
+  return accounts;
+}
+
+/**
+ * Load and decrypt vault, store in session
+ * @param {string} password - PIN, or null to unlock with the device key
+ * @returns {Promise<Array>} accounts
+ */
 export async function unlockVault(password) {
   const vault = await getLocalItem('vault');
 
   if (!vault) {
-    // First time unlock with no accounts
+    // First time unlock with no accounts - create an empty vault for this unlock method
     await setSessionAccounts([]);
+    await removeSessionItem(SESSION_KEY_DATA_KEY);
+    await saveVault(password);
     return [];
   }
 
-  const plaintext = await decrypt(vault, password); // throws if wrong password
-  const accounts = JSON.parse(plaintext);
+  if (!vault.keys) {
+    return migrateLegacyVault(vault, password);
+  }
+
+  const wrapped = password ? vault.keys.pin : vault.keys.device;
+  if (!wrapped) {
+    throw new Error(password ? 'Vault is not PIN protected' : 'Vault is PIN protected');
+  }
+
+  // throws if wrong password
+  let dataKey;
+  let usedLegacyKey = false;
+  if (password) {
+    dataKey = await unwrapDataKey(wrapped, password);
+  } else {
+    ({ result: dataKey, usedLegacyKey } = await withDeviceKey((key) => unwrapDataKey(wrapped, key)));
+  }
+
+  const accounts = JSON.parse(await decryptWithKey(vault.data, dataKey));
+  await setSessionDataKey(dataKey);
   await setSessionAccounts(accounts);
+
+  // Move off the userAgent/screen-derived key onto the stable device secret,
+  // and onto the current KDF parameters (only the key wrap needs redoing)
+  if (usedLegacyKey || !(await usesCurrentKdf(wrapped, password))) {
+    await setLocalItem('vault', {
+      ...vault,
+      keys: { ...vault.keys, ...(await wrapKeysFor(dataKey, password)) },
+    });
+  }
+
+  // Older versions kept a separate, cheaper PIN hash; the wrapped key is the verifier now
+  const pinData = await getLocalItem('pinData');
+  if (pinData?.hash) {
+    await setLocalItem('pinData', { type: pinData.type || 'pin' });
+  }
+
   return accounts;
 }
 
+/**
+ * Check a PIN or passphrase without unlocking the vault
+ * There is no separate PIN hash: the secret is right when it unwraps the vault key.
+ * @param {string} secret
+ * @returns {Promise<boolean>}
+ */
+export async function verifyUnlockSecret(secret) {
+  const vault = await getLocalItem('vault');
+  try {
+    if (vault?.keys?.pin) {
+      await unwrapDataKey(vault.keys.pin, secret);
+    } else if (vault && !vault.keys) {
+      await decrypt(vault, secret);
+    } else {
+      return false;
+    }
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Erase the vault after too many failed PINs, keeping a record of it
+ * @param {number} failures
+ */
+async function wipeAfterFailedPins(failures) {
+  await wipeAllData();
+  await recordPinWipe(failures);
+}
+
+/**
+ * Unlock the vault from the lock screen, limiting failed PIN attempts
+ * @param {string} pin
+ * @returns {Promise<{success: boolean, accounts?: Array, previousFailures?: number, lockedUntil?: number|null,
+ *   attemptsLeft?: number|null, wiped?: boolean}>} previousFailures: failed tries since the last unlock
+ */
+export async function unlockWithPin(pin) {
+  const before = await getPinAttempts();
+  // The last allowed attempt may have been counted without finishing
+  if (before.wipeAfter && before.failures >= before.wipeAfter) {
+    await wipeAfterFailedPins(before.failures);
+    return { success: false, wiped: true };
+  }
+  if (before.lockedUntil) {
+    return { success: false, lockedUntil: before.lockedUntil, attemptsLeft: before.attemptsLeft };
+  }
+
+  const after = await registerPinAttempt();
+  let accounts;
+  try {
+    // Unwrapping the vault key is what checks the PIN
+    accounts = await unlockVault(pin);
+  } catch {
+    if (after.wipeAfter && after.failures >= after.wipeAfter) {
+      await wipeAfterFailedPins(after.failures);
+      return { success: false, wiped: true };
+    }
+    return { success: false, lockedUntil: after.lockedUntil, attemptsLeft: after.attemptsLeft };
+  }
+
+  await clearPinAttempts();
+  return { success: true, accounts, previousFailures: before.failures };
+}
+
 /**
  * Save current session accounts to encrypted local vault
- * @param {string} password
+ * @param {string} password - Only used when the vault has no data key yet
  */
 export async function saveVault(password) {
   const accounts = await getSessionAccounts();
   if (!accounts) return;
 
-  const plaintext = JSON.stringify(accounts);
-  const encrypted = await encrypt(plaintext, password);
-  await setLocalItem('vault', encrypted);
+  const vault = await getLocalItem('vault');
+  let dataKey = await getSessionDataKey();
+  let keys = vault && vault.keys;
+
+  if (!dataKey || !keys) {
+    // New (or migrating) vault: generate a data key for the current unlock method
+    dataKey = generateDataKey();
+    keys = await wrapKeysFor(dataKey, password);
+    await setSessionDataKey(dataKey);
+  }
+
+  const data = await encryptWithKey(JSON.stringify(accounts), dataKey);
+  await setLocalItem('vault', { version: VAULT_VERSION, keys, data });
+}
+
+/**
+ * Re-wrap the vault data key when PIN is enabled, disabled or changed
+ * The vault keys and PIN verifier are written together in one storage write,
+ * so an interrupted change never leaves a vault nobody can unlock.
+ * @param {string|null} pin - New PIN, or null to unlock with the device key
+ * @param {{type: 'pin'|'passphrase'}|null} pinData - PIN settings (null when disabling)
+ */
+export async function rewrapVaultKey(pin, pinData) {
+  let dataKey = await getSessionDataKey();
+  if (!dataKey) {
+    // Vault not yet in envelope format - persist it first
+    await saveVault(pin);
+    dataKey = await getSessionDataKey();
+  }
+  if (!dataKey) {
+    throw new Error('Vault is locked');
+  }
+
+  const accounts = await getAccounts();
+  const keys = await wrapKeysFor(dataKey, pin);
+  const data = await encryptWithKey(JSON.stringify(accounts), dataKey);
+
+  await setLocalItems({
+    vault: { version: VAULT_VERSION, keys, data },
+    pinData: pinData || null,
+  });
 }
 
 /**
@@ -78,6 +324,41 @@ export async function lockVault() {
   await clearSession();
 }
 
+// ─── Sealed settings ─────────────────────────────────────────────────────────
+//
+// Secrets that background jobs use on their own (backup and sync
+// passphrases, the WebDAV password) are sealed with the vault data key
+// rather than stored in the clear. They can only be opened while the vault is
+// unlocked, so those jobs only run then: a run that comes due while locked is
+// marked pending and retried after unlock. A reset or restored vault has a new
+// data key, after which the secrets have to be entered again.
+
+/**
+ * Seal a secret setting with the vault data key
+ * @param {string} secret
+ * @param {string} action - What the secret is for, completing "Unlock the vault to …"
+ * @returns {Promise<object>} Sealed bundle to store in the settings
+ * @throws {Error} While the vault is locked
+ */
+export async function sealSetting(secret, action) {
+  const dataKey = await getSessionDataKey();
+  if (!dataKey) {
+    throw new Error(`Unlock the vault to ${action}`);
+  }
+  return encryptWithKey(secret, dataKey);
+}
+
+/**
+ * Open a secret sealed with sealSetting()
+ * @param {object} sealed
+ * @returns {Promise<string|null>} The secret, or null while locked
+ * @throws {Error} If it was sealed under another vault data key
+ */
+export async function openSetting(sealed) {
+  const dataKey = await getSessionDataKey();
+  return dataKey ? decryptWithKey(sealed, dataKey) : null;
+}
+
 // ─── Account CRUD ────────────────────────────────────────────────────────────
 
 /**
@@ -106,9 +387,20 @@ export async function addAccount(accountData, password) {
     algorithm: accountData.algorithm || 'SHA1',
     digits: accountData.digits || 6,
     period: accountData.period || 30,
+    type: ['hotp', 'steam'].includes(accountData.type) ? accountData.type : 'totp',
     createdAt: Date.now(),
   };
 
+  // Steam Guard codes are always 5 characters
+  if (account.type === 'steam') {
+    account.digits = 5;
+  }
+
+  // HOTP accounts track the moving counter instead of a time period
+  if (account.type === 'hotp') {
+    account.counter = Math.max(0, parseInt(accountData.counter, 10) || 0);
+  }
+
   accounts.push(account);
   await setSessionAccounts(accounts);
   await saveVault(password);
@@ -143,6 +435,21 @@ export async function updateAccount(id, updates, password) {
   return accounts[index];
 }
 
+/**
+ * Advance the counter of an HOTP account and persist it
+ * @param {string} id
+ * @param {string} password
+ * @returns {Promise<object>} Updated account
+ */
+export async function incrementHotpCounter(id, password) {
+  const accounts = await getAccounts();
+  const account = accounts.find(a => a.id === id);
+  if (!account) throw new Error('Account not found');
+  if (account.type !== 'hotp') throw new Error('Account is not counter-based');
+
+  return updateAccount(id, { counter: (account.counter || 0) + 1 }, password);
+}
+
 /**
  * Delete an account by ID
  * @param {string} id
@@ -153,6 +460,7 @@ export async function deleteAccount(id, password) {
   const filtered = accounts.filter(a => a.id !== id);
   await setSessionAccounts(filtered);
   await saveVault(password);
+  await recordDeletions('accounts', [id]);
 }
 
 /**
@@ -186,23 +494,42 @@ export async function searchAccounts(query) {
 // ─── Export / Import ─────────────────────────────────────────────────────────
 
 /**
- * Export accounts as encrypted JSON backup
- * @param {string} exportPassword - Password for the backup file (can differ from vault password)
- * @returns {Promise<string>} JSON string for download
+ * Build an encrypted backup document
+ * Used by file exports and every backup provider, so any backup can be
+ * restored anywhere. Only the counts stay readable.
+ * @param {Array<object>} accounts
+ * @param {Array<object>} folders
+ * @param {string} backupPassword - Backup passphrase (can differ from vault password)
+ * @returns {Promise<object>}
  */
-export async function exportBackup(exportPassword) {
-  const accounts = await getAccounts();
-  const plaintext = JSON.stringify(accounts);
-  const encrypted = await encrypt(plaintext, exportPassword);
-
-  const backup = {
+export async function createBackupDocument(accounts, folders, backupPassword) {
+  const encrypted = await encrypt(JSON.stringify({ accounts, folders }), backupPassword);
+  return {
     app: 'azkura-auth',
-    version: '1.0.0',
+    version: chrome.runtime.getManifest().version,
     exportedAt: new Date().toISOString(),
     accountCount: accounts.length,
+    folderCount: folders.length,
     encrypted,
   };
+}
 
+/**
+ * Check that a parsed document is an Azkura backup
+ * @param {object} backup
+ * @returns {boolean} True for encrypted backups and legacy plaintext ones
+ */
+export function isBackupDocument(backup) {
+  return !!backup && backup.app === 'azkura-auth' && (!!backup.encrypted || Array.isArray(backup.accounts));
+}
+
+/**
+ * Export accounts and folders as encrypted JSON backup
+ * @param {string} exportPassword - Password for the backup file (can differ from vault password)
+ * @returns {Promise<string>} JSON string for download
+ */
+export async function exportBackup(exportPassword) {
+  const backup = await createBackupDocument(await getAccounts(), await getFolders(), exportPassword);
   return JSON.stringify(backup, null, 2);
 }
 
@@ -228,152 +555,325 @@ export async function exportPlainBackup() {
 }
 
 /**
- * Import accounts from encrypted JSON backup
- * @param {string} jsonString - Content of backup file
- * @param {string} importPassword - Password used when exporting
- * @param {string} vaultPassword - Current vault password to re-encrypt
- * @returns {Promise<{imported: number, total: number}>}
+ * Export the vault in another authenticator app's format (see exporters.js)
+ * @param {string} formatId - Exporter id, e.g. 'aegis' or 'keepassxc'
+ * @param {string} [password] - Encrypt the export, if the format supports it
+ * @returns {Promise<{content: string, mimeType: string, extension: string}>}
  */
-export async function importBackup(jsonString, importPassword, vaultPassword) {
-  let backup;
-  try {
-    backup = JSON.parse(jsonString);
-  } catch {
-    throw new Error('Invalid backup file: not valid JSON');
-  }
-
-  if (backup.app !== 'azkura-auth') {
-    throw new Error('Invalid backup file: not an Azkura Auth backup');
-  }
+export async function exportAccountsAs(formatId, password = null) {
+  const accounts = await getAccounts();
+  const folders = await getFolders();
+  return exportToFormat(formatId, accounts, folders, password);
+}
 
-  const plaintext = await decrypt(backup.encrypted, importPassword);
-  const importedAccounts = JSON.parse(plaintext);
+// ─── Import review ───────────────────────────────────────────────────────────
+// Every import and restore is turned into a plan first. The plan lists new,
+// identical and conflicting accounts plus folders; the user adjusts each
+// item's action before applyImportPlan() writes anything to the vault.
 
-  if (!Array.isArray(importedAccounts)) {
-    throw new Error('Invalid backup: corrupted account data');
-  }
+/**
+ * @typedef {object} ImportPlanItem
+ * @property {'new'|'identical'|'conflict'} status
+ * @property {object} incoming - Account from the import (folderId already remapped)
+ * @property {object|null} existing - Matching vault account, if any
+ * @property {'add'|'skip'|'replace'|'keep-both'} action
+ */
 
-  const existing = await getAccounts();
-  const existingIds = new Set(existing.map(a => a.secret + a.account));
+/**
+ * @typedef {object} ImportPlan
+ * @property {ImportPlanItem[]} items
+ * @property {Array<{folder: object, status: 'new'|'existing', include: boolean}>} folders
+ */
 
-  // Add accounts that don't already exist (by secret + account combo)
-  const newAccounts = importedAccounts.filter(a =>
-    !existingIds.has(a.secret + a.account)
-  );
+// Allowed actions per status; the first one is the default
+export const IMPORT_ACTIONS = {
+  new: ['add', 'skip'],
+  identical: ['skip', 'add'],
+  conflict: ['replace', 'keep-both', 'skip'],
+};
 
-  const merged = [...existing, ...newAccounts.map(a => ({
-    ...a,
-    id: generateId(), // new ID to avoid collisions
-  }))];
+/**
+ * Normalize a secret for comparison
+ * @param {string} secret
+ * @returns {string}
+ */
+function normalizeSecret(secret) {
+  return String(secret || '').replace(/\s/g, '').toUpperCase();
+}
 
-  await setSessionAccounts(merged);
-  await saveVault(vaultPassword);
+/**
+ * Key identifying the login an account belongs to (issuer + account name)
+ * @param {object} account
+ * @returns {string}
+ */
+function loginKey(account) {
+  return `${(account.issuer || '').trim().toLowerCase()}\n${(account.account || '').trim().toLowerCase()}`;
+}
 
-  return { imported: newAccounts.length, total: merged.length };
+/**
+ * List the fields in which two accounts for the same login differ
+ * @param {object} a
+ * @param {object} b
+ * @returns {string[]} Field names, empty when both generate the same codes
+ */
+export function diffAccounts(a, b) {
+  const fields = [];
+  if (normalizeSecret(a.secret) !== normalizeSecret(b.secret)) fields.push('secret');
+  if ((a.issuer || '') !== (b.issuer || '')) fields.push('issuer');
+  if ((a.type || 'totp') !== (b.type || 'totp')) fields.push('type');
+  if ((a.algorithm || 'SHA1') !== (b.algorithm || 'SHA1')) fields.push('algorithm');
+  if ((a.digits || 6) !== (b.digits || 6)) fields.push('digits');
+  if ((a.type || 'totp') !== 'hotp' && (a.period || 30) !== (b.period || 30)) fields.push('period');
+  return fields;
 }
 
 /**
- * Import accounts from plain JSON backup (no encryption)
- * @param {string} jsonString - Content of backup file
- * @param {string} vaultPassword - Current vault password to encrypt
- * @returns {Promise<{imported: number, total: number, foldersImported: number}>}
+ * Compare incoming accounts and folders with the vault
+ * Folders match by id, then by name. Accounts match on secret + account name
+ * (identical, or conflicting if other settings changed) and otherwise on
+ * issuer + account name, which catches rotated secrets.
+ * @param {{accounts: Array<object>, folders?: Array<object>|null}} payload
+ * @returns {Promise<ImportPlan>}
  */
-export async function importPlainBackup(jsonString, vaultPassword) {
-  let backup;
-  try {
-    backup = JSON.parse(jsonString);
-  } catch {
-    throw new Error('Invalid backup file: not valid JSON');
+export async function buildImportPlan({ accounts: incomingAccounts, folders: incomingFolders }) {
+  const existing = await getAccounts();
+  const existingFolders = await getFolders();
+
+  const folderIdMap = new Map();
+  const folders = [];
+  for (const folder of incomingFolders || []) {
+    const match = existingFolders.find(f => f.id === folder.id)
+      || existingFolders.find(f => f.name.toLowerCase() === (folder.name || '').toLowerCase());
+    if (match) {
+      folderIdMap.set(folder.id, match.id);
+      if (!folders.some(f => f.folder.id === match.id)) {
+        folders.push({ folder: match, status: 'existing', include: true });
+      }
+    } else {
+      folderIdMap.set(folder.id, folder.id);
+      folders.push({ folder, status: 'new', include: true });
+    }
   }
 
-  if (backup.app !== 'azkura-auth') {
-    throw new Error('Invalid backup file: not an Azkura Auth backup');
-  }
+  const resolveFolderId = (folderId) => {
+    if (!folderId) return undefined;
+    if (folderIdMap.has(folderId)) return folderIdMap.get(folderId);
+    return existingFolders.some(f => f.id === folderId) ? folderId : undefined;
+  };
 
-  if (!backup.accounts || !Array.isArray(backup.accounts)) {
-    throw new Error('Invalid backup: no accounts data found');
-  }
+  const items = [];
+  const seen = new Set();
+  for (const raw of incomingAccounts || []) {
+    if (!raw || !raw.secret) continue;
 
-  const importedAccounts = backup.accounts;
-  const existing = await getAccounts();
-  const existingIds = new Set(existing.map(a => a.secret + a.account));
+    const incoming = { ...raw, secret: normalizeSecret(raw.secret), folderId: resolveFolderId(raw.folderId) };
+    delete incoming.id;
 
-  // Add accounts that don't already exist (by secret + account combo)
-  const newAccounts = importedAccounts.filter(a =>
-    !existingIds.has(a.secret + a.account)
-  );
+    // Drop duplicates within the import itself
+    const selfKey = incoming.secret + (incoming.account || '');
+    if (seen.has(selfKey)) continue;
+    seen.add(selfKey);
 
-  const merged = [...existing, ...newAccounts.map(a => ({
-    ...a,
-    id: generateId(), // new ID to avoid collisions
-  }))];
+    const match = existing.find(a => normalizeSecret(a.secret) === incoming.secret && (a.account || '') === (incoming.account || ''))
+      || existing.find(a => loginKey(a) === loginKey(incoming));
 
-  await setSessionAccounts(merged);
-  await saveVault(vaultPassword);
+    let status = 'new';
+    if (match) status = diffAccounts(match, incoming).length === 0 ? 'identical' : 'conflict';
+
+    items.push({ status, incoming, existing: match || null, action: IMPORT_ACTIONS[status][0] });
+  }
+
+  return { items, folders };
+}
 
-  // Import folders if present in backup
-  let foldersImported = 0;
-  if (backup.folders && Array.isArray(backup.folders)) {
-    const existingFolders = await getFolders();
-    const existingFolderIds = new Set(existingFolders.map(f => f.id));
-    
-    // Add folders that don't already exist
-    for (const folder of backup.folders) {
-      if (!existingFolderIds.has(folder.id)) {
-        existingFolders.push(folder);
-        foldersImported++;
+/**
+ * Write an import plan to the vault
+ * In merge mode each item's action is applied. Replace mode makes the vault
+ * exactly the imported accounts and included folders.
+ * @param {ImportPlan} plan
+ * @param {string} vaultPassword - Current vault password to re-encrypt
+ * @param {object} [options]
+ * @param {boolean} [options.replaceVault=false] - Replace the whole vault instead of merging
+ * @returns {Promise<{imported: number, replaced: number, total: number, foldersImported: number}>}
+ */
+export async function applyImportPlan(plan, vaultPassword, { replaceVault = false } = {}) {
+  const existingFolders = await getFolders();
+  const includedFolders = plan.folders.filter(f => f.include);
+  const newFolders = includedFolders.filter(f => f.status === 'new').map(f => f.folder);
+
+  const folders = replaceVault ? includedFolders.map(f => f.folder) : [...existingFolders, ...newFolders];
+  const validFolderIds = new Set(folders.map(f => f.id));
+
+  const withFolder = (account) => ({
+    ...account,
+    folderId: validFolderIds.has(account.folderId) ? account.folderId : undefined,
+  });
+  const asNewAccount = (account) => ({
+    ...withFolder(account),
+    id: generateId(), // new ID to avoid collisions
+    createdAt: account.createdAt || Date.now(),
+  });
+
+  let accounts;
+  let imported = 0;
+  let replaced = 0;
+
+  if (replaceVault) {
+    accounts = plan.items.map(item => asNewAccount(item.incoming));
+    imported = accounts.length;
+
+    // Let Drive sync remove the replaced accounts and folders on other devices too
+    await recordDeletions('accounts', (await getAccounts()).map(a => a.id));
+    await recordDeletions('folders', existingFolders.filter(f => !validFolderIds.has(f.id)).map(f => f.id));
+  } else {
+    accounts = await getAccounts();
+    for (const item of plan.items) {
+      if (item.action === 'add' || item.action === 'keep-both') {
+        accounts.push(asNewAccount(item.incoming));
+        imported++;
+      } else if (item.action === 'replace' && item.existing) {
+        const index = accounts.findIndex(a => a.id === item.existing.id);
+        if (index === -1) continue;
+        const incoming = withFolder(item.incoming);
+        accounts[index] = {
+          ...incoming,
+          id: item.existing.id,
+          createdAt: item.existing.createdAt,
+          updatedAt: Date.now(),
+          folderId: incoming.folderId || item.existing.folderId,
+        };
+        replaced++;
       }
     }
-    await saveFolders(existingFolders);
   }
 
-  return { imported: newAccounts.length, total: merged.length, foldersImported };
+  await saveFolders(folders);
+  await setSessionAccounts(accounts);
+  await saveVault(vaultPassword);
+
+  return { imported, replaced, total: accounts.length, foldersImported: newFolders.length };
 }
 
 /**
- * Restore accounts from Google Drive backup (no password needed)
- * @param {Array} accountsData - Accounts array from Drive backup
- * @param {string} vaultPassword - Current vault password to encrypt
- * @param {Array} [foldersData] - Optional folders array from Drive backup
- * @returns {Promise<{imported: number, total: number, foldersImported: number}>}
+ * Turn another app's parsed export (see importers.js) into an import payload
+ * Group names become folder candidates; buildImportPlan() matches them to
+ * existing folders by name.
+ * @param {{accounts: Array<object>, groups: string[]}} parsed
+ * @returns {{accounts: Array<object>, folders: Array<object>}}
+ */
+export function externalImportToPayload(parsed) {
+  const folderIds = new Map();
+  const folders = (parsed.groups || []).map((name, index) => {
+    const folder = { id: `folder_${Date.now()}_${index}`, name, color: '#00E5FF' };
+    folderIds.set(name.toLowerCase(), folder.id);
+    return folder;
+  });
+
+  const accounts = parsed.accounts.map(({ group, source, ...account }) => ({
+    ...account,
+    folderId: group ? folderIds.get(group.toLowerCase()) : undefined,
+  }));
+
+  return { accounts, folders };
+}
+
+/**
+ * Open an Azkura backup document and return its accounts and folders
+ * Encrypted backups need the backup passphrase; legacy plaintext backups
+ * (accounts stored directly in the document) are returned as-is.
+ * @param {object} backup - Parsed backup document (file export or Drive)
+ * @param {string|null} backupPassword - Backup passphrase
+ * @returns {Promise<{accounts: Array, folders: Array|null}>}
  */
-export async function restoreFromDriveBackup(accountsData, vaultPassword, foldersData = null) {
-  if (!Array.isArray(accountsData)) {
-    throw new Error('Invalid backup: accounts data is not an array');
+export async function openBackup(backup, backupPassword) {
+  if (!isBackupDocument(backup)) {
+    throw new Error('Invalid backup: not an Azkura Auth backup');
   }
 
-  const existing = await getAccounts();
-  const existingIds = new Set(existing.map(a => a.secret + a.account));
+  let payload;
+  if (!backup.encrypted) {
+    payload = { accounts: backup.accounts, folders: backup.folders || null };
+  } else {
+    if (!backupPassword) {
+      throw new Error('This backup is encrypted. Backup passphrase required.');
+    }
 
-  // Add accounts that don't already exist (by secret + account combo)
-  const newAccounts = accountsData.filter(a =>
-    !existingIds.has(a.secret + a.account)
-  );
+    let decrypted;
+    try {
+      decrypted = JSON.parse(await decrypt(backup.encrypted, backupPassword));
+    } catch {
+      throw new Error('Incorrect backup passphrase or corrupted backup');
+    }
 
-  const merged = [...existing, ...newAccounts.map(a => ({
-    ...a,
-    id: generateId(), // new ID to avoid collisions
-  }))];
+    // Older encrypted exports stored only the accounts array
+    payload = Array.isArray(decrypted)
+      ? { accounts: decrypted, folders: null }
+      : { accounts: decrypted?.accounts, folders: decrypted?.folders || null };
+  }
 
-  await setSessionAccounts(merged);
-  await saveVault(vaultPassword);
+  if (!Array.isArray(payload.accounts)) {
+    throw new Error('Invalid backup: no accounts data found');
+  }
+  return payload;
+}
 
-  // Import folders if present in backup
-  let foldersImported = 0;
-  if (foldersData && Array.isArray(foldersData)) {
-    const existingFolders = await getFolders();
-    const existingFolderIds = new Set(existingFolders.map(f => f.id));
-    
-    for (const folder of foldersData) {
-      if (!existingFolderIds.has(folder.id)) {
-        existingFolders.push(folder);
-        foldersImported++;
-      }
-    }
-    await saveFolders(existingFolders);
+/**
+ * Parse a backup file and open it (see openBackup)
+ * @param {string} jsonString - Content of backup file
+ * @param {string|null} [importPassword] - Password used when exporting, for encrypted backups
+ * @returns {Promise<{accounts: Array, folders: Array|null}>}
+ */
+export async function openBackupFile(jsonString, importPassword = null) {
+  let backup;
+  try {
+    backup = JSON.parse(jsonString);
+  } catch {
+    throw new Error('Invalid backup file: not valid JSON');
   }
 
-  return { imported: newAccounts.length, total: merged.length, foldersImported };
+  if (backup.app !== 'azkura-auth') {
+    throw new Error('Invalid backup file: not an Azkura Auth backup');
+  }
+
+  return openBackup(backup, importPassword);
+}
+
+/**
+ * Import accounts (and folders, if present) from encrypted JSON backup
+ * Merges with the default review choices; the UI reviews the plan instead.
+ * @param {string} jsonString - Content of backup file
+ * @param {string} importPassword - Password used when exporting
+ * @param {string} vaultPassword - Current vault password to re-encrypt
+ * @returns {Promise<{imported: number, replaced: number, total: number, foldersImported: number}>}
+ */
+export async function importBackup(jsonString, importPassword, vaultPassword) {
+  const payload = await openBackupFile(jsonString, importPassword);
+  return applyImportPlan(await buildImportPlan(payload), vaultPassword);
+}
+
+/**
+ * Import accounts from plain JSON backup (no encryption)
+ * Merges with the default review choices; the UI reviews the plan instead.
+ * @param {string} jsonString - Content of backup file
+ * @param {string} vaultPassword - Current vault password to encrypt
+ * @returns {Promise<{imported: number, replaced: number, total: number, foldersImported: number}>}
+ */
+export async function importPlainBackup(jsonString, vaultPassword) {
+  const payload = await openBackupFile(jsonString);
+  return applyImportPlan(await buildImportPlan(payload), vaultPassword);
+}
+
+/**
+ * Restore accounts from Google Drive backup
+ * Merges with the default review choices; the UI reviews the plan instead.
+ * @param {object} backup - Backup document downloaded from Drive
+ * @param {string|null} backupPassword - Backup passphrase (ignored for legacy plaintext backups)
+ * @param {string} vaultPassword - Current vault password to encrypt
+ * @returns {Promise<{imported: number, replaced: number, total: number, foldersImported: number}>}
+ */
+export async function restoreFromDriveBackup(backup, backupPassword, vaultPassword) {
+  const payload = await openBackup(backup, backupPassword);
+  return applyImportPlan(await buildImportPlan(payload), vaultPassword);
 }
 
 /**
@@ -381,6 +881,7 @@ export async function restoreFromDriveBackup(accountsData, vaultPassword, folder
  * @param {string} password
  */
 export async function deleteAllAccounts(password) {
+  await recordDeletions('accounts', (await getAccounts()).map(a => a.id));
   await setSessionAccounts([]);
   await saveVault(password);
 }
@@ -391,5 +892,6 @@ export async function deleteAllAccounts(password) {
 export async function wipeAllData() {
   await clearLocal();
   await clearSession();
+  clearDefaultKeyCache(); // device secret was removed with local storage
   await resetStats();
 }
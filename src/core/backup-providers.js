@@ -0,0 +1,74 @@
+/**
+ * Backup providers for Azkura Auth
+ * Every remote backup destination implements the same interface, so the
+ * backup button and restore modal work the same for all of them. All
+ * providers store the document built by createBackupDocument().
+ */
+
+import { getLocalItem, setLocalItem } from './storage.js';
+import { googleDriveProvider } from './google-drive.js';
+import { webdavProvider } from './webdav.js';
+
+const STORAGE_KEY_PROVIDER = 'backupProvider';
+const DEFAULT_PROVIDER = 'google-drive';
+
+/**
+ * @typedef {object} BackupFile
+ * @property {string} id - Provider-specific file ID
+ * @property {string} name
+ * @property {string} createdTime - ISO timestamp
+ * @property {string} [size] - Size in bytes
+ * @property {object} appProperties - Backup metadata ({} when the provider has none)
+ */
+
+/**
+ * @typedef {object} BackupProvider
+ * @property {string} id - Stable ID saved in settings
+ * @property {string} name - Shown to the user
+ * @property {{filters: boolean}} features - filters: list() supports deviceName/kind
+ * @property {() => Promise<boolean>} isReady - Signed in / configured
+ * @property {(accounts: Array<object>, passphrase: string, options?: object) => Promise<{success: boolean, fileId?: string, fileName?: string, error?: string}>} upload
+ * @property {(options?: {pageSize?: number, pageToken?: string|null, deviceName?: string, kind?: string}) => Promise<{success: boolean, files?: BackupFile[], nextPageToken?: string|null, error?: string}>} list
+ * @property {(fileId: string) => Promise<{success: boolean, data?: object, encrypted?: boolean, error?: string}>} download
+ * @property {(fileId: string) => Promise<{success: boolean, error?: string}>} delete
+ */
+
+const PROVIDERS = [googleDriveProvider, webdavProvider];
+
+/**
+ * Get all backup providers
+ * @returns {BackupProvider[]}
+ */
+export function getBackupProviders() {
+  return PROVIDERS;
+}
+
+/**
+ * Get a backup provider by ID
+ * @param {string} id
+ * @returns {BackupProvider|null}
+ */
+export function getBackupProvider(id) {
+  return PROVIDERS.find(p => p.id === id) || null;
+}
+
+/**
+ * Get the provider chosen in settings
+ * @returns {Promise<BackupProvider>}
+ */
+export async function getActiveBackupProvider() {
+  const id = await getLocalItem(STORAGE_KEY_PROVIDER);
+  return getBackupProvider(id) || getBackupProvider(DEFAULT_PROVIDER);
+}
+
+/**
+ * Choose the provider used by the settings backup/restore buttons
+ * @param {string} id
+ * @throws {Error} If the provider doesn't exist
+ */
+export async function setActiveBackupProvider(id) {
+  if (!getBackupProvider(id)) {
+    throw new Error(`Unknown backup provider: ${id}`);
+  }
+  await setLocalItem(STORAGE_KEY_PROVIDER, id);
+}
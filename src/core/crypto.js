@@ -1,17 +1,23 @@
 /**
  * Cryptographic utilities for Azkura Auth
- * AES-256-GCM encryption + PBKDF2 key derivation
+ * AES-256-GCM encryption + PBKDF2 or Argon2id key derivation
  * 
  * Supports:
  * - PIN-based encryption (high security)
  * - Default key encryption (convenience, PIN optional)
+ * - Envelope encryption: random vault data key wrapped by PIN or default key
+ * - Versioned key derivation: every bundle records its KDF and parameters
  */
 
+import { argon2id } from 'hash-wasm';
+import { getLocalItem, setLocalItem } from './storage.js';
+
 const enc = new TextEncoder();
 const dec = new TextDecoder();
 
-// Default encryption key for PIN-less mode (derived from extension info)
+// Default encryption key for PIN-less mode (random per-install device secret)
 // Note: This provides obfuscation, not strong security. User should enable PIN for sensitive data.
+const DEVICE_SECRET_KEY = 'deviceSecret';
 let cachedDefaultKey = null;
 
 /**
@@ -29,7 +35,12 @@ export function randomBytes(length) {
  * @returns {string}
  */
 export function toBase64(bytes) {
-  return btoa(String.fromCharCode(...bytes));
+  // Convert in chunks: spreading a large vault into one call overflows the stack
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
 }
 
 /**
@@ -41,13 +52,105 @@ export function fromBase64(b64) {
   return Uint8Array.from(atob(b64), c => c.charCodeAt(0));
 }
 
+// ─── Key derivation ──────────────────────────────────────────────────────────
+//
+// Password-encrypted bundles (version 2) store the KDF they were made with,
+// so parameters can be raised without breaking existing vaults and backups.
+// Version 1 bundles have no `kdf` and used PBKDF2 with 310k iterations.
+
+const KDF_PREFERENCE_KEY = 'kdfAlgorithm';
+
+const LEGACY_KDF = { name: 'PBKDF2', hash: 'SHA-256', iterations: 310_000 };
+
+/**
+ * @typedef {{name: 'PBKDF2', hash: string, iterations: number}
+ *   | {name: 'argon2id', memoryKiB: number, iterations: number, parallelism: number}} KdfParams
+ */
+
+/** @type {Object<string, KdfParams>} */
+export const KDF_PRESETS = {
+  pbkdf2: { name: 'PBKDF2', hash: 'SHA-256', iterations: 600_000 },
+  // WebAssembly build (needs 'wasm-unsafe-eval' in the CSP); single-threaded, so parallelism 1
+  argon2id: { name: 'argon2id', memoryKiB: 65_536, iterations: 3, parallelism: 1 },
+};
+
+// Upper bounds for parameters read from a bundle, so a crafted backup file
+// can't make the KDF run for minutes or exhaust memory (256 MiB for Argon2id)
+const KDF_LIMITS = { pbkdf2Iterations: 2_000_000, argon2MemoryKiB: 262_144, argon2Iterations: 10, argon2Parallelism: 4 };
+
+/**
+ * Get the KDF chosen for new PIN, passphrase and backup encryption
+ * @returns {Promise<'pbkdf2'|'argon2id'>}
+ */
+export async function getKdfAlgorithm() {
+  const saved = await getLocalItem(KDF_PREFERENCE_KEY);
+  return KDF_PRESETS[saved] ? saved : 'pbkdf2';
+}
+
+/**
+ * Choose the KDF for new encryption; existing bundles are upgraded when next opened
+ * @param {'pbkdf2'|'argon2id'} algorithm
+ * @throws {Error} If the algorithm is unknown
+ */
+export async function setKdfAlgorithm(algorithm) {
+  if (!KDF_PRESETS[algorithm]) {
+    throw new Error(`Unknown key derivation: ${algorithm}`);
+  }
+  await setLocalItem(KDF_PREFERENCE_KEY, algorithm);
+}
+
+/**
+ * KDF parameters new bundles get
+ * The device secret is already random, so stretching it only costs time:
+ * bundles for it always use PBKDF2.
+ * @param {string|null} password - null for the default key
+ * @returns {Promise<KdfParams>}
+ */
+async function getTargetKdf(password) {
+  return password ? KDF_PRESETS[await getKdfAlgorithm()] : KDF_PRESETS.pbkdf2;
+}
+
 /**
- * Derive AES-256-GCM key from password using PBKDF2
+ * Check whether a bundle was encrypted with the current KDF parameters
+ * @param {{kdf?: KdfParams}} bundle - Bundle from encrypt() or wrapDataKey()
+ * @param {string|null} password - null for the default key
+ * @returns {Promise<boolean>} false when it should be re-encrypted
+ */
+export async function usesCurrentKdf(bundle, password) {
+  const current = bundle.kdf || LEGACY_KDF;
+  const target = await getTargetKdf(password);
+  return Object.keys({ ...current, ...target }).every(key => current[key] === target[key]);
+}
+
+/**
+ * Derive AES-256-GCM key from password
  * @param {string} password
  * @param {Uint8Array} salt
+ * @param {KdfParams} kdf
  * @returns {Promise<CryptoKey>}
+ * @throws {Error} If the KDF is unknown or its parameters are out of range
  */
-async function deriveKey(password, salt) {
+async function deriveKey(password, salt, kdf) {
+  if (kdf.name === 'argon2id') {
+    if (!(kdf.memoryKiB <= KDF_LIMITS.argon2MemoryKiB && kdf.iterations <= KDF_LIMITS.argon2Iterations
+      && kdf.parallelism <= KDF_LIMITS.argon2Parallelism)) {
+      throw new Error('Unsupported key derivation parameters');
+    }
+    const keyBytes = await argon2id({
+      password: enc.encode(password),
+      salt,
+      memorySize: kdf.memoryKiB,
+      iterations: kdf.iterations,
+      parallelism: kdf.parallelism,
+      hashLength: 32,
+      outputType: 'binary',
+    });
+    return importDataKey(keyBytes);
+  }
+
+  if (kdf.name !== 'PBKDF2' || !(kdf.iterations <= KDF_LIMITS.pbkdf2Iterations)) {
+    throw new Error('Unsupported key derivation parameters');
+  }
   const baseKey = await crypto.subtle.importKey(
     'raw',
     enc.encode(password),
@@ -59,8 +162,8 @@ async function deriveKey(password, salt) {
     {
       name: 'PBKDF2',
       salt,
-      iterations: 310_000,
-      hash: 'SHA-256',
+      iterations: kdf.iterations,
+      hash: kdf.hash,
     },
     baseKey,
     { name: 'AES-GCM', length: 256 },
@@ -71,7 +174,8 @@ async function deriveKey(password, salt) {
 
 /**
  * Get or generate default encryption key for PIN-less mode
- * This provides basic obfuscation when user chooses not to use PIN
+ * A random device secret is generated once and kept in extension storage,
+ * so browser updates or display changes never change the key.
  * @returns {Promise<string>} - Default encryption key
  */
 export async function getDefaultKey() {
@@ -79,8 +183,39 @@ export async function getDefaultKey() {
     return cachedDefaultKey;
   }
 
+  let secret = await getLocalItem(DEVICE_SECRET_KEY);
+  if (!secret) {
+    secret = toBase64(randomBytes(32));
+    await setLocalItem(DEVICE_SECRET_KEY, secret);
+  }
+
+  cachedDefaultKey = secret;
+  return cachedDefaultKey;
+}
+
+/**
+ * Derive a raw AES key from the device secret for one purpose
+ * Keeps data that must stay readable while the vault is locked (e.g. the
+ * Google tokens) encrypted at rest, without reusing the vault's default key.
+ * @param {string} purpose - Domain separation label
+ * @returns {Promise<Uint8Array>} 32-byte key for encryptWithKey()
+ */
+export async function deriveDeviceKey(purpose) {
+  const secret = fromBase64(await getDefaultKey());
+  const label = enc.encode(`azkura:${purpose}`);
+  const material = new Uint8Array(secret.length + label.length);
+  material.set(secret);
+  material.set(label, secret.length);
+  return new Uint8Array(await crypto.subtle.digest('SHA-256', material));
+}
+
+/**
+ * Legacy default key derived from userAgent + screen size
+ * Only used as a recovery path for vaults created before the device secret.
+ * @returns {Promise<string>}
+ */
+export async function getLegacyDefaultKey() {
   // Create a deterministic key based on extension info and browser properties
-  // This is NOT cryptographically secure but provides basic obfuscation
   const extensionId = chrome.runtime.id || 'azkura-auth';
   const browserInfo = navigator.userAgent || 'unknown';
   const screenInfo = `${screen.width}x${screen.height}`;
@@ -89,14 +224,12 @@ export async function getDefaultKey() {
   const keyMaterial = `${extensionId}:${browserInfo}:${screenInfo}:azkura-default-key-v1`;
   
   // Hash it to get a consistent key
-  const encoder = new TextEncoder();
-  const data = encoder.encode(keyMaterial);
+  const data = enc.encode(keyMaterial);
   const hashBuffer = await crypto.subtle.digest('SHA-256', data);
   const hashArray = Array.from(new Uint8Array(hashBuffer));
   
   // Convert to base64 string for use as password
-  cachedDefaultKey = btoa(String.fromCharCode(...hashArray));
-  return cachedDefaultKey;
+  return btoa(String.fromCharCode(...hashArray));
 }
 
 /**
@@ -110,15 +243,16 @@ export function clearDefaultKeyCache() {
  * Encrypt plaintext string with a password
  * @param {string} plaintext
  * @param {string} password - If null/empty, uses default key
- * @returns {Promise<{salt: string, iv: string, ciphertext: string, version: number}>}
+ * @returns {Promise<{salt: string, iv: string, ciphertext: string, version: number, kdf: KdfParams}>}
  */
 export async function encrypt(plaintext, password) {
   // Use default key if no password provided
   const effectivePassword = password || await getDefaultKey();
   
+  const kdf = await getTargetKdf(password || null);
   const salt = randomBytes(16);
   const iv = randomBytes(12);
-  const key = await deriveKey(effectivePassword, salt);
+  const key = await deriveKey(effectivePassword, salt, kdf);
 
   const ciphertext = await crypto.subtle.encrypt(
     { name: 'AES-GCM', iv },
@@ -130,13 +264,14 @@ export async function encrypt(plaintext, password) {
     salt: toBase64(salt),
     iv: toBase64(iv),
     ciphertext: toBase64(new Uint8Array(ciphertext)),
-    version: 1,
+    version: 2,
+    kdf,
   };
 }
 
 /**
  * Decrypt an encrypted bundle with a password
- * @param {{salt: string, iv: string, ciphertext: string}} bundle
+ * @param {{salt: string, iv: string, ciphertext: string, kdf?: KdfParams}} bundle
  * @param {string} password - If null/empty, uses default key
  * @returns {Promise<string>} - Decrypted plaintext
  * @throws {Error} If password is wrong or data is corrupted
@@ -148,7 +283,7 @@ export async function decrypt(bundle, password) {
   const salt = fromBase64(bundle.salt);
   const iv = fromBase64(bundle.iv);
   const ciphertext = fromBase64(bundle.ciphertext);
-  const key = await deriveKey(effectivePassword, salt);
+  const key = await deriveKey(effectivePassword, salt, bundle.kdf || LEGACY_KDF);
 
   try {
     const plaintext = await crypto.subtle.decrypt(
@@ -162,57 +297,83 @@ export async function decrypt(bundle, password) {
   }
 }
 
+// ─── Vault data key (envelope encryption) ──────────────────────────────────
+
 /**
- * Hash a PIN/password for verification (separate from vault key derivation)
- * Uses PBKDF2 with different salt to create a verification hash
- * @param {string} pin
- * @param {Uint8Array} salt
- * @returns {Promise<string>} Base64-encoded hash
+ * Generate a random 256-bit vault data key
+ * @returns {Uint8Array}
  */
-export async function hashPin(pin, salt) {
-  const baseKey = await crypto.subtle.importKey(
-    'raw',
-    enc.encode(pin),
-    'PBKDF2',
-    false,
-    ['deriveBits']
-  );
-  const bits = await crypto.subtle.deriveBits(
-    {
-      name: 'PBKDF2',
-      salt,
-      iterations: 100_000,
-      hash: 'SHA-256',
-    },
-    baseKey,
-    256
-  );
-  return toBase64(new Uint8Array(bits));
+export function generateDataKey() {
+  return randomBytes(32);
 }
 
 /**
- * Verify a PIN against stored hash + salt
- * @param {string} pin
- * @param {string} storedHash - Base64
- * @param {string} storedSalt - Base64
- * @returns {Promise<boolean>}
+ * Import raw data key bytes as an AES-GCM CryptoKey
+ * @param {Uint8Array} keyBytes
+ * @returns {Promise<CryptoKey>}
  */
-export async function verifyPin(pin, storedHash, storedSalt) {
-  const salt = fromBase64(storedSalt);
-  const hash = await hashPin(pin, salt);
-  return hash === storedHash;
+function importDataKey(keyBytes) {
+  return crypto.subtle.importKey('raw', keyBytes, 'AES-GCM', false, ['encrypt', 'decrypt']);
 }
 
 /**
- * Setup PIN: generate salt and hash
- * @param {string} pin
- * @returns {Promise<{hash: string, salt: string}>}
+ * Encrypt plaintext directly with a raw data key (no key derivation)
+ * @param {string} plaintext
+ * @param {Uint8Array} keyBytes
+ * @returns {Promise<{iv: string, ciphertext: string}>}
  */
-export async function setupPin(pin) {
-  const salt = randomBytes(16);
-  const hash = await hashPin(pin, salt);
+export async function encryptWithKey(plaintext, keyBytes) {
+  const iv = randomBytes(12);
+  const key = await importDataKey(keyBytes);
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    enc.encode(plaintext)
+  );
   return {
-    hash,
-    salt: toBase64(salt),
+    iv: toBase64(iv),
+    ciphertext: toBase64(new Uint8Array(ciphertext)),
   };
 }
+
+/**
+ * Decrypt a bundle produced by encryptWithKey
+ * @param {{iv: string, ciphertext: string}} bundle
+ * @param {Uint8Array} keyBytes
+ * @returns {Promise<string>}
+ * @throws {Error} If the key is wrong or data is corrupted
+ */
+export async function decryptWithKey(bundle, keyBytes) {
+  const key = await importDataKey(keyBytes);
+  try {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(bundle.iv) },
+      key,
+      fromBase64(bundle.ciphertext)
+    );
+    return dec.decode(plaintext);
+  } catch {
+    throw new Error('Vault data is corrupted');
+  }
+}
+
+/**
+ * Wrap (encrypt) a data key with a password-derived key
+ * @param {Uint8Array} keyBytes
+ * @param {string} password - If null/empty, uses default key
+ * @returns {Promise<{salt: string, iv: string, ciphertext: string, version: number, kdf: KdfParams}>}
+ */
+export async function wrapDataKey(keyBytes, password) {
+  return encrypt(toBase64(keyBytes), password);
+}
+
+/**
+ * Unwrap a data key wrapped by wrapDataKey
+ * @param {{salt: string, iv: string, ciphertext: string}} wrapped
+ * @param {string} password - If null/empty, uses default key
+ * @returns {Promise<Uint8Array>}
+ * @throws {Error} If password is wrong
+ */
+export async function unwrapDataKey(wrapped, password) {
+  return fromBase64(await decrypt(wrapped, password));
+}
@@ -0,0 +1,615 @@
+/**
+ * Two-way vault sync through Google Drive for Azkura Auth
+ * All devices share one canonical sync file in Drive, encrypted with a sync
+ * passphrase. Each sync downloads it, merges it with the local vault per
+ * account and folder, and writes back whichever side changed.
+ *
+ * Merge rules (per id, using updatedAt, falling back to createdAt):
+ * - Changed on one side since the last sync: that side wins.
+ * - Changed on both sides with different codes/settings: a conflict. The
+ *   local copy stays in the vault, the Drive copy stays in Drive, and the
+ *   user decides (see resolveSyncConflicts). Nothing is overwritten.
+ * - Deletions are tombstones; a deletion wins over older edits, an edit made
+ *   after the deletion brings the item back.
+ *
+ * The passphrase is a sealed setting (see accounts.js), so sync only runs
+ * while the vault is unlocked. Sync stays with the Google account it was
+ * turned on with, whichever account is active later.
+ */
+
+import {
+  getLocalItem,
+  setLocalItem,
+  getSessionItem,
+  setSessionItem,
+  getSessionAccounts,
+  setSessionAccounts,
+  getFolders,
+  saveFolders,
+  getTombstones,
+  saveTombstones,
+} from './storage.js';
+import { encrypt, decrypt, usesCurrentKdf } from './crypto.js';
+import { saveVault, sealSetting, openSetting, diffAccounts } from './accounts.js';
+import { findFileInDrive, downloadSyncFileFromDrive, saveSyncFileToDrive } from './google-drive.js';
+import { getAuthToken, getActiveAccountId } from './google-auth.js';
+
+const DRIVE_SYNC_KEY = 'driveSync';
+const SESSION_CONFLICTS_KEY = 'syncConflicts';
+
+export const SYNC_FILE_NAME = 'azkura-sync-vault.json';
+export const SYNC_ALARM = 'drive-sync';
+export const SYNC_CHANGE_ALARM = 'drive-sync-change';
+
+const SYNC_FORMAT_VERSION = 1;
+const SYNC_PERIOD_MINUTES = 15;       // Pull changes made on other devices
+const CHANGE_DEBOUNCE_MINUTES = 0.5;  // Push local edits soon, but batched
+const MAX_MERGE_ATTEMPTS = 3;         // Re-merges when another device writes meanwhile
+
+// Resolution choices for a conflict
+export const SYNC_CONFLICT_CHOICES = ['local', 'remote', 'both'];
+
+// ─── Settings ────────────────────────────────────────────────────────────────
+
+/**
+ * Get Drive sync settings and status for this device
+ * @returns {Promise<{enabled: boolean, accountId: string|null, passphrase: object|null, fileId: string|null,
+ *   lastSyncAt: number|null, lastError: string|null, lastErrorAt: number|null, pending: boolean,
+ *   conflictIds: string[]}>}
+ */
+export async function getDriveSyncSettings() {
+  const defaults = {
+    enabled: false,
+    accountId: null, // Google account holding the sync file (null: active account)
+    passphrase: null, // sealSetting() bundle
+    fileId: null,
+    lastSyncAt: null,
+    lastError: null,
+    lastErrorAt: null,
+    pending: false,
+    conflictIds: [], // unresolved conflicts, kept until the user decides
+  };
+  const saved = await getLocalItem(DRIVE_SYNC_KEY);
+  return { ...defaults, ...saved };
+}
+
+/**
+ * Update Drive sync settings
+ * @param {object} updates
+ * @returns {Promise<object>} Updated settings
+ */
+async function saveDriveSyncSettings(updates) {
+  const settings = { ...(await getDriveSyncSettings()), ...updates };
+  await setLocalItem(DRIVE_SYNC_KEY, settings);
+  return settings;
+}
+
+/**
+ * Create or clear the periodic sync alarm
+ * @param {boolean} enabled
+ */
+export async function scheduleSyncAlarm(enabled) {
+  if (!enabled) {
+    await chrome.alarms.clear(SYNC_ALARM);
+    await chrome.alarms.clear(SYNC_CHANGE_ALARM);
+    return;
+  }
+  const existing = await chrome.alarms.get(SYNC_ALARM);
+  if (existing) return;
+  chrome.alarms.create(SYNC_ALARM, { delayInMinutes: SYNC_PERIOD_MINUTES, periodInMinutes: SYNC_PERIOD_MINUTES });
+}
+
+/**
+ * Turn on Drive sync and run the first sync
+ * If the sync file already exists (another device set it up), the passphrase
+ * must open it.
+ * @param {string} passphrase - Sync passphrase shared by all devices
+ * @param {string|null} [accountId] - Google account to sync through (default: active)
+ * @returns {Promise<SyncResult>}
+ * @throws {Error} If the vault is locked or the passphrase doesn't match
+ */
+export async function enableDriveSync(passphrase, accountId = null) {
+  const sealed = await sealSetting(passphrase, 'enable sync');
+
+  const current = await getDriveSyncSettings();
+  const account = accountId || (await getActiveAccountId());
+  // A cached sync file of another account can't be used
+  const settings = { ...current, accountId: account, fileId: current.accountId === account ? current.fileId : null };
+
+  const result = await syncWithPassphrase(passphrase, settings, { initial: true });
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  await saveDriveSyncSettings({ enabled: true, accountId: account, passphrase: sealed, pending: false });
+  await scheduleSyncAlarm(true);
+  return result;
+}
+
+/**
+ * Turn off Drive sync on this device (the sync file stays in Drive)
+ */
+export async function disableDriveSync() {
+  await saveDriveSyncSettings({
+    enabled: false,
+    accountId: null,
+    passphrase: null,
+    fileId: null,
+    lastSyncAt: null,
+    pending: false,
+    conflictIds: [],
+  });
+  await setSessionItem(SESSION_CONFLICTS_KEY, []);
+  await scheduleSyncAlarm(false);
+}
+
+/**
+ * Queue a sync shortly after the vault or folders changed
+ */
+export async function scheduleSyncAfterChange() {
+  const settings = await getDriveSyncSettings();
+  if (!settings.enabled) return;
+  // Re-creating the alarm restarts the delay, so a burst of edits makes one sync
+  chrome.alarms.create(SYNC_CHANGE_ALARM, { delayInMinutes: CHANGE_DEBOUNCE_MINUTES });
+}
+
+// ─── Merge ───────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {object} SyncSnapshot
+ * @property {Array<object>} accounts
+ * @property {Array<object>} folders
+ * @property {{accounts: Object<string, number>, folders: Object<string, number>}} tombstones
+ */
+
+/**
+ * @typedef {object} SyncConflict
+ * @property {string} id - Account id (same on both sides)
+ * @property {object} local - Copy in this device's vault
+ * @property {object} remote - Copy in the Drive sync file
+ */
+
+/**
+ * Time an item was last changed
+ * @param {object} item
+ * @returns {number}
+ */
+function changedAt(item) {
+  return item.updatedAt || item.createdAt || 0;
+}
+
+/**
+ * Combine two tombstone maps, keeping the latest deletion time per id
+ * @param {Object<string, number>} a
+ * @param {Object<string, number>} b
+ * @returns {Object<string, number>}
+ */
+function mergeTombstoneMap(a = {}, b = {}) {
+  const merged = { ...a };
+  for (const [id, at] of Object.entries(b)) {
+    merged[id] = Math.max(merged[id] || 0, at);
+  }
+  return merged;
+}
+
+/**
+ * Merge one list of items (accounts or folders) by id
+ * @param {Array<object>} localItems
+ * @param {Array<object>} remoteItems
+ * @param {Object<string, number>} tombstones - Merged tombstones; revived ids are removed from it
+ * @param {(local: object, remote: object) => 'local'|'remote'|'conflict'} pick - Decide between two live copies
+ * @returns {{items: Array<object>, conflicts: Array<{local: object, remote: object}>}}
+ */
+function mergeItems(localItems, remoteItems, tombstones, pick) {
+  const remoteById = new Map(remoteItems.map(item => [item.id, item]));
+  const localIds = new Set(localItems.map(item => item.id));
+  const items = [];
+  const conflicts = [];
+
+  // Keep a deletion unless the item was edited after it
+  const survives = (item) => {
+    const deletedAt = tombstones[item.id];
+    if (deletedAt === undefined) return true;
+    if (changedAt(item) > deletedAt) {
+      delete tombstones[item.id];
+      return true;
+    }
+    return false;
+  };
+
+  // Local order first, then items created on other devices
+  for (const local of localItems) {
+    const remote = remoteById.get(local.id);
+    if (!remote) {
+      if (survives(local)) items.push(local);
+      continue;
+    }
+
+    const choice = pick(local, remote);
+    if (choice === 'conflict') {
+      conflicts.push({ local, remote });
+      items.push(local);
+    } else {
+      const winner = choice === 'remote' ? remote : local;
+      if (survives(winner)) items.push(winner);
+    }
+  }
+
+  for (const remote of remoteItems) {
+    if (!localIds.has(remote.id) && survives(remote)) items.push(remote);
+  }
+
+  return { items, conflicts };
+}
+
+/**
+ * Merge the local vault with the Drive sync file
+ * @param {SyncSnapshot} local
+ * @param {SyncSnapshot} remote
+ * @param {object} state
+ * @param {number|null} state.lastSyncAt - Time of this device's last successful sync
+ * @param {string[]} [state.conflictIds] - Conflicts still waiting for the user
+ * @returns {{merged: SyncSnapshot, conflicts: SyncConflict[]}}
+ */
+export function mergeSyncSnapshots(local, remote, { lastSyncAt, conflictIds = [] }) {
+  const since = lastSyncAt || 0;
+  const openConflicts = new Set(conflictIds);
+
+  const tombstones = {
+    accounts: mergeTombstoneMap(local.tombstones?.accounts, remote.tombstones?.accounts),
+    folders: mergeTombstoneMap(local.tombstones?.folders, remote.tombstones?.folders),
+  };
+
+  const accounts = mergeItems(local.accounts, remote.accounts, tombstones.accounts, (l, r) => {
+    const sameCodes = diffAccounts(l, r).length === 0;
+    const localChanged = changedAt(l) > since;
+    const remoteChanged = changedAt(r) > since;
+
+    if (!sameCodes && (openConflicts.has(l.id) || (localChanged && remoteChanged))) {
+      return 'conflict';
+    }
+    if (localChanged !== remoteChanged) return localChanged ? 'local' : 'remote';
+    // Name or folder edits on both sides: the newer edit wins
+    return changedAt(r) > changedAt(l) ? 'remote' : 'local';
+  });
+
+  // Folders only hold a name and colour, so the newer copy always wins
+  const folders = mergeItems(local.folders, remote.folders, tombstones.folders, (l, r) =>
+    changedAt(r) > changedAt(l) ? 'remote' : 'local'
+  );
+
+  // Accounts pointing at a deleted folder fall back to Uncategorized
+  const folderIds = new Set(folders.items.map(f => f.id));
+  const mergedAccounts = accounts.items.map((account) => {
+    if (!account.folderId || folderIds.has(account.folderId)) return account;
+    const { folderId, ...rest } = account;
+    return rest;
+  });
+
+  return {
+    merged: { accounts: mergedAccounts, folders: folders.items, tombstones },
+    conflicts: accounts.conflicts.map(({ local: l, remote: r }) => ({ id: l.id, local: l, remote: r })),
+  };
+}
+
+/**
+ * Stable JSON of a snapshot part, for change detection
+ * @param {*} value
+ * @returns {string}
+ */
+function fingerprint(value) {
+  return JSON.stringify(value);
+}
+
+/**
+ * Fingerprint of a list of items that ignores their order
+ * Each device keeps its own account order, which is not synced.
+ * @param {Array<object>} items
+ * @returns {string}
+ */
+function fingerprintSet(items) {
+  return fingerprint([...items].sort((a, b) => String(a.id).localeCompare(String(b.id))));
+}
+
+// ─── Sync ────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {object} SyncResult
+ * @property {boolean} success
+ * @property {boolean} [pending] - Vault locked; sync runs after unlock
+ * @property {number} [pulled] - Accounts changed on this device
+ * @property {boolean} [pushed] - Whether the Drive file was updated
+ * @property {number} [conflicts] - Unresolved conflicts
+ * @property {string} [error]
+ */
+
+/**
+ * Record a failed sync; it stays pending so it is retried
+ * @param {string} error
+ * @returns {Promise<SyncResult>}
+ */
+async function recordSyncFailure(error) {
+  console.error('[Drive Sync] Failed:', error);
+  await saveDriveSyncSettings({ pending: true, lastError: error, lastErrorAt: Date.now() });
+  return { success: false, error };
+}
+
+/**
+ * Download and decrypt the sync file
+ * @param {string} passphrase
+ * @param {string|null} cachedFileId
+ * @param {string} accountId - Google account holding the sync file
+ * @returns {Promise<{fileId: string|null, revision: string|null, snapshot: SyncSnapshot|null, outdated: boolean}>}
+ *   revision: Drive revision the snapshot was read from;
+ *   outdated: the file uses old key derivation parameters and should be rewritten
+ * @throws {Error} If Drive is unreachable or the passphrase doesn't open the file
+ */
+async function loadRemoteSnapshot(passphrase, cachedFileId, accountId) {
+  let download = cachedFileId ? await downloadSyncFileFromDrive(cachedFileId, { accountId }) : null;
+
+  if (!download?.success) {
+    // First sync on this device, or the file was replaced from another device
+    const found = await findFileInDrive(SYNC_FILE_NAME, { accountId });
+    if (!found.success) throw new Error(found.error);
+    if (!found.file) return { fileId: null, revision: null, snapshot: null, outdated: false };
+
+    download = await downloadSyncFileFromDrive(found.file.id, { accountId });
+    if (!download.success) throw new Error(download.error);
+    cachedFileId = found.file.id;
+  }
+
+  if ((download.data.formatVersion || 0) > SYNC_FORMAT_VERSION) {
+    throw new Error('The sync vault was written by a newer version of Azkura Auth. Update this device first.');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(await decrypt(download.data.encrypted, passphrase));
+  } catch {
+    throw new Error('Sync passphrase does not match the sync vault in Drive');
+  }
+
+  return {
+    fileId: cachedFileId,
+    revision: download.revision,
+    outdated: !(await usesCurrentKdf(download.data.encrypted, passphrase)),
+    snapshot: {
+      accounts: payload.accounts || [],
+      folders: payload.folders || [],
+      tombstones: payload.tombstones || { accounts: {}, folders: {} },
+    },
+  };
+}
+
+/**
+ * One merge with the Drive copy, writing back both sides as needed
+ * @param {string} passphrase
+ * @param {object} settings - Current sync settings
+ * @param {string} accountId - Google account holding the sync file
+ * @param {boolean} initial - First sync: every differing account is a conflict
+ * @returns {Promise<{pending?: boolean, changedInDrive?: boolean, pulled?: number, pushed?: boolean,
+ *   fileId?: string|null, conflicts?: SyncConflict[]}>}
+ *   changedInDrive: another device wrote the file meanwhile, nothing was uploaded
+ * @throws {Error} If Drive is unreachable or the passphrase doesn't open the file
+ */
+async function mergeWithDrive(passphrase, settings, accountId, initial) {
+  const remote = await loadRemoteSnapshot(passphrase, settings.fileId, accountId);
+
+  // Read the local side only now: edits made in the popup while Drive was
+  // downloading must be part of the merge, or writing it back drops them
+  const localAccounts = await getSessionAccounts();
+  if (!localAccounts) {
+    return { pending: true };
+  }
+  const local = {
+    accounts: localAccounts,
+    folders: await getFolders(),
+    tombstones: await getTombstones(),
+  };
+  const remoteSnapshot = remote.snapshot || { accounts: [], folders: [], tombstones: { accounts: {}, folders: {} } };
+
+  const { merged, conflicts } = mergeSyncSnapshots(local, remoteSnapshot, {
+    lastSyncAt: initial ? null : settings.lastSyncAt,
+    conflictIds: settings.conflictIds,
+  });
+
+  // The Drive copy of a conflicting account stays in Drive until resolved
+  const remoteById = new Map(remoteSnapshot.accounts.map(a => [a.id, a]));
+  const conflictIds = new Set(conflicts.map(c => c.id));
+  const upload = {
+    ...merged,
+    accounts: merged.accounts.map(a => (conflictIds.has(a.id) ? remoteById.get(a.id) : a)),
+  };
+
+  // Accounts added, changed or removed on this device by the merge
+  const localById = new Map(localAccounts.map(a => [a.id, a]));
+  const mergedIds = new Set(merged.accounts.map(a => a.id));
+  const pulled = merged.accounts.filter(a => fingerprint(localById.get(a.id)) !== fingerprint(a)).length
+    + localAccounts.filter(a => !mergedIds.has(a.id)).length;
+
+  // Write locally only what changed, so the vault change listener doesn't loop
+  if (fingerprint(local.accounts) !== fingerprint(merged.accounts)) {
+    await setSessionAccounts(merged.accounts);
+    await saveVault(null);
+  }
+  if (fingerprint(local.folders) !== fingerprint(merged.folders)) {
+    await saveFolders(merged.folders);
+  }
+  await saveTombstones(merged.tombstones);
+
+  const pushed = !remote.snapshot
+    || remote.outdated
+    || fingerprintSet(upload.accounts) !== fingerprintSet(remoteSnapshot.accounts)
+    || fingerprintSet(upload.folders) !== fingerprintSet(remoteSnapshot.folders)
+    || fingerprint(upload.tombstones) !== fingerprint(remoteSnapshot.tombstones);
+
+  let fileId = remote.fileId;
+  if (pushed) {
+    const document = {
+      app: 'azkura-auth',
+      type: 'sync',
+      formatVersion: SYNC_FORMAT_VERSION,
+      version: chrome.runtime.getManifest().version,
+      updatedAt: new Date().toISOString(),
+      accountCount: upload.accounts.length,
+      encrypted: await encrypt(JSON.stringify(upload), passphrase),
+    };
+    // Only overwrite the revision this merge was based on
+    const saved = await saveSyncFileToDrive(SYNC_FILE_NAME, document, fileId, { accountId, expectedRevision: remote.revision });
+    if (saved.conflict) {
+      return { changedInDrive: true, pulled };
+    }
+    if (!saved.success) {
+      throw new Error(saved.error);
+    }
+    fileId = saved.fileId;
+  }
+
+  return { pulled, pushed, fileId, conflicts };
+}
+
+/**
+ * Merge with Drive and write back both sides as needed
+ * If another device writes the sync file during the merge, the merge starts
+ * over from its version instead of overwriting it.
+ * @param {string} passphrase
+ * @param {object} settings - Current sync settings
+ * @param {object} [options]
+ * @param {boolean} [options.initial=false] - First sync: every differing account is a conflict
+ * @returns {Promise<SyncResult>}
+ */
+async function syncWithPassphrase(passphrase, settings, { initial = false } = {}) {
+  // Setting up sync reports errors directly instead of recording them
+  const fail = (error) => (initial ? { success: false, error } : recordSyncFailure(error));
+
+  if (!(await getSessionAccounts())) {
+    await saveDriveSyncSettings({ pending: true });
+    return { success: false, pending: true };
+  }
+
+  // Check the token here: background syncs must not open the interactive sign-in flow
+  const accountId = settings.accountId || (await getActiveAccountId());
+  if (!accountId || !(await getAuthToken(accountId))) {
+    return fail(settings.accountId
+      ? 'The Google account used for sync is signed out. Sign in to it again to resume sync.'
+      : 'Google sign-in expired. Sign in again to resume sync.');
+  }
+
+  let pulled = 0;
+  for (let attempt = 1; attempt <= MAX_MERGE_ATTEMPTS; attempt++) {
+    let round;
+    try {
+      round = await mergeWithDrive(passphrase, settings, accountId, initial);
+    } catch (error) {
+      return fail(error.message);
+    }
+
+    if (round.pending) {
+      await saveDriveSyncSettings({ pending: true });
+      return { success: false, pending: true };
+    }
+    pulled += round.pulled;
+    if (round.changedInDrive) {
+      console.log('[Drive Sync] Sync vault changed in Drive during the sync, merging again');
+      continue;
+    }
+
+    const { pushed, fileId, conflicts } = round;
+    await setSessionItem(SESSION_CONFLICTS_KEY, conflicts);
+    await saveDriveSyncSettings({
+      fileId,
+      lastSyncAt: Date.now(),
+      lastError: null,
+      lastErrorAt: null,
+      pending: false,
+      conflictIds: conflicts.map(c => c.id),
+    });
+
+    console.log('[Drive Sync] Synced:', pulled, 'local change(s),', pushed ? 'uploaded' : 'Drive up to date,', conflicts.length, 'conflict(s)');
+    return { success: true, pulled, pushed, conflicts: conflicts.length };
+  }
+
+  return fail('The sync vault keeps changing in Drive. Sync will try again later.');
+}
+
+/**
+ * Sync now (service worker alarms, unlock, or "Sync now" in Settings)
+ * @returns {Promise<SyncResult>}
+ */
+export async function runDriveSync() {
+  const settings = await getDriveSyncSettings();
+  if (!settings.enabled || !settings.passphrase) {
+    return { success: false, error: 'Sync is off' };
+  }
+
+  let passphrase;
+  try {
+    passphrase = await openSetting(settings.passphrase);
+  } catch {
+    return recordSyncFailure('Stored sync passphrase no longer matches this vault. Turn sync off and on again.');
+  }
+  if (!passphrase) {
+    await saveDriveSyncSettings({ pending: true });
+    return { success: false, pending: true };
+  }
+
+  return syncWithPassphrase(passphrase, settings);
+}
+
+// ─── Conflicts ───────────────────────────────────────────────────────────────
+
+/**
+ * Get the conflicts found by the last sync in this session
+ * @returns {Promise<SyncConflict[]>}
+ */
+export async function getSyncConflicts() {
+  return (await getSessionItem(SESSION_CONFLICTS_KEY)) || [];
+}
+
+/**
+ * Resolve sync conflicts and sync the result
+ * The chosen copy is saved as a fresh edit, so it wins on every device.
+ * @param {Object<string, 'local'|'remote'|'both'>} choices - Account id → choice
+ * @returns {Promise<SyncResult>}
+ */
+export async function resolveSyncConflicts(choices) {
+  const conflicts = await getSyncConflicts();
+  const accounts = await getSessionAccounts();
+  if (!accounts) {
+    throw new Error('Vault is locked');
+  }
+
+  const now = Date.now();
+  const resolved = new Set();
+  for (const conflict of conflicts) {
+    const choice = choices[conflict.id];
+    if (!SYNC_CONFLICT_CHOICES.includes(choice)) continue;
+
+    const index = accounts.findIndex(a => a.id === conflict.id);
+    if (index === -1) continue;
+
+    if (choice === 'remote') {
+      accounts[index] = { ...conflict.remote, updatedAt: now };
+    } else {
+      accounts[index] = { ...accounts[index], updatedAt: now };
+    }
+    if (choice === 'both') {
+      accounts.splice(index + 1, 0, {
+        ...conflict.remote,
+        id: `${now}-${Math.random().toString(36).slice(2, 9)}`,
+        createdAt: now,
+        updatedAt: now,
+      });
+    }
+    resolved.add(conflict.id);
+  }
+
+  await setSessionAccounts(accounts);
+  await saveVault(null);
+
+  const settings = await getDriveSyncSettings();
+  await saveDriveSyncSettings({ conflictIds: settings.conflictIds.filter(id => !resolved.has(id)) });
+  await setSessionItem(SESSION_CONFLICTS_KEY, conflicts.filter(c => !resolved.has(c.id)));
+
+  return runDriveSync();
+}
@@ -0,0 +1,262 @@
+/**
+ * Exporters for other authenticator apps' import formats
+ *
+ * Counterpart of importers.js: each exporter in the registry turns Azkura
+ * accounts and folders into a file another app can import. Folders become
+ * the target app's groups where it has them.
+ *
+ * Supported: Aegis (plain + password-encrypted), 2FAS, a plain otpauth://
+ * URI list and KeePassXC-compatible CSV.
+ */
+
+import { scryptAsync } from '@noble/hashes/scrypt.js';
+import { generateOtpauthURI } from './uri-parser.js';
+
+// Aegis' own scrypt parameters for password slots
+const AEGIS_SCRYPT = { N: 32768, r: 8, p: 1 };
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+function bytesToHex(bytes) {
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary);
+}
+
+/**
+ * Look up the folder name of an account
+ * @param {object} account
+ * @param {Map<string, string>} folderNames - Folder id → name
+ * @returns {string|null}
+ */
+function folderNameOf(account, folderNames) {
+  return (account.folderId && folderNames.get(account.folderId)) || null;
+}
+
+/**
+ * AES-GCM encrypt with the auth tag split off (Aegis layout)
+ * @param {Uint8Array} keyBytes
+ * @param {Uint8Array} plaintext
+ * @returns {Promise<{nonce: Uint8Array, ciphertext: Uint8Array, tag: Uint8Array}>}
+ */
+async function aesGcmEncrypt(keyBytes, plaintext) {
+  const key = await crypto.subtle.importKey('raw', keyBytes, { name: 'AES-GCM' }, false, ['encrypt']);
+  const nonce = crypto.getRandomValues(new Uint8Array(12));
+  const sealed = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv: nonce, tagLength: 128 }, key, plaintext));
+  return { nonce, ciphertext: sealed.subarray(0, sealed.length - 16), tag: sealed.subarray(sealed.length - 16) };
+}
+
+// ─── Aegis ───────────────────────────────────────────────────────────────────
+
+/**
+ * Encrypt an Aegis db with a single password slot
+ * @param {object} db - Plain `db` object
+ * @param {string} password
+ * @returns {Promise<{header: object, db: string}>}
+ */
+async function encryptAegisDb(db, password) {
+  const masterKey = crypto.getRandomValues(new Uint8Array(32));
+  const salt = crypto.getRandomValues(new Uint8Array(32));
+
+  const derived = await scryptAsync(new TextEncoder().encode(password), salt, { ...AEGIS_SCRYPT, dkLen: 32 });
+  const wrapped = await aesGcmEncrypt(derived, masterKey);
+  const content = await aesGcmEncrypt(masterKey, new TextEncoder().encode(JSON.stringify(db)));
+
+  return {
+    header: {
+      slots: [{
+        type: 1, // password slot
+        uuid: crypto.randomUUID(),
+        key: bytesToHex(wrapped.ciphertext),
+        key_params: { nonce: bytesToHex(wrapped.nonce), tag: bytesToHex(wrapped.tag) },
+        n: AEGIS_SCRYPT.N,
+        r: AEGIS_SCRYPT.r,
+        p: AEGIS_SCRYPT.p,
+        salt: bytesToHex(salt),
+        repaired: true,
+        is_backup: false,
+      }],
+      params: { nonce: bytesToHex(content.nonce), tag: bytesToHex(content.tag) },
+    },
+    db: bytesToBase64(content.ciphertext),
+  };
+}
+
+const aegisExporter = {
+  id: 'aegis',
+  name: 'Aegis',
+  extension: 'json',
+  mimeType: 'application/json',
+  supportsPassword: true,
+  async export(accounts, folders, password) {
+    const groupUuids = new Map(folders.map(f => [f.id, crypto.randomUUID()]));
+
+    const db = {
+      version: 3,
+      entries: accounts.map(account => {
+        const info = {
+          secret: account.secret,
+          algo: account.algorithm || 'SHA1',
+          digits: account.digits || 6,
+        };
+        if (account.type === 'hotp') info.counter = account.counter || 0;
+        else info.period = account.period || 30;
+
+        return {
+          type: account.type || 'totp',
+          uuid: crypto.randomUUID(),
+          name: account.account || '',
+          issuer: account.issuer || '',
+          note: '',
+          favorite: false,
+          icon: null,
+          info,
+          groups: groupUuids.has(account.folderId) ? [groupUuids.get(account.folderId)] : [],
+        };
+      }),
+      groups: folders.map(f => ({ uuid: groupUuids.get(f.id), name: f.name })),
+    };
+
+    const vault = password
+      ? { version: 1, ...(await encryptAegisDb(db, password)) }
+      : { version: 1, header: { slots: null, params: null }, db };
+    return JSON.stringify(vault, null, 2);
+  },
+};
+
+// ─── 2FAS ────────────────────────────────────────────────────────────────────
+
+const TWO_FAS_TOKEN_TYPES = { totp: 'TOTP', hotp: 'HOTP', steam: 'STEAM' };
+
+const twoFasExporter = {
+  id: '2fas',
+  name: '2FAS',
+  extension: '2fas',
+  mimeType: 'application/json',
+  supportsPassword: false,
+  async export(accounts, folders) {
+    const now = Date.now();
+    const folderIds = new Set(folders.map(f => f.id));
+
+    const services = accounts.map((account, index) => {
+      const service = {
+        name: account.issuer || account.account || 'Unknown',
+        secret: account.secret,
+        updatedAt: now,
+        otp: {
+          label: account.account || '',
+          account: account.account || '',
+          issuer: account.issuer || '',
+          digits: account.digits || 6,
+          period: account.period || 30,
+          algorithm: account.algorithm || 'SHA1',
+          tokenType: TWO_FAS_TOKEN_TYPES[account.type] || 'TOTP',
+          source: 'Link',
+        },
+        order: { position: index },
+      };
+      if (account.type === 'hotp') service.otp.counter = account.counter || 0;
+      if (folderIds.has(account.folderId)) service.groupId = account.folderId;
+      return service;
+    });
+
+    return JSON.stringify({
+      services,
+      groups: folders.map(f => ({ id: f.id, name: f.name, isExpanded: true, updatedAt: now })),
+      updatedAt: now,
+      schemaVersion: 4,
+    }, null, 2);
+  },
+};
+
+// ─── otpauth:// URI list ─────────────────────────────────────────────────────
+
+const uriListExporter = {
+  id: 'otpauth',
+  name: 'otpauth:// URI list',
+  extension: 'txt',
+  mimeType: 'text/plain',
+  supportsPassword: false,
+  async export(accounts) {
+    return accounts
+      .map(a => generateOtpauthURI({ ...a, issuer: a.issuer || '', account: a.account || '' }))
+      .join('\n') + '\n';
+  },
+};
+
+// ─── KeePassXC CSV ───────────────────────────────────────────────────────────
+
+/**
+ * Quote a CSV field (RFC 4180)
+ * @param {string} value
+ * @returns {string}
+ */
+function csvField(value) {
+  return `"${String(value ?? '').replace(/"/g, '""')}"`;
+}
+
+const keepassExporter = {
+  id: 'keepassxc',
+  name: 'KeePassXC CSV',
+  extension: 'csv',
+  mimeType: 'text/csv',
+  supportsPassword: false,
+  async export(accounts, folders) {
+    const folderNames = new Map(folders.map(f => [f.id, f.name]));
+    const header = ['Group', 'Title', 'Username', 'Password', 'URL', 'Notes', 'TOTP'];
+
+    // KeePassXC's CSV import maps columns by name; groups are paths under Root
+    const rows = accounts.map(account => {
+      const folder = folderNameOf(account, folderNames);
+      return [
+        folder ? `Root/${folder}` : 'Root',
+        account.issuer || account.account || 'Unknown',
+        account.account || '',
+        '',
+        '',
+        '',
+        generateOtpauthURI({ ...account, issuer: account.issuer || '', account: account.account || '' }),
+      ];
+    });
+
+    return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+  },
+};
+
+// ─── Registry ────────────────────────────────────────────────────────────────
+
+const EXPORTERS = [aegisExporter, twoFasExporter, uriListExporter, keepassExporter];
+
+/**
+ * List available export formats
+ * @returns {Array<{id: string, name: string, extension: string, supportsPassword: boolean}>}
+ */
+export function getExportFormats() {
+  return EXPORTERS.map(({ id, name, extension, supportsPassword }) => ({ id, name, extension, supportsPassword }));
+}
+
+/**
+ * Write accounts and folders in another app's format
+ * @param {string} formatId - Exporter id from getExportFormats()
+ * @param {Array<object>} accounts - Decrypted accounts
+ * @param {Array<object>} folders
+ * @param {string} [password] - Encrypt the export (formats with supportsPassword only)
+ * @returns {Promise<{content: string, mimeType: string, extension: string}>}
+ * @throws {Error} If the format is unknown or cannot be encrypted
+ */
+export async function exportToFormat(formatId, accounts, folders, password = null) {
+  const exporter = EXPORTERS.find(exp => exp.id === formatId);
+  if (!exporter) {
+    throw new Error('Unknown export format');
+  }
+  if (password && !exporter.supportsPassword) {
+    throw new Error(`${exporter.name} exports cannot be encrypted`);
+  }
+
+  const content = await exporter.export(accounts, folders, password);
+  return { content, mimeType: exporter.mimeType, extension: exporter.extension };
+}
@@ -1,29 +1,65 @@
 /**
  * Google Authentication module for Azkura Auth
- * Handles login/logout with chrome.identity.getAuthToken + fallback for mobile
+ * Authorization code flow with PKCE: launchWebAuthFlow on desktop, a tab
+ * on mobile (launchWebAuthFlow is unreliable there).
+ *
+ * Several Google accounts can be linked at once (e.g. a personal and a work
+ * Drive). Each has its own tokens; one of them is active and used whenever
+ * no account is given. Functions taking an optional `accountId` act on the
+ * active account by default.
+ *
+ * Tokens are kept encrypted at rest with a key derived from the device
+ * secret. Access token expiry comes from `expires_in`; expired tokens are
+ * renewed with the refresh token without any UI, so the service worker can
+ * run scheduled backups and sync with the popup closed.
+ *
+ * The OAuth clients can be replaced with your own Google Cloud project in
+ * Settings → Advanced → Google OAuth (storage key `oauthConfig`), which also
+ * runs diagnostics for redirect URI and client errors. Endpoints can be
+ * overridden there too, to test against a local OAuth stand-in (see
+ * scripts/oauth-stand-in.js).
  */
 
 import { setLocalItem, getLocalItem, removeLocalItem } from './storage.js';
+import { randomBytes, toBase64, deriveDeviceKey, encryptWithKey, decryptWithKey } from './crypto.js';
 
-const GOOGLE_USERINFO_URL = 'https://www.googleapis.com/oauth2/v2/userinfo';
-const STORAGE_KEY_TOKEN = 'googleAuthToken';
-const STORAGE_KEY_USER = 'googleUserProfile';
-const STORAGE_KEY_TOKEN_TIME = 'googleAuthTokenTime';
+const STORAGE_KEY_ACCOUNTS = 'googleAccounts';
+const STORAGE_KEY_ACTIVE = 'googleActiveAccount';
+const STORAGE_KEY_CONFIG = 'oauthConfig';
+// Tokens get one key per account, so renewing one never rewrites another
+const TOKEN_KEY_PREFIX = 'googleAuthToken:';
 
-// Token validity period (55 minutes, tokens usually valid for 1 hour)
-const TOKEN_VALIDITY_MS = 55 * 60 * 1000;
+// Single-account storage of older versions, moved to the account list on first use
+const LEGACY_KEY_TOKEN = 'googleAuthToken';
+const LEGACY_KEY_USER = 'googleUserProfile';
+const LEGACY_KEY_TOKEN_TIME = 'googleAuthTokenTime';
 
-// OAuth2 config - different client IDs for desktop and mobile
-// IMPORTANT: Both client IDs must have the redirect URI registered in Google Cloud Console:
+const TOKEN_KEY_PURPOSE = 'google-token';
+
+// Renew a little before Google's expiry so requests in flight don't fail
+const EXPIRY_MARGIN_MS = 60 * 1000;
+// Implicit-flow tokens saved by older versions carried no expiry
+const LEGACY_TOKEN_VALIDITY_MS = 55 * 60 * 1000;
+
+// Built-in OAuth2 clients, used until your own are set in Settings → Advanced
+// IMPORTANT: Client IDs must have the redirect URI registered in Google Cloud Console:
 // Redirect URI format: https://[EXTENSION_ID].chromiumapp.org/
 // Get your extension ID from: chrome://extensions → Developer mode → ID
+// Both are "Web application" clients. Google wants their client secret for
+// the code exchange and it isn't shipped, so they sign in with the token
+// flow: no refresh token, the access token is renewed silently instead.
 const OAUTH2_CLIENT_IDS = {
-  // Desktop: Use "Chrome app" type OR "Web application" with redirect URI registered
   desktop: '861059574565-gvp72f1nri3l2fhpnls1eu7dtot87dl4.apps.googleusercontent.com',
-  // Mobile: MUST be "Web application" type with redirect URI registered
   mobile: '861059574565-og5nk13so332lvrjfgcpi05dr05hc1e9.apps.googleusercontent.com'
 };
 
+const OAUTH2_ENDPOINTS = {
+  authUrl: 'https://accounts.google.com/o/oauth2/v2/auth',
+  tokenUrl: 'https://oauth2.googleapis.com/token',
+  revokeUrl: 'https://oauth2.googleapis.com/revoke',
+  userinfoUrl: 'https://www.googleapis.com/oauth2/v2/userinfo',
+};
+
 const OAUTH2_SCOPES = [
   'openid',
   'email',
@@ -31,175 +67,621 @@ const OAUTH2_SCOPES = [
   'https://www.googleapis.com/auth/drive.file'
 ];
 
+// Plain-language help for OAuth errors, shown on sign-in and in diagnostics
+const OAUTH_ERROR_HELP = {
+  redirect_uri_mismatch: ({ clientId, redirectUri }) =>
+    `Google doesn't know this extension's redirect URI. In Google Cloud Console → APIs & Services → Credentials, ` +
+    `open the OAuth client ${clientId} and add ${redirectUri} to "Authorized redirect URIs". Changes can take a few minutes.`,
+  invalid_client: ({ clientId }) =>
+    `Google can't find the OAuth client ${clientId}, or its client secret is wrong. Check that the client ID was copied completely and still exists.`,
+  unauthorized_client: () =>
+    'This OAuth client type can\'t be used here. Create a "Web application" client and register the redirect URI.',
+  client_secret_missing: () =>
+    'This OAuth client requires its client secret. Enter it in Settings → Advanced → Google OAuth.',
+  access_denied: () =>
+    'Access was denied. If the app is in "Testing" on the OAuth consent screen, add your Google account as a test user.',
+  org_internal: () =>
+    'The OAuth consent screen is limited to one organization. Set it to "External" or sign in with an account from that organization.',
+  disallowed_useragent: () =>
+    'Google blocks sign-in from this browser view. Try again from the app tab.',
+};
+
+// One renewal per account at a time, shared by every caller (popup, service worker jobs)
+const renewalsInFlight = new Map();
+
 /**
- * Get the appropriate client ID based on device type
+ * Detect mobile browsers
+ * @returns {boolean}
  */
-function getClientId() {
-  const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
-  return isMobile ? OAUTH2_CLIENT_IDS.mobile : OAUTH2_CLIENT_IDS.desktop;
+function isMobileBrowser() {
+  return /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
 }
 
 /**
- * Check if user is logged in with Google
- * @returns {Promise<boolean>}
+ * Get the OAuth client for this device and the endpoints, with overrides from storage
+ * Desktop uses the desktop client, mobile the web client. Your own clients
+ * sign in with authorization code + PKCE; the client secret is only sent
+ * when set: Google asks for it on "Web application" clients even with PKCE,
+ * where it isn't actually secret. The built-in clients use the token flow.
+ * @returns {Promise<{clientId: string, clientSecret: string, clientSource: 'custom'|'built-in',
+ *   flow: 'code'|'token', authUrl: string, tokenUrl: string, revokeUrl: string, userinfoUrl: string}>}
+ */
+export async function getOAuthConfig() {
+  const overrides = (await getLocalItem(STORAGE_KEY_CONFIG)) || {};
+  const mobile = isMobileBrowser();
+  const customId = mobile ? overrides.webClientId : overrides.desktopClientId;
+  const config = {
+    clientId: customId || (mobile ? OAUTH2_CLIENT_IDS.mobile : OAUTH2_CLIENT_IDS.desktop),
+    clientSecret: (mobile ? overrides.webClientSecret : overrides.desktopClientSecret) || '',
+    clientSource: customId ? 'custom' : 'built-in',
+    flow: customId ? 'code' : 'token',
+    ...OAUTH2_ENDPOINTS,
+  };
+  for (const key of Object.keys(OAUTH2_ENDPOINTS)) {
+    if (overrides[key]) config[key] = overrides[key];
+  }
+  return config;
+}
+
+/**
+ * Explain an OAuth error in plain language
+ * @param {string} code - OAuth error code, e.g. redirect_uri_mismatch
+ * @param {string} [description] - error_description from Google
+ * @param {{clientId?: string, redirectUri?: string}} [context]
+ * @returns {string}
  */
-export async function isLoggedIn() {
-  const token = await getLocalItem(STORAGE_KEY_TOKEN);
-  const user = await getLocalItem(STORAGE_KEY_USER);
-  return !!(token && user);
+export function explainOAuthError(code, description = '', context = {}) {
+  const key = code === 'invalid_request' && /client_secret/i.test(description) ? 'client_secret_missing' : code;
+  const help = OAUTH_ERROR_HELP[key];
+  return help ? help(context) : description || code;
 }
 
+// ─── Linked accounts ─────────────────────────────────────────────────────────
+
+/**
+ * @typedef {object} GoogleAccount
+ * @property {string} id - Google account ID
+ * @property {string} name
+ * @property {string} email
+ * @property {string|null} picture
+ */
+
 /**
- * Get current user profile
- * @returns {Promise<{name: string, email: string, picture: string} | null>}
+ * Storage key of an account's tokens
+ * @param {string} accountId
+ * @returns {string}
  */
-export async function getUserProfile() {
-  return await getLocalItem(STORAGE_KEY_USER);
+function tokenKey(accountId) {
+  return `${TOKEN_KEY_PREFIX}${accountId}`;
 }
 
 /**
- * Get current auth token
- * @returns {Promise<string | null>}
+ * Move the single account stored by older versions into the account list
+ * Plain tokens of the old implicit flow carry no expiry; they get the usual
+ * token lifetime from when they were saved.
  */
-export async function getAuthToken() {
-  const token = await getLocalItem(STORAGE_KEY_TOKEN);
-  const tokenTime = await getLocalItem(STORAGE_KEY_TOKEN_TIME);
-  
-  // Check if token is expired
-  if (token && tokenTime) {
-    const elapsed = Date.now() - tokenTime;
-    if (elapsed > TOKEN_VALIDITY_MS) {
-      console.log('[Google Auth] Token expired, clearing...');
-      await removeLocalItem(STORAGE_KEY_TOKEN);
-      await removeLocalItem(STORAGE_KEY_TOKEN_TIME);
-      return null;
+async function migrateLegacyAccount() {
+  const user = await getLocalItem(LEGACY_KEY_USER);
+  const stored = await getLocalItem(LEGACY_KEY_TOKEN);
+  if (!user && !stored) return;
+
+  if (user && stored) {
+    const id = user.id || user.email;
+    let record;
+    if (typeof stored === 'string') {
+      const savedAt = (await getLocalItem(LEGACY_KEY_TOKEN_TIME)) || 0;
+      record = { accessToken: stored, refreshToken: null, expiresAt: savedAt + LEGACY_TOKEN_VALIDITY_MS };
+    } else {
+      record = await decryptTokens(stored);
     }
-  }
-  
-  return token;
-}
-
-/**
- * Get auth token with fallback for mobile browsers
- * Tries chrome.identity.getAuthToken first, falls back to launchWebAuthFlow on mobile
- * @param {boolean} interactive - Whether to show UI if needed
- * @returns {Promise<string>} Access token
- */
-async function getAuthTokenWithFallback(interactive = true) {
-  console.log('[Google Auth] getAuthTokenWithFallback called, interactive:', interactive);
-  
-  // Detect mobile - use launchWebAuthFlow directly on mobile for better compatibility
-  const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
-  const isTabMode = window.innerWidth > 500 || window.outerHeight > 800;
-  
-  console.log('[Google Auth] isMobile:', isMobile, 'isTabMode:', isTabMode, 'innerWidth:', window.innerWidth);
-  
-  // On mobile, always use launchWebAuthFlow - getAuthToken doesn't work on mobile browsers
-  if (isMobile) {
-    console.log('[Google Auth] Mobile detected, using launchWebAuthFlow directly');
-    if (!interactive) {
-      throw new Error('Non-interactive auth not available on mobile');
+    if (record) {
+      await storeTokens(id, record);
+      await setLocalItem(STORAGE_KEY_ACCOUNTS, [{ ...user, id }]);
+      await setLocalItem(STORAGE_KEY_ACTIVE, id);
     }
-    return await getTokenViaWebAuthFlow();
-  }
-  
-  // Desktop: use launchWebAuthFlow for popup mode, tab auth for tab mode
-  if (!interactive) {
-    throw new Error('Non-interactive auth not available');
-  }
-  
-  // Detect if running in popup or tab mode
-  const isPopupMode = window.innerWidth <= 500 && window.outerWidth <= 600;
-  
-  if (isPopupMode) {
-    console.log('[Google Auth] Desktop popup mode detected, using launchWebAuthFlow');
-    return await getTokenViaWebAuthFlow();
+  }
+
+  await removeLocalItem(LEGACY_KEY_TOKEN);
+  await removeLocalItem(LEGACY_KEY_TOKEN_TIME);
+  await removeLocalItem(LEGACY_KEY_USER);
+}
+
+/**
+ * Get all linked Google accounts, in the order they were added
+ * @returns {Promise<GoogleAccount[]>}
+ */
+export async function getLinkedAccounts() {
+  await migrateLegacyAccount();
+  return (await getLocalItem(STORAGE_KEY_ACCOUNTS)) || [];
+}
+
+/**
+ * Get the account used when no account is given
+ * Falls back to the first linked account if the active one was unlinked.
+ * @returns {Promise<string|null>}
+ */
+export async function getActiveAccountId() {
+  const accounts = await getLinkedAccounts();
+  const active = await getLocalItem(STORAGE_KEY_ACTIVE);
+  return accounts.some(a => a.id === active) ? active : accounts[0]?.id || null;
+}
+
+/**
+ * Make a linked account the active one
+ * @param {string} accountId
+ * @throws {Error} If the account isn't linked
+ */
+export async function setActiveAccount(accountId) {
+  const accounts = await getLinkedAccounts();
+  if (!accounts.some(a => a.id === accountId)) {
+    throw new Error('This Google account is not linked');
+  }
+  await setLocalItem(STORAGE_KEY_ACTIVE, accountId);
+}
+
+/**
+ * Resolve an optional account ID to a linked account (default: active)
+ * @param {string|null} accountId
+ * @returns {Promise<string|null>}
+ */
+async function resolveAccountId(accountId) {
+  return accountId || getActiveAccountId();
+}
+
+/**
+ * Add a linked account or update its profile
+ * @param {GoogleAccount} profile
+ */
+async function saveAccountProfile(profile) {
+  const accounts = await getLinkedAccounts();
+  const index = accounts.findIndex(a => a.id === profile.id);
+  if (index === -1) {
+    accounts.push(profile);
   } else {
-    console.log('[Google Auth] Desktop tab mode detected, using tab-based auth');
-    return await getTokenViaWebAuthFlow();
+    accounts[index] = profile;
+  }
+  await setLocalItem(STORAGE_KEY_ACCOUNTS, accounts);
+}
+
+/**
+ * Remove an account and its tokens; the other accounts stay linked
+ * @param {string} accountId
+ */
+async function removeAccount(accountId) {
+  const accounts = (await getLinkedAccounts()).filter(a => a.id !== accountId);
+  await removeLocalItem(tokenKey(accountId));
+  await setLocalItem(STORAGE_KEY_ACCOUNTS, accounts);
+  if ((await getLocalItem(STORAGE_KEY_ACTIVE)) === accountId) {
+    await setLocalItem(STORAGE_KEY_ACTIVE, accounts[0]?.id || null);
+  }
+}
+
+// ─── Token storage ───────────────────────────────────────────────────────────
+
+/**
+ * @typedef {object} TokenRecord
+ * @property {string} accessToken
+ * @property {string|null} refreshToken
+ * @property {number} expiresAt - Epoch ms
+ * @property {string} [scope]
+ */
+
+/**
+ * Decrypt a stored token bundle
+ * @param {object} bundle
+ * @returns {Promise<TokenRecord|null>} Null if the device secret changed (e.g. storage partly cleared)
+ */
+async function decryptTokens(bundle) {
+  try {
+    return JSON.parse(await decryptWithKey(bundle, await deriveDeviceKey(TOKEN_KEY_PURPOSE)));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read and decrypt an account's tokens
+ * @param {string} accountId
+ * @returns {Promise<TokenRecord|null>}
+ */
+async function loadTokens(accountId) {
+  const stored = await getLocalItem(tokenKey(accountId));
+  if (!stored) return null;
+
+  const record = await decryptTokens(stored);
+  if (!record) {
+    // The tokens are unusable; the account has to be linked again
+    console.log('[Google Auth] Stored token cannot be decrypted, clearing...');
+    await clearInvalidToken(accountId);
+  }
+  return record;
+}
+
+/**
+ * Encrypt and store an account's tokens
+ * @param {string} accountId
+ * @param {TokenRecord} record
+ */
+async function storeTokens(accountId, record) {
+  const bundle = await encryptWithKey(JSON.stringify(record), await deriveDeviceKey(TOKEN_KEY_PURPOSE));
+  await setLocalItem(tokenKey(accountId), bundle);
+}
+
+/**
+ * Turn a token endpoint response into a token record
+ * Refresh responses usually omit refresh_token, so the previous one is kept.
+ * @param {{access_token: string, expires_in: number, refresh_token?: string, scope?: string}} response
+ * @param {string|null} [previousRefreshToken]
+ * @returns {TokenRecord}
+ */
+function toTokenRecord(response, previousRefreshToken = null) {
+  return {
+    accessToken: response.access_token,
+    refreshToken: response.refresh_token || previousRefreshToken,
+    expiresAt: Date.now() + (Number(response.expires_in) || 3600) * 1000,
+    scope: response.scope || '',
+  };
+}
+
+// ─── Token endpoint ──────────────────────────────────────────────────────────
+
+/**
+ * POST to the token endpoint
+ * @param {object} config - From getOAuthConfig()
+ * @param {object} params - Grant parameters
+ * @returns {Promise<object>} Token response
+ * @throws {Error} error.invalidGrant when the code/refresh token was rejected,
+ *   error.offline when the endpoint can't be reached
+ */
+async function requestToken(config, params) {
+  const body = new URLSearchParams({ client_id: config.clientId, ...params });
+  if (config.clientSecret) body.set('client_secret', config.clientSecret);
+
+  let response;
+  try {
+    response = await fetch(config.tokenUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body,
+    });
+  } catch {
+    const error = new Error('Cannot reach Google. Please check your internet connection.');
+    error.offline = true;
+    throw error;
+  }
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || !data.access_token) {
+    const error = new Error(data.error
+      ? explainOAuthError(data.error, data.error_description, { clientId: config.clientId, redirectUri: params.redirect_uri })
+      : `Token request failed (HTTP ${response.status})`);
+    error.invalidGrant = data.error === 'invalid_grant';
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * Renew a token-flow access token without UI (built-in clients, and tokens
+ * saved by older versions)
+ * Works while the browser is signed in to that Google account and the
+ * grant still exists. Mobile browsers have no silent flow; the account stays
+ * linked and needs a new sign-in.
+ * @param {string} accountId
+ * @returns {Promise<string|null>}
+ */
+async function renewSilently(accountId) {
+  if (isMobileBrowser() || !chrome.identity?.launchWebAuthFlow) return null;
+
+  const config = await getOAuthConfig();
+  const redirectUri = chrome.identity.getRedirectURL();
+  const state = toBase64Url(randomBytes(16));
+  const authUrl = new URL(config.authUrl);
+  authUrl.searchParams.set('client_id', config.clientId);
+  authUrl.searchParams.set('response_type', 'token');
+  authUrl.searchParams.set('redirect_uri', redirectUri);
+  authUrl.searchParams.set('scope', OAUTH2_SCOPES.join(' '));
+  authUrl.searchParams.set('state', state);
+  authUrl.searchParams.set('prompt', 'none');
+  const profile = await getUserProfile(accountId);
+  if (profile?.email) authUrl.searchParams.set('login_hint', profile.email);
+
+  const redirectUrl = await new Promise((resolve) => {
+    chrome.identity.launchWebAuthFlow({ url: authUrl.toString(), interactive: false }, (url) => {
+      // lastError just means Google wanted to show UI
+      resolve(chrome.runtime.lastError ? null : url || null);
+    });
+  });
+  if (!redirectUrl) {
+    console.log('[Google Auth] Silent renewal needs a new sign-in');
+    return null;
+  }
+
+  try {
+    const renewed = parseTokenRedirect(redirectUrl, state, { clientId: config.clientId, redirectUri });
+    await storeTokens(accountId, renewed);
+    console.log('[Google Auth] Access token renewed silently');
+    return renewed.accessToken;
+  } catch (error) {
+    console.log('[Google Auth] Silent renewal failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Renew an account's access token with its refresh token (or silently,
+ * for token-flow accounts)
+ * @param {string} accountId
+ * @returns {Promise<string|null>}
+ */
+async function renewTokens(accountId) {
+  const record = await loadTokens(accountId);
+  if (!record) return null;
+  if (!record.refreshToken) {
+    // Token flow: there is no refresh token, the account stays linked either way
+    return renewSilently(accountId);
+  }
+
+  try {
+    const config = await getOAuthConfig();
+    const response = await requestToken(config, {
+      grant_type: 'refresh_token',
+      refresh_token: record.refreshToken,
+    });
+    const renewed = toTokenRecord(response, record.refreshToken);
+    await storeTokens(accountId, renewed);
+    console.log('[Google Auth] Access token renewed');
+    return renewed.accessToken;
+  } catch (error) {
+    if (error.invalidGrant) {
+      // Revoked or expired refresh token: only a new sign-in helps
+      console.log('[Google Auth] Refresh token rejected, unlinking account');
+      await clearInvalidToken(accountId);
+    } else {
+      console.error('[Google Auth] Token renewal failed:', error.message);
+    }
+    return null;
+  }
+}
+
+/**
+ * Renew the access token with the refresh token, no UI involved
+ * Concurrent callers for the same account share one request.
+ * @param {string|null} [accountId] - Default: active account
+ * @returns {Promise<string|null>} New access token, or null if signing in again is needed
+ */
+export async function renewAuthToken(accountId = null) {
+  const id = await resolveAccountId(accountId);
+  if (!id) return null;
+
+  if (!renewalsInFlight.has(id)) {
+    renewalsInFlight.set(id, renewTokens(id).finally(() => renewalsInFlight.delete(id)));
   }
+  return renewalsInFlight.get(id);
+}
+
+/**
+ * Check if a Google account is linked and has tokens
+ * @param {string|null} [accountId] - Default: active account (i.e. any account is linked)
+ * @returns {Promise<boolean>}
+ */
+export async function isLoggedIn(accountId = null) {
+  const id = await resolveAccountId(accountId);
+  if (!id) return false;
+  const accounts = await getLinkedAccounts();
+  return accounts.some(a => a.id === id) && !!(await getLocalItem(tokenKey(id)));
 }
 
 /**
- * Get token using launchWebAuthFlow (fallback for mobile browsers)
- * Constructs OAuth2 URL manually and extracts token from redirect URL
- * @returns {Promise<string>} Access token
+ * Get a linked account's profile
+ * @param {string|null} [accountId] - Default: active account
+ * @returns {Promise<GoogleAccount|null>}
  */
-async function getTokenViaWebAuthFlow() {
-  console.log('[Google Auth] getTokenViaWebAuthFlow starting...');
-  
+export async function getUserProfile(accountId = null) {
+  const id = await resolveAccountId(accountId);
+  const accounts = await getLinkedAccounts();
+  return accounts.find(a => a.id === id) || null;
+}
+
+/**
+ * Get a current access token, renewing it silently when it expired
+ * Never shows UI, so it is safe to call from the service worker.
+ * @param {string|null} [accountId] - Default: active account
+ * @returns {Promise<string | null>}
+ */
+export async function getAuthToken(accountId = null) {
+  const id = await resolveAccountId(accountId);
+  if (!id) return null;
+
+  const record = await loadTokens(id);
+  if (!record) return null;
+
+  if (Date.now() < record.expiresAt - EXPIRY_MARGIN_MS) {
+    return record.accessToken;
+  }
+
+  console.log('[Google Auth] Token expired, renewing...');
+  return renewAuthToken(id);
+}
+
+// ─── Sign-in (authorization code + PKCE) ─────────────────────────────────────
+
+/**
+ * Base64url without padding (RFC 7636)
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64Url(bytes) {
+  return toBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Create a PKCE code verifier and its S256 challenge
+ * @returns {Promise<{verifier: string, challenge: string}>}
+ */
+async function createPkcePair() {
+  const verifier = toBase64Url(randomBytes(32));
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+  return { verifier, challenge: toBase64Url(new Uint8Array(digest)) };
+}
+
+/**
+ * Read the authorization code from the redirect URL
+ * @param {string} redirectUrl
+ * @param {string} state - Expected state
+ * @param {{clientId: string, redirectUri: string}} context - For error explanations
+ * @returns {string} Authorization code
+ * @throws {Error} On OAuth errors, a missing code or a state mismatch
+ */
+function parseAuthRedirect(redirectUrl, state, context) {
+  const params = new URL(redirectUrl).searchParams;
+  const code = params.get('code');
+  const returnedState = params.get('state');
+  const errorParam = params.get('error');
+
+  console.log('[Google Auth] Parsed params - code:', code ? 'present' : 'missing', 'error:', errorParam);
+
+  if (errorParam) {
+    throw new Error(explainOAuthError(errorParam, params.get('error_description') || '', context));
+  }
+  if (!code) {
+    throw new Error('No authorization code in response');
+  }
+  // Verify state to prevent CSRF
+  if (returnedState !== state) {
+    console.error('[Google Auth] State mismatch! Expected:', state, 'Got:', returnedState);
+    throw new Error('State mismatch - possible CSRF attack');
+  }
+  return code;
+}
+
+/**
+ * Read the access token from a token-flow redirect URL (in the fragment)
+ * @param {string} redirectUrl
+ * @param {string} state - Expected state
+ * @param {{clientId: string, redirectUri: string}} context - For error explanations
+ * @returns {TokenRecord} Record without a refresh token
+ * @throws {Error} On OAuth errors, a missing token or a state mismatch
+ */
+function parseTokenRedirect(redirectUrl, state, context) {
+  const url = new URL(redirectUrl);
+  const params = new URLSearchParams(url.hash.slice(1));
+  const errorParam = params.get('error') || url.searchParams.get('error');
+
+  if (errorParam) {
+    const description = params.get('error_description') || url.searchParams.get('error_description') || '';
+    throw new Error(explainOAuthError(errorParam, description, context));
+  }
+  if (!params.get('access_token')) {
+    throw new Error('No access token in response');
+  }
+  if (params.get('state') !== state) {
+    console.error('[Google Auth] State mismatch! Expected:', state, 'Got:', params.get('state'));
+    throw new Error('State mismatch - possible CSRF attack');
+  }
+  return toTokenRecord(Object.fromEntries(params));
+}
+
+/**
+ * Run the interactive sign-in: authorization code + PKCE with your own
+ * client, the token flow with a built-in one
+ * @returns {Promise<TokenRecord>}
+ */
+async function signInInteractive() {
+  const config = await getOAuthConfig();
+  const implicit = config.flow === 'token';
+  console.log('[Google Auth] Starting', implicit ? 'token flow (built-in client)...' : 'authorization code flow...');
+
   // Check if chrome.identity is available
   if (!chrome.identity) {
     console.error('[Google Auth] chrome.identity API not available!');
     throw new Error('chrome.identity API not available');
   }
-  console.log('[Google Auth] chrome.identity available');
-  
-  // Check if running in mobile browser where launchWebAuthFlow may not work
-  const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
-  
-  // Get the appropriate client ID for this device
-  const clientId = getClientId();
-  
+
+  const isMobile = isMobileBrowser();
+
   // Use the standard chromiumapp.org URL for both mobile and desktop
   // Google requires https:// redirect URIs, not chrome-extension://
   const redirectUri = chrome.identity.getRedirectURL();
-  const state = Math.random().toString(36).substring(2, 15);
-  
+  const state = toBase64Url(randomBytes(16));
+  const { verifier, challenge } = await createPkcePair();
+
   console.log('[Google Auth] ===========================================');
   console.log('[Google Auth] Extension ID:', chrome.runtime.id);
   console.log('[Google Auth] Is Mobile:', isMobile);
-  console.log('[Google Auth] Client ID:', clientId);
+  console.log('[Google Auth] Client ID:', config.clientId);
   console.log('[Google Auth] Redirect URI:', redirectUri);
   console.log('[Google Auth] ===========================================');
   console.log('[Google Auth] IMPORTANT: Register this Redirect URI in Google Cloud Console:');
   console.log('[Google Auth] 1. Go to https://console.cloud.google.com/apis/credentials');
-  console.log('[Google Auth] 2. Find OAuth 2.0 Client ID:', clientId);
+  console.log('[Google Auth] 2. Find OAuth 2.0 Client ID:', config.clientId);
   console.log('[Google Auth] 3. Add this EXACT URI to "Authorized redirect URIs":');
   console.log('[Google Auth]    ', redirectUri);
   console.log('[Google Auth] ===========================================');
-  
-  // Show alert on mobile to help debugging
-  if (isMobile && typeof window !== 'undefined' && window.alert) {
-    console.log('[Google Auth] If login fails with "redirect_uri_mismatch", register this URI in Google Cloud Console:', redirectUri);
-  }
-  
+
   // Build OAuth2 URL
-  const authUrl = new URL('https://accounts.google.com/o/oauth2/v2/auth');
-  authUrl.searchParams.set('client_id', clientId);
-  authUrl.searchParams.set('response_type', 'token');
+  const authUrl = new URL(config.authUrl);
+  authUrl.searchParams.set('client_id', config.clientId);
+  authUrl.searchParams.set('response_type', implicit ? 'token' : 'code');
   authUrl.searchParams.set('redirect_uri', redirectUri);
   authUrl.searchParams.set('scope', OAUTH2_SCOPES.join(' '));
   authUrl.searchParams.set('state', state);
-  // Force consent screen to ensure all scopes are granted
-  authUrl.searchParams.set('prompt', 'consent');
   authUrl.searchParams.set('include_granted_scopes', 'true');
-  
+  if (implicit) {
+    // The account chooser lets another account be linked
+    authUrl.searchParams.set('prompt', 'select_account');
+  } else {
+    authUrl.searchParams.set('code_challenge', challenge);
+    authUrl.searchParams.set('code_challenge_method', 'S256');
+    // Offline access + consent so Google returns a refresh token every time
+    authUrl.searchParams.set('access_type', 'offline');
+    authUrl.searchParams.set('prompt', 'select_account consent');
+  }
+
   const authUrlString = authUrl.toString();
   console.log('[Google Auth] Auth URL:', authUrlString.substring(0, 100) + '...');
-  
+
   // On mobile, use tab-based auth instead of launchWebAuthFlow
-  if (isMobile) {
-    return getTokenViaTabAuth(authUrlString, redirectUri, state, clientId);
+  const redirectUrl = isMobile
+    ? await getRedirectViaTabAuth(authUrlString, redirectUri, config.clientId)
+    : await getRedirectViaLaunchWebAuthFlow(authUrlString);
+
+  if (implicit) {
+    console.log('[Google Auth] Successfully got access token!');
+    return parseTokenRedirect(redirectUrl, state, { clientId: config.clientId, redirectUri });
+  }
+
+  const code = parseAuthRedirect(redirectUrl, state, { clientId: config.clientId, redirectUri });
+  const response = await requestToken(config, {
+    grant_type: 'authorization_code',
+    code,
+    code_verifier: verifier,
+    redirect_uri: redirectUri,
+  });
+
+  if (!response.refresh_token) {
+    console.log('[Google Auth] No refresh token returned; sign-in will be needed when the token expires');
   }
-  
-  // Desktop: use launchWebAuthFlow
-  return getTokenViaLaunchWebAuthFlow(authUrlString, state, clientId);
+  console.log('[Google Auth] Successfully got tokens!');
+  return toTokenRecord(response);
 }
 
 /**
- * Get token using chrome.tabs API for mobile browsers
- * launchWebAuthFlow doesn't work reliably on mobile
- * 
- * Uses chrome.webRequest to intercept redirect to the chromiumapp.org URL
+ * Wait for the OAuth redirect in a normal tab (mobile browsers)
+ * launchWebAuthFlow doesn't work reliably on mobile, so the tab's URL
+ * changes are watched until it reaches the chromiumapp.org redirect URI.
+ * @param {string} authUrlString
+ * @param {string} redirectUri
+ * @param {string} clientId - For error explanations
+ * @returns {Promise<string>} Redirect URL with the authorization code
  */
-async function getTokenViaTabAuth(authUrlString, redirectUri, state, clientId) {
+async function getRedirectViaTabAuth(authUrlString, redirectUri, clientId) {
   console.log('[Google Auth] Using tab-based authentication for mobile...');
-  
+
   return new Promise((resolve, reject) => {
     let authTabId = null;
     let errorDetected = false;
-    
+
     // Set timeout
     const timeoutMs = 120000; // 2 minutes
     const timeoutId = setTimeout(() => {
@@ -207,7 +689,7 @@ async function getTokenViaTabAuth(authUrlString, redirectUri, state, clientId) {
       console.error('[Google Auth] Tab auth timed out after', timeoutMs, 'ms');
       reject(new Error('Authentication timed out. Please try again.'));
     }, timeoutMs);
-    
+
     // Clean up listeners and close tab
     function cleanup() {
       clearTimeout(timeoutId);
@@ -221,99 +703,44 @@ async function getTokenViaTabAuth(authUrlString, redirectUri, state, clientId) {
         });
       }
     }
-    
+
     // Listen for tab updates
-    function onTabUpdated(tabId, changeInfo, tab) {
+    function onTabUpdated(tabId, changeInfo) {
       if (tabId !== authTabId) return;
-      
+
       if (!changeInfo.url) return;
-      
+
       console.log('[Google Auth] Tab URL updated:', changeInfo.url.substring(0, 100) + '...');
-      
+
       // Check for error page on Google
       if (changeInfo.url.includes('accounts.google.com') && changeInfo.url.includes('error=')) {
         try {
           const url = new URL(changeInfo.url);
           const errorParam = url.searchParams.get('error');
           const errorDescription = url.searchParams.get('error_description');
-          
+
           if (errorParam) {
             console.error('[Google Auth] OAuth error detected:', errorParam, errorDescription);
             errorDetected = true;
             cleanup();
-            
-            if (errorParam === 'redirect_uri_mismatch') {
-              reject(new Error(
-                `Redirect URI mismatch! Please register this URI in Google Cloud Console:\n${redirectUri}\n\n` +
-                `1. Go to https://console.cloud.google.com/apis/credentials\n` +
-                `2. Find your OAuth 2.0 Client ID:\n${clientId}\n` +
-                `3. Add the above URI to "Authorized redirect URIs"\n\n` +
-                `Then reload the extension and try again.`
-              ));
-            } else {
-              reject(new Error(errorDescription || errorParam));
-            }
+
+            reject(new Error(explainOAuthError(errorParam, errorDescription || '', { clientId, redirectUri })));
             return;
           }
         } catch (e) {
           // Ignore parse errors
         }
       }
-      
-      // Check if URL matches redirect URI (success case)
-      // The URL will be like: https://[extension-id].chromiumapp.org/#access_token=...&state=...
+
+      // Check if URL matches redirect URI (success or OAuth error)
+      // The URL will be like: https://[extension-id].chromiumapp.org/?code=...&state=...
       if (changeInfo.url.startsWith(redirectUri)) {
         console.log('[Google Auth] Detected redirect to extension callback URL');
-        
-        try {
-          const url = new URL(changeInfo.url);
-          const hash = url.hash.substring(1); // Remove leading #
-          
-          if (!hash) {
-            cleanup();
-            reject(new Error('No hash in redirect URL'));
-            return;
-          }
-          
-          const params = new URLSearchParams(hash);
-          const accessToken = params.get('access_token');
-          const returnedState = params.get('state');
-          const errorParam = params.get('error');
-          const errorDescription = params.get('error_description');
-          
-          console.log('[Google Auth] Parsed params - access_token:', accessToken ? 'present' : 'missing', 'state:', returnedState, 'error:', errorParam);
-          
-          if (errorParam) {
-            errorDetected = true;
-            cleanup();
-            reject(new Error(errorDescription || errorParam));
-            return;
-          }
-          
-          if (!accessToken) {
-            cleanup();
-            reject(new Error('No access token in response'));
-            return;
-          }
-          
-          // Verify state to prevent CSRF
-          if (returnedState !== state) {
-            cleanup();
-            console.error('[Google Auth] State mismatch! Expected:', state, 'Got:', returnedState);
-            reject(new Error('State mismatch - possible CSRF attack'));
-            return;
-          }
-          
-          console.log('[Google Auth] Successfully got access token!');
-          cleanup();
-          resolve(accessToken);
-        } catch (err) {
-          cleanup();
-          reject(new Error('Failed to parse redirect URL: ' + err.message));
-        }
+        cleanup();
+        resolve(changeInfo.url);
       }
     }
-    
+
     // Listen for tab close (user cancelled)
     function onTabRemoved(removedTabId) {
       if (removedTabId === authTabId) {
@@ -323,11 +750,11 @@ async function getTokenViaTabAuth(authUrlString, redirectUri, state, clientId) {
         }
       }
     }
-    
+
     // Add listeners
     chrome.tabs.onUpdated.addListener(onTabUpdated);
     chrome.tabs.onRemoved.addListener(onTabRemoved);
-    
+
     // Open auth tab
     console.log('[Google Auth] Opening auth tab...');
     chrome.tabs.create({ url: authUrlString, active: true }, (tab) => {
@@ -337,7 +764,7 @@ async function getTokenViaTabAuth(authUrlString, redirectUri, state, clientId) {
         reject(new Error('Failed to open authentication: ' + chrome.runtime.lastError.message));
         return;
       }
-      
+
       authTabId = tab.id;
       console.log('[Google Auth] Auth tab created with ID:', authTabId);
     });
@@ -345,11 +772,13 @@ async function getTokenViaTabAuth(authUrlString, redirectUri, state, clientId) {
 }
 
 /**
- * Get token using launchWebAuthFlow (for desktop browsers)
+ * Wait for the OAuth redirect with launchWebAuthFlow (desktop browsers)
+ * @param {string} authUrlString
+ * @returns {Promise<string>} Redirect URL with the authorization code
  */
-async function getTokenViaLaunchWebAuthFlow(authUrlString, state, clientId) {
+async function getRedirectViaLaunchWebAuthFlow(authUrlString) {
   console.log('[Google Auth] Using launchWebAuthFlow for desktop...');
-  
+
   return new Promise((resolve, reject) => {
     // Set timeout
     const timeoutMs = 60000; // 1 minute
@@ -357,86 +786,53 @@ async function getTokenViaLaunchWebAuthFlow(authUrlString, state, clientId) {
       console.error('[Google Auth] launchWebAuthFlow timed out after', timeoutMs, 'ms');
       reject(new Error('Authentication timed out. Please try again.'));
     }, timeoutMs);
-    
+
     chrome.identity.launchWebAuthFlow(
       { url: authUrlString, interactive: true },
       (redirectUrl) => {
         clearTimeout(timeoutId);
-        
+
         console.log('[Google Auth] launchWebAuthFlow callback fired');
         console.log('[Google Auth] redirectUrl:', redirectUrl ? 'present' : 'null/empty');
-        console.log('[Google Auth] lastError:', chrome.runtime.lastError ? chrome.runtime.lastError.message : 'none');
-        
+
         if (chrome.runtime.lastError) {
           console.error('[Google Auth] launchWebAuthFlow error:', chrome.runtime.lastError.message);
           reject(new Error(chrome.runtime.lastError.message));
           return;
         }
-        
+
         if (!redirectUrl) {
           console.error('[Google Auth] No redirect URL received');
           reject(new Error('No redirect URL received'));
           return;
         }
-        
-        // Parse access token from redirect URL hash
-        const hash = redirectUrl.split('#')[1];
-        if (!hash) {
-          console.error('[Google Auth] No hash in redirect URL:', redirectUrl);
-          reject(new Error('No hash in redirect URL'));
-          return;
-        }
-        
-        const params = new URLSearchParams(hash);
-        const accessToken = params.get('access_token');
-        const returnedState = params.get('state');
-        const errorParam = params.get('error');
-        
-        console.log('[Google Auth] Parsed params - access_token:', accessToken ? 'present' : 'missing', 'state:', returnedState, 'error:', errorParam);
-        
-        if (!accessToken) {
-          const error = errorParam || 'No access token in response';
-          console.error('[Google Auth] No access token:', error);
-          reject(new Error(error));
-          return;
-        }
-        
-        // Verify state to prevent CSRF
-        if (returnedState !== state) {
-          console.error('[Google Auth] State mismatch! Expected:', state, 'Got:', returnedState);
-          reject(new Error('State mismatch - possible CSRF attack'));
-          return;
-        }
-        
-        console.log('[Google Auth] Successfully got access token!');
-        resolve(accessToken);
+
+        resolve(redirectUrl);
       }
     );
   });
 }
 
 /**
- * Login with Google using getAuthToken with fallback to launchWebAuthFlow
- * @returns {Promise<{success: boolean, user?: object, error?: string}>}
+ * Login with Google
+ * Links the chosen account next to the ones already linked and makes it
+ * active; signing in to a linked account again replaces its tokens.
+ * @returns {Promise<{success: boolean, user?: GoogleAccount, error?: string}>}
  */
 export async function loginGoogle() {
   try {
-    // Get auth token with fallback for mobile
-    const token = await getAuthTokenWithFallback(true);
-
-    // Store token and timestamp
-    await setLocalItem(STORAGE_KEY_TOKEN, token);
-    await setLocalItem(STORAGE_KEY_TOKEN_TIME, Date.now());
+    const record = await signInInteractive();
 
     // Fetch user profile
-    const user = await fetchUserProfile(token);
-    
+    const user = await fetchUserProfile(record.accessToken);
+
     if (!user) {
       throw new Error('Failed to fetch user profile');
     }
 
-    // Store user profile
-    await setLocalItem(STORAGE_KEY_USER, user);
+    await storeTokens(user.id, record);
+    await saveAccountProfile(user);
+    await setLocalItem(STORAGE_KEY_ACTIVE, user.id);
 
     return { success: true, user };
   } catch (error) {
@@ -446,34 +842,35 @@ export async function loginGoogle() {
 }
 
 /**
- * Logout from Google
- * Removes token from storage and from Chrome's cache
+ * Unlink a Google account
+ * Revokes the grant (refresh token revokes its access tokens too) and
+ * removes the stored tokens. Other linked accounts stay signed in.
+ * @param {string|null} [accountId] - Default: active account
  * @returns {Promise<{success: boolean, error?: string}>}
  */
-export async function logoutGoogle() {
+export async function logoutGoogle(accountId = null) {
   try {
-    const token = await getLocalItem(STORAGE_KEY_TOKEN);
-    
+    const id = await resolveAccountId(accountId);
+    if (!id) return { success: true };
+
+    const record = await loadTokens(id);
+    const token = record?.refreshToken || record?.accessToken;
+
     if (token) {
-      // Remove cached token from Chrome
-      await new Promise((resolve) => {
-        chrome.identity.removeCachedAuthToken({ token }, resolve);
-      });
-      
-      // Also revoke token if possible (optional, for security)
+      // Revoke token if possible (optional, for security)
       try {
-        await fetch(`https://accounts.google.com/o/oauth2/revoke?token=${token}`, {
-          method: 'GET'
+        const { revokeUrl } = await getOAuthConfig();
+        await fetch(revokeUrl, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          body: new URLSearchParams({ token }),
         });
       } catch (e) {
         // Ignore revoke errors
       }
     }
 
-    // Clear stored data
-    await removeLocalItem(STORAGE_KEY_TOKEN);
-    await removeLocalItem(STORAGE_KEY_TOKEN_TIME);
-    await removeLocalItem(STORAGE_KEY_USER);
+    await removeAccount(id);
 
     return { success: true };
   } catch (error) {
@@ -482,63 +879,75 @@ export async function logoutGoogle() {
   }
 }
 
+/**
+ * Unlink every Google account (e.g. after switching OAuth clients)
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function logoutAllGoogle() {
+  for (const account of await getLinkedAccounts()) {
+    const result = await logoutGoogle(account.id);
+    if (!result.success) return result;
+  }
+  return { success: true };
+}
+
 /**
  * Refresh user profile (useful after page reload)
- * @returns {Promise<{success: boolean, user?: object, error?: string}>}
+ * Renews the access token first when needed. A failure only unlinks the
+ * account when Google rejected its refresh token or the stored tokens can't
+ * be decrypted; network and server errors leave it linked.
+ * @param {string|null} [accountId] - Default: active account
+ * @returns {Promise<{success: boolean, user?: GoogleAccount, error?: string, signedOut?: boolean}>}
+ *   signedOut: the account is no longer linked and needs a new sign-in
  */
-export async function refreshUserProfile() {
+export async function refreshUserProfile(accountId = null) {
+  // Being offline must not sign the user out
+  if (navigator.onLine === false) {
+    return { success: false, error: 'Offline' };
+  }
+
+  const id = await resolveAccountId(accountId);
   try {
-    const token = await getLocalItem(STORAGE_KEY_TOKEN);
-    
+    let token = id ? await getAuthToken(id) : null;
+
     if (!token) {
-      return { success: false, error: 'Not logged in' };
+      throw new Error(id && (await isLoggedIn(id))
+        ? 'Could not renew the Google session. Please try again.'
+        : 'Not logged in');
     }
 
     // Try to fetch profile with existing token
-    const user = await fetchUserProfile(token);
-    
-    if (user) {
-      await setLocalItem(STORAGE_KEY_USER, user);
-      // Update timestamp on successful validation
-      await setLocalItem(STORAGE_KEY_TOKEN_TIME, Date.now());
-      return { success: true, user };
+    let user = await fetchUserProfile(token);
+
+    // Revoked before its expiry: renew once and retry
+    if (!user) {
+      token = await renewAuthToken(id);
+      user = token ? await fetchUserProfile(token) : null;
     }
 
-    // Token might be expired, try to get new token non-interactively
-    // Note: On mobile, this will likely fail, requiring re-login
-    try {
-      const newToken = await getAuthTokenWithFallback(false);
-      await setLocalItem(STORAGE_KEY_TOKEN, newToken);
-      await setLocalItem(STORAGE_KEY_TOKEN_TIME, Date.now());
-      const refreshedUser = await fetchUserProfile(newToken);
-      
-      if (refreshedUser) {
-        await setLocalItem(STORAGE_KEY_USER, refreshedUser);
-        return { success: true, user: refreshedUser };
-      }
-    } catch (refreshError) {
-      console.log('[Google Auth] Non-interactive refresh failed:', refreshError.message);
+    if (user) {
+      // Keep the linked ID even if Google now reports it differently
+      await saveAccountProfile({ ...user, id });
+      return { success: true, user };
     }
 
     throw new Error('Failed to refresh profile');
   } catch (error) {
     console.error('[Google Auth] Refresh failed:', error);
-    // Clear stored data if refresh fails
-    await removeLocalItem(STORAGE_KEY_TOKEN);
-    await removeLocalItem(STORAGE_KEY_TOKEN_TIME);
-    await removeLocalItem(STORAGE_KEY_USER);
-    return { success: false, error: error.message };
+    // renewTokens() and loadTokens() already unlinked the account if it is unusable
+    return { success: false, error: error.message, signedOut: !id || !(await isLoggedIn(id)) };
   }
 }
 
 /**
  * Fetch user profile from Google API
- * @param {string} token 
- * @returns {Promise<{name: string, email: string, picture: string} | null>}
+ * @param {string} token
+ * @returns {Promise<GoogleAccount|null>}
  */
 async function fetchUserProfile(token) {
   try {
-    const response = await fetch(GOOGLE_USERINFO_URL, {
+    const { userinfoUrl } = await getOAuthConfig();
+    const response = await fetch(userinfoUrl, {
       headers: {
         'Authorization': `Bearer ${token}`,
         'Accept': 'application/json'
@@ -550,12 +959,12 @@ async function fetchUserProfile(token) {
     }
 
     const data = await response.json();
-    
+
     return {
       name: data.name || 'Google User',
       email: data.email || '',
       picture: data.picture || null,
-      id: data.id || ''
+      id: data.id || data.sub || data.email
     };
   } catch (error) {
     console.error('[Google Auth] Fetch profile failed:', error);
@@ -566,24 +975,26 @@ async function fetchUserProfile(token) {
 /**
  * Validate if current token is still valid
  * Makes an actual API call to verify token is not expired/revoked
+ * @param {string|null} [accountId] - Default: active account
  * @returns {Promise<boolean>}
  */
-export async function validateToken() {
-  const token = await getLocalItem(STORAGE_KEY_TOKEN);
+export async function validateToken(accountId = null) {
+  const id = await resolveAccountId(accountId);
+  const token = id ? await getAuthToken(id) : null;
   if (!token) return false;
 
   try {
-    const response = await fetch(GOOGLE_USERINFO_URL, {
+    const { userinfoUrl } = await getOAuthConfig();
+    const response = await fetch(userinfoUrl, {
       headers: { 'Authorization': `Bearer ${token}` }
     });
-    
-    // If token is expired or invalid, clear it
+
+    // Revoked before its expiry: a renewal tells whether the grant still exists
     if (response.status === 401) {
-      console.log('[Google Auth] Token invalidated (401), clearing...');
-      await clearInvalidToken();
-      return false;
+      console.log('[Google Auth] Token rejected (401), renewing...');
+      return !!(await renewAuthToken(id));
     }
-    
+
     return response.ok;
   } catch (error) {
     console.error('[Google Auth] Token validation error:', error);
@@ -593,42 +1004,194 @@ export async function validateToken() {
 
 /**
  * Clear invalid token from storage
- * Called when token is expired, revoked, or invalid
+ * Called when token is expired, revoked, or invalid; the account is
+ * unlinked until the user signs in to it again.
+ * @param {string|null} [accountId] - Default: active account
  * @returns {Promise<void>}
  */
-export async function clearInvalidToken() {
+export async function clearInvalidToken(accountId = null) {
+  const id = await resolveAccountId(accountId);
+  if (!id) return;
   console.log('[Google Auth] Clearing invalid token...');
-  await removeLocalItem(STORAGE_KEY_TOKEN);
-  await removeLocalItem(STORAGE_KEY_TOKEN_TIME);
-  await removeLocalItem(STORAGE_KEY_USER);
-}
-
-/**
- * Get valid auth token with validation
- * Validates token before returning, clears if invalid
- * @returns {Promise<string|null>} - Valid token or null if invalid/not found
- */
-export async function getValidAuthToken() {
-  const token = await getLocalItem(STORAGE_KEY_TOKEN);
-  const tokenTime = await getLocalItem(STORAGE_KEY_TOKEN_TIME);
-  
-  if (!token) return null;
-  
-  // Check if token is expired based on timestamp
-  if (tokenTime) {
-    const elapsed = Date.now() - tokenTime;
-    if (elapsed > TOKEN_VALIDITY_MS) {
-      console.log('[Google Auth] Token expired based on timestamp, clearing...');
-      await clearInvalidToken();
-      return null;
+  await removeAccount(id);
+}
+
+/**
+ * Get a usable auth token for API requests
+ * Expiry comes from `expires_in`, so no extra validation request is needed;
+ * a token revoked early shows up as a 401 and is renewed by the caller.
+ * @param {string|null} [accountId] - Default: active account
+ * @returns {Promise<string|null>} - Valid token or null if signing in again is needed
+ */
+export async function getValidAuthToken(accountId = null) {
+  return getAuthToken(accountId);
+}
+
+// ─── Client settings & diagnostics ───────────────────────────────────────────
+
+/**
+ * Redirect URI to register on the OAuth clients
+ * @returns {string} https://<extension-id>.chromiumapp.org/
+ */
+export function getRedirectUri() {
+  return chrome.identity.getRedirectURL();
+}
+
+/**
+ * Get the OAuth client settings entered by the user
+ * Empty values mean the built-in clients are used.
+ * @returns {Promise<{desktopClientId: string, desktopClientSecret: string, webClientId: string, webClientSecret: string}>}
+ */
+export async function getOAuthClientSettings() {
+  const saved = (await getLocalItem(STORAGE_KEY_CONFIG)) || {};
+  return {
+    desktopClientId: saved.desktopClientId || '',
+    desktopClientSecret: saved.desktopClientSecret || '',
+    webClientId: saved.webClientId || '',
+    webClientSecret: saved.webClientSecret || '',
+  };
+}
+
+/**
+ * Save OAuth client settings; endpoint overrides are kept
+ * Tokens belong to the client that issued them, so the caller should sign
+ * out when the client for this device changes.
+ * @param {{desktopClientId?: string, desktopClientSecret?: string, webClientId?: string, webClientSecret?: string}} settings
+ * @returns {Promise<boolean>} True if the client used on this device changed
+ * @throws {Error} If a client ID doesn't look like a Google client ID
+ */
+export async function saveOAuthClientSettings(settings) {
+  const before = await getOAuthConfig();
+  const cleaned = {};
+  for (const key of ['desktopClientId', 'desktopClientSecret', 'webClientId', 'webClientSecret']) {
+    cleaned[key] = (settings[key] || '').trim();
+  }
+
+  const usesGoogle = new URL(before.authUrl).hostname === 'accounts.google.com';
+  for (const key of ['desktopClientId', 'webClientId']) {
+    if (usesGoogle && cleaned[key] && !/^[\w-]+\.apps\.googleusercontent\.com$/.test(cleaned[key])) {
+      throw new Error('Client IDs end with .apps.googleusercontent.com');
     }
   }
-  
-  // Additional validation: make sure token is still valid with Google
-  const isValid = await validateToken();
-  if (!isValid) {
-    return null;
+
+  const saved = (await getLocalItem(STORAGE_KEY_CONFIG)) || {};
+  await setLocalItem(STORAGE_KEY_CONFIG, { ...saved, ...cleaned });
+  const after = await getOAuthConfig();
+  return after.clientId !== before.clientId || after.clientSecret !== before.clientSecret;
+}
+
+/**
+ * Ask for access to the OAuth endpoints so diagnostics can read their
+ * responses (must run from a user gesture)
+ * @returns {Promise<boolean>}
+ */
+export async function requestOAuthDiagnosticsAccess() {
+  const { authUrl, tokenUrl } = await getOAuthConfig();
+  const origins = [...new Set([authUrl, tokenUrl].map(url => `${new URL(url).origin}/*`))];
+  try {
+    return await chrome.permissions.request({ origins });
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Find a known OAuth error code in a Google error page
+ * Google redirects errors to /signin/oauth/error with a base64 `authError`.
+ * @param {string} url - Final URL after redirects
+ * @param {string} body - Page content
+ * @returns {string|null} Null when the consent page loaded normally
+ */
+function findOAuthErrorCode(url, body) {
+  const parsed = new URL(url);
+  const direct = parsed.searchParams.get('error');
+  if (direct) return direct;
+  // The consent page itself mentions error codes in its scripts
+  if (!parsed.pathname.includes('/error')) return null;
+
+  let text = `${url} ${body}`;
+  const authError = parsed.searchParams.get('authError');
+  if (authError) {
+    try {
+      text += atob(authError.replace(/-/g, '+').replace(/_/g, '/'));
+    } catch {
+      // Not base64; the page text is checked anyway
+    }
+  }
+  return [...Object.keys(OAUTH_ERROR_HELP), 'invalid_request'].find(code => text.includes(code)) || 'unknown_error';
+}
+
+/**
+ * Check the OAuth setup for this device without signing in
+ * Loads the consent page like sign-in would and sends a dummy code to the
+ * token endpoint, so redirect URI and client problems show up before the
+ * first backup. Call requestOAuthDiagnosticsAccess() first.
+ * @returns {Promise<Array<{check: string, status: 'ok'|'warn'|'error', detail: string}>>}
+ */
+export async function diagnoseOAuth() {
+  const config = await getOAuthConfig();
+  const redirectUri = getRedirectUri();
+  const context = { clientId: config.clientId, redirectUri };
+  const results = [];
+
+  const usesGoogle = new URL(config.authUrl).hostname === 'accounts.google.com';
+  if (usesGoogle && !/^[\w-]+\.apps\.googleusercontent\.com$/.test(config.clientId)) {
+    results.push({ check: 'Client ID', status: 'error', detail: `"${config.clientId}" is not a Google OAuth client ID` });
+  } else if (config.clientSource === 'built-in') {
+    results.push({
+      check: 'Client ID',
+      status: 'ok',
+      detail: `Built-in client in use (${config.clientId}). It signs in without a refresh token; ` +
+        'set up your own client if sign-in fails or you need renewal on mobile.',
+    });
+  } else {
+    results.push({ check: 'Client ID', status: 'ok', detail: `Your client: ${config.clientId}` });
+  }
+
+  results.push({ check: 'Redirect URI', status: 'ok', detail: redirectUri });
+
+  // Consent page: Google reports a bad client or redirect URI before any sign-in
+  try {
+    const authUrl = new URL(config.authUrl);
+    authUrl.searchParams.set('client_id', config.clientId);
+    authUrl.searchParams.set('response_type', config.flow);
+    authUrl.searchParams.set('redirect_uri', redirectUri);
+    authUrl.searchParams.set('scope', OAUTH2_SCOPES.join(' '));
+    if (config.flow === 'code') {
+      authUrl.searchParams.set('code_challenge', toBase64Url(randomBytes(32)));
+      authUrl.searchParams.set('code_challenge_method', 'S256');
+    }
+
+    const response = await fetch(authUrl, { credentials: 'omit' });
+    const code = findOAuthErrorCode(response.url, await response.text());
+    results.push(code
+      ? { check: 'Sign-in page', status: 'error', detail: explainOAuthError(code, `Google rejected the sign-in request (${code})`, context) }
+      : { check: 'Sign-in page', status: 'ok', detail: 'Client and redirect URI accepted' });
+  } catch (error) {
+    results.push({ check: 'Sign-in page', status: 'warn', detail: `Could not check: ${error.message}` });
   }
-  
-  return token;
+
+  if (config.flow === 'token') {
+    results.push({ check: 'Token exchange', status: 'ok', detail: 'Not used: the built-in client gets tokens from the sign-in page' });
+    return results;
+  }
+
+  // Token endpoint: a dummy code must fail with invalid_grant, not a client error
+  try {
+    await requestToken(config, {
+      grant_type: 'authorization_code',
+      code: 'azkura-diagnostics',
+      code_verifier: toBase64Url(randomBytes(32)),
+      redirect_uri: redirectUri,
+    });
+    results.push({ check: 'Token exchange', status: 'warn', detail: 'Unexpectedly accepted a dummy code' });
+  } catch (error) {
+    if (error.invalidGrant) {
+      results.push({ check: 'Token exchange', status: 'ok', detail: 'Client credentials accepted' });
+    } else {
+      results.push({ check: 'Token exchange', status: error.offline ? 'warn' : 'error', detail: error.message });
+    }
+  }
+
+  return results;
 }
@@ -1,81 +1,161 @@
 /**
  * Google Drive API module for Azkura Auth
  * Handles backup/restore operations to Google Drive
+ *
+ * Backups and the sync vault live in a dedicated "Azkura Auth" folder and
+ * carry appProperties (device, account count, app version, encryption,
+ * manual/automatic), so the restore list can show and filter them without
+ * downloading each file. Backups from older versions in the Drive root are
+ * still listed.
+ *
+ * Every function takes an optional `accountId` to pick one of the linked
+ * Google accounts; without it the active account is used.
  */
 
-import { getAuthToken, getValidAuthToken, refreshUserProfile, logoutGoogle, clearInvalidToken } from './google-auth.js';
-import { getFolders } from './storage.js';
+import { isLoggedIn, getValidAuthToken, renewAuthToken, getActiveAccountId } from './google-auth.js';
+import { md5 } from '@noble/hashes/legacy.js';
+import { bytesToHex } from '@noble/hashes/utils.js';
+import { getFolders, getLocalItem, setLocalItem, getDeviceName } from './storage.js';
+import { createBackupDocument, isBackupDocument } from './accounts.js';
 
-const DRIVE_UPLOAD_URL = 'https://www.googleapis.com/upload/drive/v3/files?uploadType=multipart';
+const DRIVE_UPLOAD_URL = 'https://www.googleapis.com/upload/drive/v3/files';
 const DRIVE_FILES_URL = 'https://www.googleapis.com/drive/v3/files';
 
-// Token refresh tracking to prevent infinite loops
-let isRefreshingToken = false;
-let tokenRefreshQueue = [];
+const BACKUP_FOLDER_NAME = 'Azkura Auth';
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+const STORAGE_KEY_FOLDER_ID = 'driveFolderId'; // account ID → folder ID
+const LIST_FIELDS = 'nextPageToken,files(id,name,createdTime,size,appProperties)';
+const UPLOAD_FIELDS = 'id,md5Checksum,size';
+
+// Retries for rate limits, server errors and flaky connections
+const MAX_ATTEMPTS = 5;
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 32000;
+const RATE_LIMIT_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded'];
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+// 403 reasons that mean the token can't be used; others (storageQuotaExceeded,
+// insufficientFilePermissions, domainPolicy, ...) are shown as Drive reports them
+const AUTH_ERROR_REASONS = ['authError', 'invalidCredentials', 'insufficientPermissions'];
+
+// Files above this size use a resumable upload, sent in chunks
+const RESUMABLE_THRESHOLD = 256 * 1024;
+const RESUMABLE_CHUNK_SIZE = 256 * 1024; // Drive requires multiples of 256 KiB
 
 /**
- * Handle token expiration by refreshing or prompting re-login
- * On mobile: clears invalid token since auto-refresh may not work
+ * Handle token expiration by renewing the access token silently
+ * Works on mobile and in the service worker too; when the refresh token is
+ * gone or revoked, the user has to sign in again.
+ * @param {string|null} accountId
  * @returns {Promise<boolean>} - true if token was refreshed successfully
  */
-async function handleTokenExpiration() {
-  if (isRefreshingToken) {
-    // Wait for ongoing refresh
-    return new Promise((resolve) => {
-      tokenRefreshQueue.push(resolve);
-    });
+async function handleTokenExpiration(accountId) {
+  const token = await renewAuthToken(accountId);
+  if (!token) {
+    console.log('[Google Drive] Token renewal failed, sign-in required');
   }
+  return !!token;
+}
 
-  isRefreshingToken = true;
-  
-  try {
-    // Detect mobile - on mobile, auto-refresh often doesn't work reliably
-    const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
-    
-    if (isMobile) {
-      console.log('[Google Drive] Mobile detected, clearing invalid token instead of refresh');
-      // On mobile, clear the invalid token and let user re-login
-      await clearInvalidToken();
-      tokenRefreshQueue.forEach(resolve => resolve(false));
-      tokenRefreshQueue = [];
-      return false;
-    }
-    
-    // Try to refresh user profile (this will get a new token if possible)
-    const result = await refreshUserProfile();
-    
-    if (result.success) {
-      // Notify all waiting operations
-      tokenRefreshQueue.forEach(resolve => resolve(true));
-      tokenRefreshQueue = [];
-      return true;
-    } else {
-      // Refresh failed, clear invalid token
-      console.log('[Google Drive] Token refresh failed, clearing invalid token');
-      await clearInvalidToken();
-      tokenRefreshQueue.forEach(resolve => resolve(false));
-      tokenRefreshQueue = [];
-      return false;
-    }
-  } catch (error) {
-    console.error('[Google Drive] Token refresh failed:', error);
-    // Clear invalid token instead of full logout to preserve user profile info
-    await clearInvalidToken();
-    tokenRefreshQueue.forEach(resolve => resolve(false));
-    tokenRefreshQueue = [];
-    return false;
-  } finally {
-    isRefreshingToken = false;
-  }
+/**
+ * Read the `error.errors[].reason` values of a failed Drive response
+ * @param {Response} response
+ * @returns {Promise<string[]>}
+ */
+async function getErrorReasons(response) {
+  const body = await response.clone().json().catch(() => ({}));
+  return (body.error?.errors || []).map(e => e.reason);
+}
+
+/**
+ * Check if a 403 response is a rate limit rather than a permission problem
+ * @param {Response} response
+ * @returns {Promise<boolean>}
+ */
+async function isRateLimited(response) {
+  if (response.status !== 403) return false;
+  return (await getErrorReasons(response)).some(reason => RATE_LIMIT_REASONS.includes(reason));
 }
 
 /**
  * Check if error is due to authentication failure
- * @param {Response} response 
- * @returns {boolean}
+ * Only a 401, or a 403 whose reason is about the token, means signing in
+ * again could help.
+ * @param {Response} response
+ * @returns {Promise<boolean>}
+ */
+async function isAuthError(response) {
+  if (response.status === 401) return true;
+  if (response.status !== 403) return false;
+  return (await getErrorReasons(response)).some(reason => AUTH_ERROR_REASONS.includes(reason));
+}
+
+/**
+ * Error for requests that failed because the device is offline
+ * Callers can check `error.offline` to queue the work for later.
+ * @returns {Error}
+ */
+function offlineError() {
+  const error = new Error('Failed to fetch. Please check your internet connection.');
+  error.offline = true;
+  return error;
+}
+
+/**
+ * How long to wait before the next attempt: Retry-After if Drive sent one,
+ * otherwise exponential backoff with jitter
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Response} [response]
+ * @returns {number|null} Delay in ms, or null if Drive asks to wait longer than BACKOFF_MAX_MS
  */
-function isAuthError(response) {
-  return response.status === 401 || response.status === 403;
+function backoffDelay(attempt, response = null) {
+  const retryAfter = parseInt(response?.headers.get('Retry-After'), 10);
+  if (retryAfter > 0) {
+    return retryAfter * 1000 <= BACKOFF_MAX_MS ? retryAfter * 1000 : null;
+  }
+  return Math.min(BACKOFF_BASE_MS * 2 ** (attempt - 1), BACKOFF_MAX_MS) + Math.random() * 1000;
+}
+
+/**
+ * fetch() with exponential backoff on 429, 5xx, rate-limited 403s and
+ * network errors
+ * 429 and rate limits mean Drive didn't run the request, so every method is
+ * retried. After a 5xx or a lost connection the request may have gone
+ * through, so only idempotent methods are sent again: replaying a POST
+ * could create a duplicate backup file.
+ * @param {string} url
+ * @param {object} options - Fetch options
+ * @returns {Promise<Response>} Last response (may still be an error status)
+ * @throws {Error} If the network stays unreachable (error.offline when the device is offline)
+ */
+async function fetchWithBackoff(url, options) {
+  const idempotent = IDEMPOTENT_METHODS.includes((options.method || 'GET').toUpperCase());
+
+  for (let attempt = 1; ; attempt++) {
+    let response;
+    try {
+      response = await fetch(url, options);
+    } catch {
+      if (navigator.onLine === false || attempt >= MAX_ATTEMPTS) throw offlineError();
+      if (!idempotent) {
+        throw new Error('Lost the connection to Google Drive. Check Drive before trying again.');
+      }
+      console.log('[Google Drive] Network error, retrying (attempt', attempt, ')');
+      await new Promise(resolve => setTimeout(resolve, backoffDelay(attempt)));
+      continue;
+    }
+
+    const rejected = response.status === 429 || (await isRateLimited(response));
+    const retryable = rejected || (idempotent && response.status >= 500);
+    if (!retryable || attempt >= MAX_ATTEMPTS) return response;
+
+    const delay = backoffDelay(attempt, response);
+    if (delay === null) {
+      console.log('[Google Drive] HTTP', response.status, '- Retry-After too long, giving up');
+      return response;
+    }
+    console.log('[Google Drive] HTTP', response.status, '- backing off (attempt', attempt, ')');
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
 }
 
 /**
@@ -83,19 +163,25 @@ function isAuthError(response) {
  * Validates token before use and handles token expiration gracefully
  * @param {string} url - API URL
  * @param {object} options - Fetch options
+ * @param {string|null} [accountId] - Linked Google account (default: active)
  * @param {boolean} [retry=true] - Whether to retry on 401
  * @returns {Promise<Response>}
  */
-async function driveApiRequest(url, options = {}, retry = true) {
+async function driveApiRequest(url, options = {}, accountId = null, retry = true) {
+  // Don't mistake being offline for an expired session
+  if (navigator.onLine === false) {
+    throw offlineError();
+  }
+
   // Use getValidAuthToken to ensure token is validated before use
-  let token = await getValidAuthToken();
+  let token = await getValidAuthToken(accountId);
   
   // If no valid token, try to refresh once
   if (!token && retry) {
     console.log('[Google Drive] No valid token, attempting refresh...');
-    const refreshed = await handleTokenExpiration();
+    const refreshed = await handleTokenExpiration(accountId);
     if (refreshed) {
-      token = await getValidAuthToken();
+      token = await getValidAuthToken(accountId);
     }
   }
   
@@ -111,29 +197,25 @@ async function driveApiRequest(url, options = {}, retry = true) {
     }
   };
 
-  let response;
-  try {
-    response = await fetch(url, authOptions);
-  } catch (fetchError) {
-    throw new Error('Failed to fetch. Please check your internet connection.');
-  }
+  const response = await fetchWithBackoff(url, authOptions);
+  const authFailed = await isAuthError(response);
 
   // Handle 401 Unauthorized - token expired
-  if (isAuthError(response) && retry) {
+  if (authFailed && retry) {
     console.log('[Google Drive] Token expired, attempting refresh...');
-    const refreshed = await handleTokenExpiration();
+    const refreshed = await handleTokenExpiration(accountId);
     
     if (refreshed) {
       // Retry the request with new token
       console.log('[Google Drive] Token refreshed, retrying request...');
-      return driveApiRequest(url, options, false); // Don't retry again
+      return driveApiRequest(url, options, accountId, false); // Don't retry again
     } else {
       throw new Error('Session expired. Please sign in again.');
     }
   }
   
   // Handle 401/403 without retry - token is truly invalid
-  if (isAuthError(response) && !retry) {
+  if (authFailed && !retry) {
     throw new Error('Session expired. Please sign in again.');
   }
 
@@ -141,75 +223,306 @@ async function driveApiRequest(url, options = {}, retry = true) {
 }
 
 /**
- * Upload backup file to Google Drive
- * @param {object} accountsData - The accounts data to backup
- * @param {string} [filename] - Optional custom filename
- * @returns {Promise<{success: boolean, fileId?: string, fileName?: string, error?: string}>}
+ * Quote a value for a Drive search query
+ * @param {string} value
+ * @returns {string}
  */
-export async function uploadBackupToDrive(accountsData, filename = null) {
-  try {
-    // Generate filename with timestamp
-    const timestamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
-    const fileName = filename || `azkura-backup-${timestamp}.json`;
-
-    // Get folders data
-    const foldersData = await getFolders();
-
-    // Prepare backup data structure
-    const backupData = {
-      app: 'azkura-auth',
-      version: chrome.runtime.getManifest().version,
-      exportedAt: new Date().toISOString(),
-      accountCount: accountsData.length,
-      folderCount: foldersData.length,
-      accounts: accountsData,
-      folders: foldersData
-    };
-
-    const fileContent = JSON.stringify(backupData, null, 2);
+function queryValue(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
 
-    // Create multipart request body
-    const boundary = '-------314159265358979323846';
-    const delimiter = `\r\n--${boundary}\r\n`;
-    const closeDelimiter = `\r\n--${boundary}--`;
+/**
+ * Get the id of the "Azkura Auth" folder, creating it on first use
+ * The id is cached locally per account and re-checked, in case the folder
+ * was deleted.
+ * @param {string} accountId
+ * @returns {Promise<string>}
+ * @throws {Error} If Drive is unreachable
+ */
+async function getBackupFolderId(accountId) {
+  // Older versions cached a single ID as a string; it is looked up again
+  const stored = await getLocalItem(STORAGE_KEY_FOLDER_ID);
+  const cache = stored && typeof stored === 'object' ? stored : {};
+  const cachedId = cache[accountId];
+  if (cachedId) {
+    const check = await driveApiRequest(`${DRIVE_FILES_URL}/${cachedId}?fields=id,trashed`, { method: 'GET' }, accountId);
+    if (check.ok && !(await check.json()).trashed) return cachedId;
+  }
 
-    const metadata = {
-      name: fileName,
-      mimeType: 'application/json',
-      description: 'Azkura Auth Backup - TOTP Authenticator Data'
-    };
+  const query = encodeURIComponent(`name = ${queryValue(BACKUP_FOLDER_NAME)} and mimeType = '${FOLDER_MIME_TYPE}' and trashed = false`);
+  const found = await driveApiRequest(`${DRIVE_FILES_URL}?q=${query}&pageSize=1&fields=files(id)`, { method: 'GET' }, accountId);
+  if (!found.ok) {
+    await throwDriveError(found);
+  }
 
-    const multipartRequestBody =
-      delimiter +
-      'Content-Type: application/json; charset=UTF-8\r\n\r\n' +
-      JSON.stringify(metadata) +
-      delimiter +
-      'Content-Type: application/json\r\n\r\n' +
-      fileContent +
-      closeDelimiter;
-
-    // Upload to Drive using authenticated request
-    const response = await driveApiRequest(DRIVE_UPLOAD_URL, {
+  let folderId = (await found.json()).files?.[0]?.id;
+  if (!folderId) {
+    const created = await driveApiRequest(`${DRIVE_FILES_URL}?fields=id`, {
       method: 'POST',
-      headers: {
-        'Content-Type': `multipart/related; boundary="${boundary}"`
-      },
-      body: multipartRequestBody
-    });
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: BACKUP_FOLDER_NAME, mimeType: FOLDER_MIME_TYPE })
+    }, accountId);
+    if (!created.ok) {
+      await throwDriveError(created);
+    }
+    folderId = (await created.json()).id;
+    console.log('[Google Drive] Created backup folder');
+  }
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.error?.message || `HTTP ${response.status}`);
+  await setLocalItem(STORAGE_KEY_FOLDER_ID, { ...cache, [accountId]: folderId });
+  return folderId;
+}
+
+/**
+ * Throw the error message Drive sent with a failed response
+ * @param {Response} response
+ * @throws {Error}
+ */
+async function throwDriveError(response) {
+  const errorData = await response.json().catch(() => ({}));
+  throw new Error(errorData.error?.message || `HTTP ${response.status}`);
+}
+
+/**
+ * Upload a small file in one multipart request
+ * @param {string} url - Upload URL (without uploadType)
+ * @param {string} method - POST to create, PATCH to overwrite
+ * @param {object} metadata
+ * @param {string} fileContent
+ * @param {string} accountId
+ * @returns {Promise<object>} Drive file resource
+ */
+async function multipartUpload(url, method, metadata, fileContent, accountId) {
+  // Create multipart request body
+  const boundary = '-------314159265358979323846';
+  const delimiter = `\r\n--${boundary}\r\n`;
+  const closeDelimiter = `\r\n--${boundary}--`;
+
+  const multipartRequestBody =
+    delimiter +
+    'Content-Type: application/json; charset=UTF-8\r\n\r\n' +
+    JSON.stringify(metadata) +
+    delimiter +
+    'Content-Type: application/json\r\n\r\n' +
+    fileContent +
+    closeDelimiter;
+
+  // Upload to Drive using authenticated request
+  const response = await driveApiRequest(`${url}&uploadType=multipart`, {
+    method,
+    headers: {
+      'Content-Type': `multipart/related; boundary="${boundary}"`
+    },
+    body: multipartRequestBody
+  }, accountId);
+
+  if (!response.ok) await throwDriveError(response);
+  return response.json();
+}
+
+/**
+ * Ask a resumable upload session how many bytes Drive already has
+ * @param {string} sessionUrl
+ * @param {number} total - Total file size
+ * @returns {Promise<{offset: number, response: Response}>} offset is total when the upload finished
+ */
+async function queryResumableOffset(sessionUrl, total) {
+  const response = await fetchWithBackoff(sessionUrl, {
+    method: 'PUT',
+    headers: { 'Content-Range': `bytes */${total}` }
+  });
+  if (response.ok) return { offset: total, response };
+  if (response.status !== 308) await throwDriveError(response);
+
+  const range = response.headers.get('Range'); // "bytes=0-524287"
+  return { offset: range ? parseInt(range.split('-')[1], 10) + 1 : 0, response };
+}
+
+/**
+ * Upload a large file in chunks through a resumable upload session
+ * A chunk lost to a dropped connection is resumed from the last byte Drive
+ * confirmed instead of restarting the whole upload.
+ * @param {string} url - Upload URL (without uploadType)
+ * @param {string} method - POST to create, PATCH to overwrite
+ * @param {object} metadata
+ * @param {Uint8Array} bytes - File content
+ * @param {string} accountId
+ * @returns {Promise<object>} Drive file resource
+ */
+async function resumableUpload(url, method, metadata, bytes, accountId) {
+  const start = await driveApiRequest(`${url}&uploadType=resumable`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json; charset=UTF-8',
+      'X-Upload-Content-Type': 'application/json',
+      'X-Upload-Content-Length': String(bytes.length)
+    },
+    body: JSON.stringify(metadata)
+  }, accountId);
+  if (!start.ok) await throwDriveError(start);
+
+  const sessionUrl = start.headers.get('Location');
+  if (!sessionUrl) {
+    throw new Error('Drive did not start the upload session');
+  }
+
+  let offset = 0;
+  let failures = 0;
+  while (true) {
+    const end = Math.min(offset + RESUMABLE_CHUNK_SIZE, bytes.length);
+    let response;
+    try {
+      response = await fetchWithBackoff(sessionUrl, {
+        method: 'PUT',
+        headers: { 'Content-Range': `bytes ${offset}-${end - 1}/${bytes.length}` },
+        body: bytes.slice(offset, end)
+      });
+    } catch (error) {
+      if (error.offline || ++failures >= MAX_ATTEMPTS) throw error;
+      // Connection dropped mid-chunk: continue from what Drive received
+      const status = await queryResumableOffset(sessionUrl, bytes.length);
+      if (status.offset >= bytes.length) return status.response.json();
+      offset = status.offset;
+      continue;
     }
 
-    const result = await response.json();
+    if (response.ok) return response.json();
+    if (response.status !== 308) await throwDriveError(response);
+
+    const range = response.headers.get('Range');
+    offset = range ? parseInt(range.split('-')[1], 10) + 1 : 0;
+  }
+}
+
+/**
+ * Create or overwrite a JSON file in Drive
+ * New files go into the "Azkura Auth" folder. Large files use a resumable
+ * upload. The upload is verified against Drive's md5Checksum.
+ * @param {{name: string, description: string, appProperties?: object}} metadata
+ * @param {string} fileContent - JSON document
+ * @param {string|null} [fileId] - Existing file to overwrite
+ * @param {string|null} [accountId] - Default: active account
+ * @returns {Promise<{id: string}>} Drive file resource
+ * @throws {Error} If the upload fails or the stored file doesn't match
+ */
+async function uploadJsonFile(metadata, fileContent, fileId = null, accountId = null) {
+  // Resolve once, so switching accounts mid-upload can't split the requests
+  const account = accountId || (await getActiveAccountId());
+
+  // Parents can only be set when creating a file
+  const fileMetadata = fileId
+    ? { ...metadata, mimeType: 'application/json' }
+    : { ...metadata, mimeType: 'application/json', parents: [await getBackupFolderId(account)] };
+
+  const url = fileId
+    ? `${DRIVE_UPLOAD_URL}/${fileId}?fields=${UPLOAD_FIELDS}`
+    : `${DRIVE_UPLOAD_URL}?fields=${UPLOAD_FIELDS}`;
+  const method = fileId ? 'PATCH' : 'POST';
+  const bytes = new TextEncoder().encode(fileContent);
+
+  const result = bytes.length > RESUMABLE_THRESHOLD
+    ? await resumableUpload(url, method, fileMetadata, bytes, account)
+    : await multipartUpload(url, method, fileMetadata, fileContent, account);
+
+  if (result.md5Checksum && result.md5Checksum !== bytesToHex(md5(bytes))) {
+    // Don't leave a corrupt new backup behind
+    if (!fileId) await deleteBackupFromDrive(result.id, { accountId: account });
+    throw new Error('Upload verification failed: the file in Drive does not match. Please try again.');
+  }
+
+  return result;
+}
+
+/**
+ * @typedef {object} PreparedBackup
+ * @property {object} metadata - Drive file metadata (name, description, appProperties)
+ * @property {string} content - Backup document; secrets are already encrypted
+ */
+
+/**
+ * Encrypt accounts and folders into a backup ready for upload
+ * Accounts and folders are encrypted client-side with the backup passphrase,
+ * so the file stored in Drive never contains plaintext secrets. A prepared
+ * backup is safe to keep in the offline upload queue.
+ * @param {object} accountsData - The accounts data to backup
+ * @param {string} backupPassword - Backup passphrase (separate from the vault PIN)
+ * @param {object} [options]
+ * @param {string} [options.fileName] - Custom filename
+ * @param {boolean} [options.automatic=false] - Made by scheduled backups (subject to retention)
+ * @returns {Promise<PreparedBackup>}
+ * @throws {Error} If no passphrase is given
+ */
+export async function prepareBackup(accountsData, backupPassword, { fileName: customName = null, automatic = false } = {}) {
+  // Never fall back to the default key for cloud backups
+  if (!backupPassword) {
+    throw new Error('Backup passphrase is required');
+  }
+
+  // Generate filename with timestamp
+  const timestamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+  const fileName = customName || `azkura-backup-${timestamp}.json`;
+
+  // Get folders data
+  const foldersData = await getFolders();
+
+  // Encrypt accounts + folders together with the backup passphrase
+  const backupData = await createBackupDocument(accountsData, foldersData, backupPassword);
+
+  return {
+    metadata: {
+      name: fileName,
+      description: 'Azkura Auth Backup - TOTP Authenticator Data',
+      appProperties: {
+        azkuraType: 'backup',
+        kind: automatic ? 'automatic' : 'manual',
+        deviceName: await getDeviceName(),
+        accountCount: String(accountsData.length),
+        folderCount: String(foldersData.length),
+        appVersion: backupData.version,
+        encrypted: 'true'
+      }
+    },
+    content: JSON.stringify(backupData, null, 2)
+  };
+}
+
+/**
+ * Upload a prepared backup to Google Drive
+ * @param {PreparedBackup} prepared
+ * @param {object} [options]
+ * @param {string|null} [options.accountId] - Linked Google account (default: active)
+ * @returns {Promise<{success: boolean, fileId?: string, fileName?: string, offline?: boolean, error?: string}>}
+ */
+export async function uploadPreparedBackup(prepared, { accountId = null } = {}) {
+  try {
+    const result = await uploadJsonFile(prepared.metadata, prepared.content, null, accountId);
     
     return {
       success: true,
       fileId: result.id,
-      fileName: fileName
+      fileName: prepared.metadata.name
     };
 
+  } catch (error) {
+    console.error('[Google Drive] Upload failed:', error);
+    return {
+      success: false,
+      offline: !!error.offline,
+      error: error.message || 'Failed to upload backup'
+    };
+  }
+}
+
+/**
+ * Upload backup file to Google Drive
+ * @param {object} accountsData - The accounts data to backup
+ * @param {string} backupPassword - Backup passphrase (separate from the vault PIN)
+ * @param {object} [options] - See prepareBackup(), plus accountId (default: active account)
+ * @returns {Promise<{success: boolean, fileId?: string, fileName?: string, offline?: boolean, error?: string}>}
+ */
+export async function uploadBackupToDrive(accountsData, backupPassword, options = {}) {
+  try {
+    return await uploadPreparedBackup(await prepareBackup(accountsData, backupPassword, options), options);
   } catch (error) {
     console.error('[Google Drive] Upload failed:', error);
     return {
@@ -220,32 +533,63 @@ export async function uploadBackupToDrive(accountsData, filename = null) {
 }
 
 /**
- * List backup files from Google Drive
- * @param {number} [maxResults=10] - Maximum number of files to return
- * @returns {Promise<{success: boolean, files?: Array, error?: string}>}
+ * @typedef {object} DriveBackupFile
+ * @property {string} id
+ * @property {string} name
+ * @property {string} createdTime
+ * @property {string} [size]
+ * @property {{kind?: string, deviceName?: string, accountCount?: string, folderCount?: string,
+ *   appVersion?: string, encrypted?: string}} appProperties - Empty for backups from older versions
  */
-export async function listBackupsFromDrive(maxResults = 10) {
+
+/**
+ * List backup files from Google Drive, newest first
+ * Filters are applied by Drive on the backups' appProperties; files from
+ * older versions have none and only show up unfiltered.
+ * @param {object} [options]
+ * @param {number} [options.pageSize=10] - Files per page
+ * @param {string|null} [options.pageToken] - nextPageToken of the previous page
+ * @param {string} [options.deviceName] - Only backups made on this device
+ * @param {'manual'|'automatic'} [options.kind] - Only manual or scheduled backups
+ * @param {string|null} [options.accountId] - Linked Google account (default: active)
+ * @returns {Promise<{success: boolean, files?: DriveBackupFile[], nextPageToken?: string|null, error?: string}>}
+ */
+export async function listBackupsFromDrive({ pageSize = 10, pageToken = null, deviceName = '', kind = '', accountId = null } = {}) {
   try {
-    // Search for Azkura Auth backup files
-    const query = encodeURIComponent("name contains 'azkura-backup' and mimeType = 'application/json' and trashed = false");
-    const url = `${DRIVE_FILES_URL}?q=${query}&pageSize=${maxResults}&orderBy=createdTime desc&fields=files(id,name,createdTime,size)`;
+    const conditions = ["mimeType = 'application/json'", 'trashed = false'];
+    const filters = [];
+    if (deviceName) filters.push(`appProperties has { key='deviceName' and value=${queryValue(deviceName)} }`);
+    if (kind) filters.push(`appProperties has { key='kind' and value=${queryValue(kind)} }`);
+
+    if (filters.length > 0) {
+      // The sync vault carries a device name too; keep it out
+      conditions.push("appProperties has { key='azkuraType' and value='backup' }", ...filters);
+    } else {
+      // Tagged backups, plus untagged ones from older versions
+      conditions.push("(appProperties has { key='azkuraType' and value='backup' } or name contains 'azkura-backup')");
+    }
+
+    const query = encodeURIComponent(conditions.join(' and '));
+    let url = `${DRIVE_FILES_URL}?q=${query}&pageSize=${pageSize}&orderBy=createdTime desc&fields=${encodeURIComponent(LIST_FIELDS)}`;
+    if (pageToken) url += `&pageToken=${encodeURIComponent(pageToken)}`;
 
     const response = await driveApiRequest(url, {
       method: 'GET',
       headers: {
         'Accept': 'application/json'
       }
-    });
+    }, accountId);
 
     if (!response.ok) {
-      throw new Error(`HTTP ${response.status}`);
+      await throwDriveError(response);
     }
 
     const result = await response.json();
     
     return {
       success: true,
-      files: result.files || []
+      files: (result.files || []).map(file => ({ ...file, appProperties: file.appProperties || {} })),
+      nextPageToken: result.nextPageToken || null
     };
 
   } catch (error) {
@@ -259,32 +603,38 @@ export async function listBackupsFromDrive(maxResults = 10) {
 
 /**
  * Download a backup file from Google Drive
+ * Returns the raw backup document; encrypted backups must be opened with
+ * the backup passphrase via restoreFromDriveBackup().
  * @param {string} fileId - The Drive file ID
- * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+ * @param {object} [options]
+ * @param {string|null} [options.accountId] - Linked Google account (default: active)
+ * @returns {Promise<{success: boolean, data?: object, encrypted?: boolean, error?: string}>}
  */
-export async function downloadBackupFromDrive(fileId) {
+export async function downloadBackupFromDrive(fileId, { accountId = null } = {}) {
   try {
     const url = `${DRIVE_FILES_URL}/${fileId}?alt=media`;
 
     const response = await driveApiRequest(url, {
       method: 'GET'
-    });
+    }, accountId);
 
     if (!response.ok) {
-      throw new Error(`HTTP ${response.status}`);
+      await throwDriveError(response);
     }
 
     const content = await response.text();
     const data = JSON.parse(content);
     
-    // Validate backup format
-    if (data.app !== 'azkura-auth' || !Array.isArray(data.accounts)) {
+    // Validate backup format (encrypted, or legacy plaintext accounts)
+    if (!isBackupDocument(data)) {
       throw new Error('Invalid backup file format');
     }
+    const encrypted = !!data.encrypted;
 
     return {
       success: true,
-      data: data
+      data: data,
+      encrypted
     };
 
   } catch (error) {
@@ -299,18 +649,20 @@ export async function downloadBackupFromDrive(fileId) {
 /**
  * Delete a backup file from Google Drive
  * @param {string} fileId - The Drive file ID
+ * @param {object} [options]
+ * @param {string|null} [options.accountId] - Linked Google account (default: active)
  * @returns {Promise<{success: boolean, error?: string}>}
  */
-export async function deleteBackupFromDrive(fileId) {
+export async function deleteBackupFromDrive(fileId, { accountId = null } = {}) {
   try {
     const url = `${DRIVE_FILES_URL}/${fileId}`;
 
     const response = await driveApiRequest(url, {
       method: 'DELETE'
-    });
+    }, accountId);
 
-    if (!response.ok && response.status !== 204) {
-      throw new Error(`HTTP ${response.status}`);
+    if (!response.ok) {
+      await throwDriveError(response);
     }
 
     return { success: true };
@@ -323,3 +675,168 @@ export async function deleteBackupFromDrive(fileId) {
     };
   }
 }
+
+// ─── Provider ────────────────────────────────────────────────────────────────
+
+/**
+ * Drive backup provider for one linked Google account
+ * @param {string|null} [accountId] - Null follows the active account
+ * @returns {import('./backup-providers.js').BackupProvider & {accountId: string|null}}
+ */
+export function getGoogleDriveProvider(accountId = null) {
+  return {
+    id: 'google-drive',
+    name: 'Google Drive',
+    accountId,
+    features: { filters: true },
+    isReady: () => isLoggedIn(accountId),
+    upload: (accountsData, backupPassword, options = {}) => uploadBackupToDrive(accountsData, backupPassword, { ...options, accountId }),
+    list: (options = {}) => listBackupsFromDrive({ ...options, accountId }),
+    download: fileId => downloadBackupFromDrive(fileId, { accountId }),
+    delete: fileId => deleteBackupFromDrive(fileId, { accountId }),
+  };
+}
+
+/** @type {import('./backup-providers.js').BackupProvider} */
+export const googleDriveProvider = getGoogleDriveProvider();
+
+// ─── Sync vault file ─────────────────────────────────────────────────────────
+
+/**
+ * Find a file by exact name (newest first if there are several)
+ * @param {string} fileName
+ * @param {object} [options]
+ * @param {string|null} [options.accountId] - Linked Google account (default: active)
+ * @returns {Promise<{success: boolean, file?: {id: string, name: string, modifiedTime: string}|null, error?: string}>}
+ */
+export async function findFileInDrive(fileName, { accountId = null } = {}) {
+  try {
+    const query = encodeURIComponent(`name = ${queryValue(fileName)} and trashed = false`);
+    const url = `${DRIVE_FILES_URL}?q=${query}&pageSize=1&orderBy=modifiedTime desc&fields=files(id,name,modifiedTime)`;
+
+    const response = await driveApiRequest(url, {
+      method: 'GET',
+      headers: {
+        'Accept': 'application/json'
+      }
+    }, accountId);
+
+    if (!response.ok) {
+      await throwDriveError(response);
+    }
+
+    const result = await response.json();
+
+    return {
+      success: true,
+      file: result.files?.[0] || null
+    };
+
+  } catch (error) {
+    console.error('[Google Drive] Find file failed:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Get the current content revision of a file
+ * @param {string} fileId
+ * @param {string|null} accountId
+ * @returns {Promise<string|null>}
+ * @throws {Error} If the file can't be read
+ */
+async function getHeadRevision(fileId, accountId) {
+  const url = `${DRIVE_FILES_URL}/${fileId}?fields=headRevisionId`;
+
+  const response = await driveApiRequest(url, {
+    method: 'GET',
+    headers: {
+      'Accept': 'application/json'
+    }
+  }, accountId);
+
+  if (!response.ok) {
+    await throwDriveError(response);
+  }
+
+  return (await response.json()).headRevisionId || null;
+}
+
+/**
+ * Download the sync vault document together with its revision
+ * The revision is read before the content, so a write that lands during the
+ * download shows up as a changed revision on the next save.
+ * @param {string} fileId
+ * @param {object} [options]
+ * @param {string|null} [options.accountId] - Linked Google account (default: active)
+ * @returns {Promise<{success: boolean, data?: object, revision?: string|null, error?: string}>}
+ */
+export async function downloadSyncFileFromDrive(fileId, { accountId = null } = {}) {
+  let revision;
+  try {
+    revision = await getHeadRevision(fileId, accountId);
+  } catch (error) {
+    console.error('[Google Drive] Sync revision check failed:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+
+  const download = await downloadBackupFromDrive(fileId, { accountId });
+  return download.success ? { ...download, revision } : download;
+}
+
+/**
+ * Write the encrypted sync vault document, creating the file on first sync
+ * With expectedRevision, nothing is written if another device changed the
+ * file since it was downloaded; the result has `conflict: true` and the
+ * caller merges again. Drive v3 has no conditional writes for file content,
+ * so the revision is compared right before the upload.
+ * @param {string} fileName
+ * @param {object} document - Sync document (only metadata readable)
+ * @param {string|null} [fileId] - Existing sync file to overwrite
+ * @param {object} [options]
+ * @param {string|null} [options.accountId] - Linked Google account (default: active)
+ * @param {string|null} [options.expectedRevision] - Revision the document was merged from
+ * @returns {Promise<{success: boolean, fileId?: string, conflict?: boolean, error?: string}>}
+ */
+export async function saveSyncFileToDrive(fileName, document, fileId = null, { accountId = null, expectedRevision = null } = {}) {
+  try {
+    if (fileId && expectedRevision && (await getHeadRevision(fileId, accountId)) !== expectedRevision) {
+      return {
+        success: false,
+        conflict: true,
+        error: 'The sync vault changed in Drive during the sync'
+      };
+    }
+
+    const result = await uploadJsonFile({
+      name: fileName,
+      description: 'Azkura Auth Sync Vault - shared by your devices',
+      appProperties: {
+        azkuraType: 'sync',
+        deviceName: await getDeviceName(),
+        accountCount: String(document.accountCount),
+        appVersion: document.version,
+        encrypted: 'true'
+      }
+    }, JSON.stringify(document, null, 2), fileId, accountId);
+
+    return {
+      success: true,
+      fileId: result.id
+    };
+
+  } catch (error) {
+    console.error('[Google Drive] Sync upload failed:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to upload sync vault'
+    };
+  }
+}
+
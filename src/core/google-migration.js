@@ -0,0 +1,297 @@
+/**
+ * Google Authenticator migration format for Azkura Auth
+ * Decodes and encodes otpauth-migration://offline?data=... QR payloads
+ * ("Transfer accounts" in Google Authenticator).
+ *
+ * Payload is a base64 protobuf MigrationPayload:
+ *   repeated OtpParameters otp_parameters = 1;
+ *   int32 version = 2; int32 batch_size = 3; int32 batch_index = 4; int32 batch_id = 5;
+ * OtpParameters:
+ *   bytes secret = 1; string name = 2; string issuer = 3;
+ *   Algorithm algorithm = 4; DigitCount digits = 5; OtpType type = 6; int64 counter = 7;
+ */
+
+import * as OTPAuth from 'otpauth';
+
+const MIGRATION_PREFIX = 'otpauth-migration://offline';
+const MIGRATION_VERSION = 1;
+export const MIGRATION_ACCOUNTS_PER_QR = 10; // Same batch size Google Authenticator uses
+
+// Protobuf enum values (0 is "unspecified", i.e. SHA1). MD5 (4) can't generate
+// codes here, so those entries are skipped like other unsupported ones.
+const ALGORITHMS = { 1: 'SHA1', 2: 'SHA256', 3: 'SHA512' };
+const DIGITS = { 1: 6, 2: 8 };
+const OTP_TYPES = { 1: 'hotp', 2: 'totp' };
+
+// Protobuf wire types
+const WIRE_VARINT = 0;
+const WIRE_64BIT = 1;
+const WIRE_LENGTH_DELIMITED = 2;
+const WIRE_32BIT = 5;
+
+// ─── Protobuf reader/writer (only what MigrationPayload needs) ───────────────
+
+/**
+ * Iterate over protobuf fields in a buffer
+ * @param {Uint8Array} bytes
+ * @returns {Generator<{field: number, wireType: number, value: number|Uint8Array}>}
+ */
+function* readFields(bytes) {
+  let pos = 0;
+
+  const readVarint = () => {
+    let result = 0;
+    let multiplier = 1;
+    while (true) {
+      if (pos >= bytes.length) throw new Error('Truncated migration payload');
+      const byte = bytes[pos++];
+      result += (byte & 0x7f) * multiplier; // arithmetic keeps values above 2^31 intact
+      if (!(byte & 0x80)) return result;
+      multiplier *= 128;
+    }
+  };
+
+  while (pos < bytes.length) {
+    const key = readVarint();
+    const field = Math.floor(key / 8);
+    const wireType = key & 7;
+
+    if (wireType === WIRE_VARINT) {
+      yield { field, wireType, value: readVarint() };
+    } else if (wireType === WIRE_LENGTH_DELIMITED) {
+      const length = readVarint();
+      if (pos + length > bytes.length) throw new Error('Truncated migration payload');
+      yield { field, wireType, value: bytes.subarray(pos, pos + length) };
+      pos += length;
+    } else if (wireType === WIRE_64BIT) {
+      pos += 8;
+    } else if (wireType === WIRE_32BIT) {
+      pos += 4;
+    } else {
+      throw new Error('Invalid migration payload');
+    }
+  }
+}
+
+/**
+ * Encode an unsigned integer as a protobuf varint
+ * @param {number} value
+ * @returns {number[]}
+ */
+function encodeVarint(value) {
+  const out = [];
+  let v = Math.max(0, Math.floor(value));
+  while (v >= 128) {
+    out.push((v % 128) | 0x80);
+    v = Math.floor(v / 128);
+  }
+  out.push(v);
+  return out;
+}
+
+/**
+ * Encode a varint field
+ * @param {number} field
+ * @param {number} value
+ * @returns {number[]}
+ */
+function varintField(field, value) {
+  return [...encodeVarint(field * 8 + WIRE_VARINT), ...encodeVarint(value)];
+}
+
+/**
+ * Encode a length-delimited field (bytes, string or nested message)
+ * @param {number} field
+ * @param {Uint8Array|number[]} bytes
+ * @returns {number[]}
+ */
+function bytesField(field, bytes) {
+  return [...encodeVarint(field * 8 + WIRE_LENGTH_DELIMITED), ...encodeVarint(bytes.length), ...bytes];
+}
+
+// ─── Base64 helpers ──────────────────────────────────────────────────────────
+
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary);
+}
+
+// ─── Decoding ────────────────────────────────────────────────────────────────
+
+/**
+ * Check whether a scanned string is a Google Authenticator migration URI
+ * @param {string} data
+ * @returns {boolean}
+ */
+export function isMigrationURI(data) {
+  return typeof data === 'string' && data.trim().startsWith(MIGRATION_PREFIX);
+}
+
+/**
+ * Decode one OtpParameters message into an Azkura account
+ * @param {Uint8Array} bytes
+ * @returns {object|null} Null if the entry uses an unsupported algorithm
+ */
+function decodeOtpParameters(bytes) {
+  const params = { secret: null, name: '', issuer: '', algorithm: 1, digits: 1, type: 2, counter: 0 };
+  const decoder = new TextDecoder();
+
+  for (const { field, value } of readFields(bytes)) {
+    if (field === 1) params.secret = value;
+    else if (field === 2) params.name = decoder.decode(value);
+    else if (field === 3) params.issuer = decoder.decode(value);
+    else if (field === 4) params.algorithm = value;
+    else if (field === 5) params.digits = value;
+    else if (field === 6) params.type = value;
+    else if (field === 7) params.counter = value;
+  }
+
+  if (!params.secret || params.secret.length === 0) {
+    throw new Error('Migration entry is missing its secret');
+  }
+  if (params.algorithm && !ALGORITHMS[params.algorithm]) {
+    return null;
+  }
+
+  // Names are usually "Issuer:account"; drop the redundant issuer prefix
+  let account = params.name;
+  let issuer = params.issuer;
+  const colonIndex = account.indexOf(':');
+  if (colonIndex !== -1) {
+    const prefix = account.slice(0, colonIndex).trim();
+    if (!issuer) issuer = prefix;
+    if (prefix === issuer) account = account.slice(colonIndex + 1).trim();
+  }
+
+  const type = OTP_TYPES[params.type] || 'totp';
+  const result = {
+    type,
+    issuer,
+    account,
+    secret: new OTPAuth.Secret({ buffer: params.secret.slice().buffer }).base32,
+    algorithm: ALGORITHMS[params.algorithm] || 'SHA1',
+    digits: DIGITS[params.digits] || 6,
+    period: 30, // the migration format has no period; Google Authenticator only uses 30s
+  };
+  if (type === 'hotp') result.counter = params.counter;
+  return result;
+}
+
+/**
+ * Decode an otpauth-migration:// URI
+ * @param {string} uri
+ * @returns {{accounts: Array<object>, skipped: number, batchSize: number, batchIndex: number, batchId: number}}
+ *   skipped: entries left out because they use an unsupported algorithm (MD5)
+ * @throws {Error}
+ */
+export function decodeMigrationURI(uri) {
+  if (!isMigrationURI(uri)) {
+    throw new Error('Invalid URI: must start with otpauth-migration://offline');
+  }
+
+  let data;
+  try {
+    // URLSearchParams turns a raw '+' into a space; base64 never contains spaces
+    data = new URL(uri.trim()).searchParams.get('data')?.replace(/ /g, '+');
+  } catch {
+    throw new Error('Invalid URI: malformed URL');
+  }
+  if (!data) {
+    throw new Error('Invalid URI: missing data parameter');
+  }
+
+  let bytes;
+  try {
+    bytes = base64ToBytes(data);
+  } catch {
+    throw new Error('Invalid migration data: not base64');
+  }
+
+  const payload = { accounts: [], skipped: 0, batchSize: 1, batchIndex: 0, batchId: 0 };
+  for (const { field, wireType, value } of readFields(bytes)) {
+    if (field === 1 && wireType === WIRE_LENGTH_DELIMITED) {
+      const account = decodeOtpParameters(value);
+      if (account) payload.accounts.push(account);
+      else payload.skipped++;
+    } else if (field === 3) payload.batchSize = value || 1;
+    else if (field === 4) payload.batchIndex = value;
+    else if (field === 5) payload.batchId = value;
+  }
+
+  return payload;
+}
+
+// ─── Encoding ────────────────────────────────────────────────────────────────
+
+/**
+ * Check whether an account can be represented in the migration format
+ * @param {object} account
+ * @returns {boolean}
+ */
+export function isMigratable(account) {
+  if (account.type === 'steam') return false;
+  if (account.type !== 'hotp' && (account.period || 30) !== 30) return false;
+  return [6, 8].includes(account.digits || 6);
+}
+
+/**
+ * Encode one account as an OtpParameters message
+ * @param {object} account
+ * @returns {number[]}
+ */
+function encodeOtpParameters(account) {
+  const encoder = new TextEncoder();
+  const secret = OTPAuth.Secret.fromBase32(account.secret.replace(/\s/g, '').toUpperCase()).bytes;
+  const name = account.issuer && account.account ? `${account.issuer}:${account.account}` : (account.account || account.issuer || '');
+  const algorithm = Number(Object.keys(ALGORITHMS).find(k => ALGORITHMS[k] === (account.algorithm || 'SHA1')) || 1);
+  const isHotp = account.type === 'hotp';
+
+  const fields = [
+    ...bytesField(1, secret),
+    ...bytesField(2, encoder.encode(name)),
+    ...bytesField(3, encoder.encode(account.issuer || '')),
+    ...varintField(4, algorithm),
+    ...varintField(5, (account.digits || 6) === 8 ? 2 : 1),
+    ...varintField(6, isHotp ? 1 : 2),
+  ];
+  if (isHotp) fields.push(...varintField(7, account.counter || 0));
+  return fields;
+}
+
+/**
+ * Encode accounts as a series of otpauth-migration:// URIs (one per QR code)
+ * Accounts that Google Authenticator cannot represent (Steam, non-30s periods,
+ * other digit counts) are left out and reported as skipped.
+ * @param {Array<object>} accounts
+ * @param {number} [perBatch=MIGRATION_ACCOUNTS_PER_QR]
+ * @returns {{uris: string[], skipped: Array<object>}}
+ */
+export function encodeMigrationURIs(accounts, perBatch = MIGRATION_ACCOUNTS_PER_QR) {
+  const exportable = accounts.filter(isMigratable);
+  const skipped = accounts.filter(a => !isMigratable(a));
+
+  const batchSize = Math.max(1, Math.ceil(exportable.length / perBatch));
+  const batchId = crypto.getRandomValues(new Uint32Array(1))[0] & 0x7fffffff;
+  const uris = [];
+
+  for (let index = 0; index < batchSize; index++) {
+    const chunk = exportable.slice(index * perBatch, (index + 1) * perBatch);
+    const bytes = [
+      ...chunk.flatMap(a => bytesField(1, encodeOtpParameters(a))),
+      ...varintField(2, MIGRATION_VERSION),
+      ...varintField(3, batchSize),
+      ...varintField(4, index),
+      ...varintField(5, batchId),
+    ];
+    const data = encodeURIComponent(bytesToBase64(Uint8Array.from(bytes)));
+    uris.push(`${MIGRATION_PREFIX}?data=${data}`);
+  }
+
+  return { uris, skipped };
+}
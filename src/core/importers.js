@@ -0,0 +1,592 @@
+/**
+ * Importers for other authenticator apps' export files
+ *
+ * Each importer in the registry can detect its own format and turn it into
+ * Azkura accounts. Parsed accounts carry an optional `group` name that is
+ * mapped to a folder by externalImportToPayload() in accounts.js.
+ *
+ * Supported: Aegis (plain + password-encrypted), 2FAS, andOTP,
+ * Ente Auth (plain text export) and Raivo.
+ *
+ * Password manager exports (Bitwarden JSON, 1Password 1PUX, KeePassXC and
+ * generic CSV) mix TOTP seeds with ordinary logins, so their results are
+ * flagged with `pickList` and each account keeps a `source` description
+ * ({name, username, url}) for the user to choose from.
+ */
+
+import { scryptAsync } from '@noble/hashes/scrypt.js';
+import { parseOtpauthURI } from './uri-parser.js';
+import { isValidSecret } from './totp.js';
+
+/**
+ * @typedef {object} ParsedImport
+ * @property {string} format - Importer id
+ * @property {string} name - Human readable app name
+ * @property {Array<object>} accounts - Azkura account data (+ optional `group`)
+ * @property {string[]} groups - Group names found in the export
+ * @property {number} skipped - Entries that could not be converted
+ * @property {boolean} [pickList] - Let the user choose which accounts to import
+ */
+
+const SUPPORTED_ALGORITHMS = ['SHA1', 'SHA256', 'SHA512'];
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+function tryParseJSON(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+function hexToBytes(hex) {
+  return Uint8Array.from(hex.match(/.{2}/g) || [], h => parseInt(h, 16));
+}
+
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
+
+/**
+ * Normalize one entry into Azkura account data
+ * Returns null for entries Azkura cannot generate codes for.
+ * @param {object} entry
+ * @returns {object|null}
+ */
+function toAccount({ type = 'totp', issuer, account, secret, algorithm, digits, period, counter, group, source }) {
+  type = String(type).toLowerCase();
+  if (!['totp', 'hotp', 'steam'].includes(type) || !secret) return null;
+
+  algorithm = String(algorithm || 'SHA1').toUpperCase().replace('-', '');
+  if (!SUPPORTED_ALGORITHMS.includes(algorithm)) return null;
+
+  const result = {
+    type,
+    issuer: (issuer || '').trim(),
+    account: (account || '').trim(),
+    secret: String(secret).replace(/[\s=]/g, '').toUpperCase(),
+    algorithm,
+    digits: type === 'steam' ? 5 : (parseInt(digits, 10) || 6),
+    period: parseInt(period, 10) || 30,
+    group: group ? String(group).trim() : null,
+  };
+  if (type === 'hotp') result.counter = parseInt(counter, 10) || 0;
+  if (source) result.source = source;
+  return result;
+}
+
+/**
+ * Build a ParsedImport from raw entries
+ * @param {string} format
+ * @param {string} name
+ * @param {Array<object>} entries
+ * @returns {ParsedImport}
+ */
+function buildResult(format, name, entries) {
+  const accounts = entries.map(toAccount).filter(Boolean);
+  const groups = [...new Set(accounts.map(a => a.group).filter(Boolean))];
+  return { format, name, accounts, groups, skipped: entries.length - accounts.length };
+}
+
+/**
+ * AES-GCM decrypt where the auth tag is stored separately (Aegis layout)
+ * @param {Uint8Array} keyBytes
+ * @param {Uint8Array} nonce
+ * @param {Uint8Array} ciphertext
+ * @param {Uint8Array} tag
+ * @returns {Promise<Uint8Array>}
+ */
+async function aesGcmDecrypt(keyBytes, nonce, ciphertext, tag) {
+  const key = await crypto.subtle.importKey('raw', keyBytes, { name: 'AES-GCM' }, false, ['decrypt']);
+  const data = new Uint8Array(ciphertext.length + tag.length);
+  data.set(ciphertext);
+  data.set(tag, ciphertext.length);
+  return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv: nonce, tagLength: 128 }, key, data));
+}
+
+// ─── Aegis ───────────────────────────────────────────────────────────────────
+
+/**
+ * Unlock an encrypted Aegis vault with its password
+ * @param {object} vault - Parsed aegis-export.json
+ * @param {string} password
+ * @returns {Promise<object>} Decrypted `db` object
+ */
+async function decryptAegisDb(vault, password) {
+  const slots = (vault.header.slots || []).filter(slot => slot.type === 1); // password slots
+  if (slots.length === 0) {
+    throw new Error('This Aegis vault has no password slot');
+  }
+
+  for (const slot of slots) {
+    try {
+      const derived = await scryptAsync(new TextEncoder().encode(password), hexToBytes(slot.salt), {
+        N: slot.n, r: slot.r, p: slot.p, dkLen: 32,
+      });
+      const masterKey = await aesGcmDecrypt(
+        derived,
+        hexToBytes(slot.key_params.nonce),
+        hexToBytes(slot.key),
+        hexToBytes(slot.key_params.tag)
+      );
+      const db = await aesGcmDecrypt(
+        masterKey,
+        hexToBytes(vault.header.params.nonce),
+        base64ToBytes(vault.db),
+        hexToBytes(vault.header.params.tag)
+      );
+      return JSON.parse(new TextDecoder().decode(db));
+    } catch {
+      // Wrong password for this slot, try the next one
+    }
+  }
+
+  throw new Error('Incorrect Aegis vault password');
+}
+
+const aegisImporter = {
+  id: 'aegis',
+  name: 'Aegis',
+  detect: (text, json) => !!(json && json.header && 'db' in json && json.version !== undefined),
+  needsPassword: (text, json) => typeof json.db === 'string',
+  async parse(text, json, password) {
+    let db = json.db;
+    if (typeof db === 'string') {
+      if (!password) throw new Error('This Aegis vault is encrypted. Password required.');
+      db = await decryptAegisDb(json, password);
+    }
+
+    // db v3 links entries to groups by uuid; v2 stored the group name directly
+    const groupNames = new Map((db.groups || []).map(g => [g.uuid, g.name]));
+    const entries = (db.entries || []).map(entry => ({
+      type: entry.type,
+      issuer: entry.issuer,
+      account: entry.name,
+      secret: entry.info?.secret,
+      algorithm: entry.info?.algo,
+      digits: entry.info?.digits,
+      period: entry.info?.period,
+      counter: entry.info?.counter,
+      group: entry.group || groupNames.get((entry.groups || [])[0]),
+    }));
+    return buildResult(this.id, this.name, entries);
+  },
+};
+
+// ─── 2FAS ────────────────────────────────────────────────────────────────────
+
+const twoFasImporter = {
+  id: '2fas',
+  name: '2FAS',
+  detect: (text, json) => !!(json && !Array.isArray(json) && (Array.isArray(json.services) || json.servicesEncrypted)),
+  needsPassword: () => false, // encrypted 2FAS exports are rejected in parse()
+  async parse(text, json) {
+    if (json.servicesEncrypted && !(json.services || []).length) {
+      throw new Error('Password-protected 2FAS exports are not supported. Export again without a password.');
+    }
+
+    const groupNames = new Map((json.groups || []).map(g => [g.id, g.name]));
+    const entries = json.services.map(service => ({
+      type: service.otp?.tokenType || 'TOTP',
+      issuer: service.otp?.issuer || service.name,
+      account: service.otp?.account || service.otp?.label,
+      secret: service.secret,
+      algorithm: service.otp?.algorithm,
+      digits: service.otp?.digits,
+      period: service.otp?.period,
+      counter: service.otp?.counter,
+      group: groupNames.get(service.groupId),
+    }));
+    return buildResult(this.id, this.name, entries);
+  },
+};
+
+// ─── andOTP ──────────────────────────────────────────────────────────────────
+
+const andOtpImporter = {
+  id: 'andotp',
+  name: 'andOTP',
+  detect: (text, json) => Array.isArray(json) && json.length > 0 && 'label' in json[0] && 'secret' in json[0],
+  needsPassword: () => false,
+  async parse(text, json) {
+    const entries = json.map(entry => {
+      let issuer = entry.issuer || '';
+      let account = entry.label || '';
+      // Older andOTP versions stored "Issuer - account" in the label
+      if (!issuer && account.includes(' - ')) {
+        [issuer, account] = account.split(' - ', 2);
+      }
+      return {
+        type: entry.type,
+        issuer,
+        account,
+        secret: entry.secret,
+        algorithm: entry.algorithm,
+        digits: entry.digits,
+        period: entry.period,
+        counter: entry.counter,
+        group: (entry.tags || [])[0],
+      };
+    });
+    return buildResult(this.id, this.name, entries);
+  },
+};
+
+// ─── Raivo ───────────────────────────────────────────────────────────────────
+
+const raivoImporter = {
+  id: 'raivo',
+  name: 'Raivo OTP',
+  detect: (text, json) => Array.isArray(json) && json.length > 0 && 'kind' in json[0] && 'secret' in json[0],
+  needsPassword: () => false,
+  async parse(text, json) {
+    const entries = json.map(entry => ({
+      type: entry.kind,
+      issuer: entry.issuer,
+      account: entry.account,
+      secret: entry.secret,
+      algorithm: entry.algorithm,
+      digits: entry.digits, // Raivo stores numbers as strings
+      period: entry.timer,
+      counter: entry.counter,
+    }));
+    return buildResult(this.id, this.name, entries);
+  },
+};
+
+// ─── Ente Auth ───────────────────────────────────────────────────────────────
+
+const enteImporter = {
+  id: 'ente',
+  name: 'Ente Auth',
+  detect: (text, json) => (json && json.kdfParams && json.encryptedData)
+    || (!json && text.split(/\r?\n/).some(line => line.trim().startsWith('otpauth://'))),
+  needsPassword: () => false, // encrypted Ente exports are rejected in parse()
+  async parse(text, json) {
+    if (json) {
+      throw new Error('Encrypted Ente Auth exports are not supported. Export as plain text instead.');
+    }
+
+    const lines = text.split(/\r?\n/).map(l => l.trim()).filter(l => l.startsWith('otpauth://'));
+    const entries = lines.map(line => {
+      try {
+        const parsed = parseOtpauthURI(line);
+        // Ente keeps tags in a JSON "codeDisplay" parameter
+        let group = null;
+        try {
+          const display = JSON.parse(new URL(line).searchParams.get('codeDisplay') || '{}');
+          group = (display.tags || [])[0] || null;
+        } catch { /* no tags */ }
+        return { ...parsed, group };
+      } catch {
+        return {};
+      }
+    });
+    return buildResult(this.id, this.name, entries);
+  },
+};
+
+// ─── Password managers ───────────────────────────────────────────────────────
+
+/**
+ * Turn a password manager's TOTP field into account data
+ * The field may hold an otpauth:// URI, a Bitwarden steam:// value or a bare
+ * Base32 secret. Returns null for anything else.
+ * @param {string} value - TOTP field content
+ * @param {{name: string, username: string, url: string, group?: string}} item
+ * @returns {object|null}
+ */
+function entryFromTotpField(value, { name = '', username = '', url = '', group = null }) {
+  const totp = String(value || '').trim();
+  if (!totp) return null;
+
+  const source = { name, username, url };
+
+  if (totp.startsWith('otpauth://')) {
+    try {
+      const parsed = parseOtpauthURI(totp);
+      // The parser falls back to 'Unknown'; the item title is a better issuer
+      const issuer = parsed.issuer && parsed.issuer !== 'Unknown' ? parsed.issuer : name;
+      // A label holding only the service name says nothing about the login
+      const account = parsed.account && parsed.account !== issuer ? parsed.account : username;
+      return { ...parsed, issuer, account, group, source };
+    } catch {
+      return null;
+    }
+  }
+
+  if (totp.toLowerCase().startsWith('steam://')) {
+    return { type: 'steam', issuer: name || 'Steam', account: username, secret: totp.slice(8), group, source };
+  }
+
+  if (isValidSecret(totp)) {
+    return { type: 'totp', issuer: name, account: username, secret: totp, group, source };
+  }
+  return null;
+}
+
+/**
+ * Build a pick-list result from password manager items
+ * @param {string} format
+ * @param {string} name
+ * @param {Array<object|null>} entries - null for items whose TOTP field was unusable
+ * @returns {ParsedImport}
+ */
+function buildPickListResult(format, name, entries) {
+  const result = buildResult(format, name, entries.filter(Boolean));
+  result.skipped += entries.filter(e => !e).length;
+  return { ...result, pickList: true };
+}
+
+// Bitwarden (unencrypted JSON export)
+const bitwardenImporter = {
+  id: 'bitwarden',
+  name: 'Bitwarden',
+  detect: (text, json) => !!(json && !Array.isArray(json) && Array.isArray(json.items) && 'encrypted' in json),
+  needsPassword: () => false, // encrypted Bitwarden exports are rejected in parse()
+  async parse(text, json) {
+    if (json.encrypted) {
+      throw new Error('Encrypted Bitwarden exports are not supported. Export as unencrypted JSON instead.');
+    }
+
+    const folderNames = new Map((json.folders || []).map(f => [f.id, f.name]));
+    const entries = json.items
+      .filter(item => item.login?.totp)
+      .map(item => entryFromTotpField(item.login.totp, {
+        name: item.name,
+        username: item.login.username || '',
+        url: item.login.uris?.[0]?.uri || '',
+        group: folderNames.get(item.folderId),
+      }));
+    return buildPickListResult(this.id, this.name, entries);
+  },
+};
+
+/**
+ * Read one file from a ZIP archive (stored or deflated entries)
+ * @param {Uint8Array} bytes - Whole archive
+ * @param {string} fileName - Path inside the archive
+ * @returns {Promise<Uint8Array|null>}
+ */
+async function readZipEntry(bytes, fileName) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  // End of central directory record: scan backwards for its signature
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error('Invalid ZIP archive');
+
+  const entryCount = view.getUint16(eocd + 10, true);
+  let pos = view.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder();
+
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(pos, true) !== 0x02014b50) throw new Error('Invalid ZIP archive');
+    const method = view.getUint16(pos + 10, true);
+    const compressedSize = view.getUint32(pos + 20, true);
+    const nameLength = view.getUint16(pos + 28, true);
+    const extraLength = view.getUint16(pos + 30, true);
+    const commentLength = view.getUint16(pos + 32, true);
+    const localOffset = view.getUint32(pos + 42, true);
+    const name = decoder.decode(bytes.subarray(pos + 46, pos + 46 + nameLength));
+
+    if (name === fileName) {
+      const localNameLength = view.getUint16(localOffset + 26, true);
+      const localExtraLength = view.getUint16(localOffset + 28, true);
+      const start = localOffset + 30 + localNameLength + localExtraLength;
+      const data = bytes.subarray(start, start + compressedSize);
+
+      if (method === 0) return data;
+      if (method === 8) {
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+      }
+      throw new Error('Unsupported ZIP compression method');
+    }
+
+    pos += 46 + nameLength + extraLength + commentLength;
+  }
+  return null;
+}
+
+// 1Password (.1pux archive)
+const onePasswordImporter = {
+  id: '1password',
+  name: '1Password',
+  detect: (text, json, bytes) => !!bytes && bytes.length > 4
+    && bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04, // "PK\x03\x04"
+  needsPassword: () => false,
+  async parse(text, json, password, bytes) {
+    const data = await readZipEntry(bytes, 'export.data');
+    if (!data) throw new Error('Not a 1Password export (export.data missing)');
+    const exportData = JSON.parse(new TextDecoder().decode(data));
+
+    const entries = [];
+    for (const account of exportData.accounts || []) {
+      for (const vault of account.vaults || []) {
+        for (const item of vault.items || []) {
+          const overview = item.overview || {};
+          const username = (item.details?.loginFields || [])
+            .find(f => f.designation === 'username')?.value || '';
+
+          // One-time password fields live inside item sections
+          for (const section of item.details?.sections || []) {
+            for (const field of section.fields || []) {
+              if (!field.value?.totp) continue;
+              entries.push(entryFromTotpField(field.value.totp, {
+                name: overview.title || '',
+                username,
+                url: overview.url || '',
+                group: vault.attrs?.name,
+              }));
+            }
+          }
+        }
+      }
+    }
+    return buildPickListResult(this.id, this.name, entries);
+  },
+};
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, embedded newlines)
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (inQuotes) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        inQuotes = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      inQuotes = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(cell => cell.trim()));
+}
+
+/**
+ * Find the first header column matching one of the candidate names
+ * @param {string[]} header - Lower-cased header cells
+ * @param {string[]} names
+ * @returns {number} Column index or -1
+ */
+function findColumn(header, names) {
+  return header.findIndex(h => names.includes(h));
+}
+
+const CSV_TOTP_COLUMNS = ['totp', 'otp', 'otpauth', 'login_totp', 'one-time password', 'one time password', '2fa', 'mfa'];
+
+// KeePassXC and other CSV exports with a TOTP column
+const csvImporter = {
+  id: 'csv',
+  name: 'CSV',
+  detect: (text, json) => {
+    if (json) return false;
+    const header = (parseCSV(text.split(/\r?\n/, 1)[0] || '')[0] || []).map(h => h.trim().toLowerCase());
+    return findColumn(header, CSV_TOTP_COLUMNS) !== -1;
+  },
+  needsPassword: () => false,
+  async parse(text) {
+    const [header, ...rows] = parseCSV(text);
+    const columns = header.map(h => h.trim().toLowerCase());
+    const totpCol = findColumn(columns, CSV_TOTP_COLUMNS);
+    const nameCol = findColumn(columns, ['title', 'name', 'account', 'item']);
+    const userCol = findColumn(columns, ['username', 'login_username', 'user', 'login', 'email']);
+    const urlCol = findColumn(columns, ['url', 'login_uri', 'uri', 'website']);
+    const groupCol = findColumn(columns, ['group', 'folder']);
+
+    const cell = (row, col) => (col === -1 ? '' : (row[col] || '').trim());
+    // KeePassXC writes the full path ("Root/Work"); the last part names the folder
+    const groupOf = (row) => {
+      const path = cell(row, groupCol).split('/').filter(Boolean);
+      if (path[0] === 'Root') path.shift();
+      return path.pop() || null;
+    };
+    const entries = rows.filter(row => cell(row, totpCol)).map(row => entryFromTotpField(cell(row, totpCol), {
+      name: cell(row, nameCol),
+      username: cell(row, userCol),
+      url: cell(row, urlCol),
+      group: groupOf(row),
+    }));
+
+    const name = columns.includes('group') && columns.includes('title') ? 'KeePassXC' : 'CSV';
+    return buildPickListResult(this.id, name, entries);
+  },
+};
+
+// ─── Registry ────────────────────────────────────────────────────────────────
+
+const IMPORTERS = [
+  aegisImporter,
+  twoFasImporter,
+  andOtpImporter,
+  raivoImporter,
+  bitwardenImporter,
+  onePasswordImporter,
+  enteImporter,
+  csvImporter, // most generic, keep last
+];
+
+/**
+ * Detect which app produced an export file
+ * @param {string} text - File content
+ * @param {Uint8Array} [bytes] - Raw file content, for binary formats (1PUX)
+ * @returns {{id: string, name: string, needsPassword: boolean}|null}
+ */
+export function detectImportFormat(text, bytes = null) {
+  const json = tryParseJSON(text);
+  const importer = IMPORTERS.find(imp => imp.detect(text, json, bytes));
+  if (!importer) return null;
+  return { id: importer.id, name: importer.name, needsPassword: importer.needsPassword(text, json) };
+}
+
+/**
+ * Parse an export file from another authenticator app
+ * @param {string} text - File content
+ * @param {string} [password] - Export password for encrypted formats
+ * @param {Uint8Array} [bytes] - Raw file content, for binary formats (1PUX)
+ * @returns {Promise<ParsedImport>}
+ * @throws {Error} If the format is unknown or the password is wrong
+ */
+export async function parseImportFile(text, password = null, bytes = null) {
+  const json = tryParseJSON(text);
+  const importer = IMPORTERS.find(imp => imp.detect(text, json, bytes));
+  if (!importer) {
+    throw new Error('Unrecognized export file format');
+  }
+  return importer.parse(text, json, password, bytes);
+}
@@ -0,0 +1,308 @@
+/**
+ * Local folder backups for Azkura Auth
+ * Writes encrypted backups to a folder on disk (or a mounted network share)
+ * picked with the File System Access API, daily, weekly or after vault
+ * changes, and rotates old automatic files.
+ *
+ * The folder can only be picked in tab mode (the popup closes when the
+ * picker opens). The handle is kept in IndexedDB, since chrome.storage can't
+ * hold it. When the browser no longer grants write access in the background,
+ * the run stays pending until the app tab is opened and access is allowed.
+ *
+ * The passphrase is a sealed setting (see accounts.js), so runs only happen
+ * while the vault is unlocked.
+ */
+
+import { getLocalItem, setLocalItem, getSessionAccounts, getFolders } from './storage.js';
+import { sealSetting, openSetting, createBackupDocument } from './accounts.js';
+import { selectBackupsToPrune, AUTO_BACKUP_PREFIX } from './scheduled-backup.js';
+
+const LOCAL_BACKUP_KEY = 'localFolderBackup';
+
+export const LOCAL_BACKUP_ALARM = 'local-folder-backup';
+export const LOCAL_BACKUP_CHANGE_ALARM = 'local-folder-backup-change';
+
+const FREQUENCY_MINUTES = {
+  daily: 24 * 60,
+  weekly: 7 * 24 * 60,
+};
+const CHANGE_DEBOUNCE_MINUTES = 1;
+
+const DB_NAME = 'azkura-auth';
+const DB_STORE = 'handles';
+const HANDLE_KEY = 'backupFolder';
+
+// ─── Folder handle (IndexedDB) ───────────────────────────────────────────────
+
+/**
+ * Open the IndexedDB database that stores file system handles
+ * @returns {Promise<IDBDatabase>}
+ */
+function openHandleDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(DB_STORE);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Read or write the stored folder handle
+ * @param {'readonly'|'readwrite'} mode
+ * @param {(store: IDBObjectStore) => IDBRequest} action
+ * @returns {Promise<any>}
+ */
+async function withHandleStore(mode, action) {
+  const db = await openHandleDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const request = action(db.transaction(DB_STORE, mode).objectStore(DB_STORE));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Get the picked backup folder
+ * @returns {Promise<FileSystemDirectoryHandle|null>}
+ */
+async function getFolderHandle() {
+  return (await withHandleStore('readonly', store => store.get(HANDLE_KEY))) || null;
+}
+
+/**
+ * Check whether this page can pick a folder
+ * @returns {boolean}
+ */
+export function isFolderPickerSupported() {
+  return typeof self.showDirectoryPicker === 'function';
+}
+
+/**
+ * Let the user pick the backup folder (must run from a user gesture, in tab mode)
+ * @returns {Promise<string>} Folder name
+ */
+export async function pickLocalBackupFolder() {
+  const handle = await self.showDirectoryPicker({ id: 'azkura-backups', mode: 'readwrite' });
+  await withHandleStore('readwrite', store => store.put(handle, HANDLE_KEY));
+  await saveLocalBackupSettings({ folderName: handle.name });
+  return handle.name;
+}
+
+/**
+ * Check (and optionally ask for) write access to the backup folder
+ * Asking must run from a user gesture in a page.
+ * @param {boolean} [request=false]
+ * @returns {Promise<'granted'|'prompt'|'denied'|'missing'>}
+ */
+export async function getLocalFolderAccess(request = false) {
+  const handle = await getFolderHandle();
+  if (!handle) return 'missing';
+  // Handles can't ask for permission everywhere (e.g. the service worker)
+  if (typeof handle.queryPermission !== 'function') return 'prompt';
+
+  const state = await handle.queryPermission({ mode: 'readwrite' });
+  if (state === 'granted' || !request) return state;
+  return handle.requestPermission({ mode: 'readwrite' });
+}
+
+// ─── Settings ────────────────────────────────────────────────────────────────
+
+/**
+ * Get local folder backup settings and status
+ * @returns {Promise<{frequency: 'off'|'daily'|'weekly'|'change', keepLast: number, folderName: string|null,
+ *   passphrase: object|null, pending: boolean, lastSuccessAt: number|null, lastSuccessFile: string|null,
+ *   lastFailureAt: number|null, lastError: string|null}>}
+ */
+export async function getLocalBackupSettings() {
+  const defaults = {
+    frequency: 'off',
+    keepLast: 10,
+    folderName: null,
+    passphrase: null, // sealSetting() bundle
+    pending: false,
+    lastSuccessAt: null,
+    lastSuccessFile: null,
+    lastFailureAt: null,
+    lastError: null,
+  };
+  const saved = await getLocalItem(LOCAL_BACKUP_KEY);
+  return { ...defaults, ...saved };
+}
+
+/**
+ * Update local folder backup settings
+ * @param {object} updates
+ * @returns {Promise<object>} Updated settings
+ */
+async function saveLocalBackupSettings(updates) {
+  const settings = { ...(await getLocalBackupSettings()), ...updates };
+  await setLocalItem(LOCAL_BACKUP_KEY, settings);
+  return settings;
+}
+
+/**
+ * Create or clear the periodic alarm for the current frequency
+ * @param {string} frequency
+ */
+export async function scheduleLocalBackupAlarm(frequency) {
+  const periodInMinutes = FREQUENCY_MINUTES[frequency];
+  if (!periodInMinutes) {
+    await chrome.alarms.clear(LOCAL_BACKUP_ALARM);
+    return;
+  }
+
+  const existing = await chrome.alarms.get(LOCAL_BACKUP_ALARM);
+  if (existing?.periodInMinutes === periodInMinutes) return;
+  chrome.alarms.create(LOCAL_BACKUP_ALARM, { delayInMinutes: periodInMinutes, periodInMinutes });
+}
+
+/**
+ * Turn local folder backups on, off or change their options
+ * @param {object} options
+ * @param {'off'|'daily'|'weekly'|'change'} options.frequency
+ * @param {string} [options.passphrase] - Required unless a passphrase is already stored
+ * @param {number} [options.keepLast]
+ * @returns {Promise<object>} Updated settings
+ */
+export async function configureLocalBackup({ frequency, passphrase, keepLast }) {
+  const current = await getLocalBackupSettings();
+  const updates = { frequency };
+
+  if (keepLast !== undefined) updates.keepLast = Math.max(1, parseInt(keepLast, 10) || 1);
+
+  if (frequency === 'off') {
+    updates.passphrase = null;
+    updates.pending = false;
+  } else {
+    if (!current.folderName) {
+      throw new Error('Choose a backup folder first');
+    }
+    if (passphrase) {
+      updates.passphrase = await sealSetting(passphrase, 'enable folder backups');
+    } else if (!current.passphrase) {
+      throw new Error('Backup passphrase is required');
+    }
+  }
+
+  const settings = await saveLocalBackupSettings(updates);
+  await scheduleLocalBackupAlarm(frequency);
+  return settings;
+}
+
+/**
+ * Queue a backup shortly after the vault changed ("on change" frequency)
+ */
+export async function scheduleLocalBackupAfterChange() {
+  const settings = await getLocalBackupSettings();
+  if (settings.frequency !== 'change' || !settings.passphrase) return;
+  chrome.alarms.create(LOCAL_BACKUP_CHANGE_ALARM, { delayInMinutes: CHANGE_DEBOUNCE_MINUTES });
+}
+
+// ─── Run ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Record a failed run; the backup stays pending so it is retried
+ * @param {string} error
+ * @returns {Promise<{success: boolean, pending: boolean, error: string}>}
+ */
+async function recordFailure(error) {
+  console.error('[Folder Backup] Failed:', error);
+  await saveLocalBackupSettings({ pending: true, lastFailureAt: Date.now(), lastError: error });
+  return { success: false, pending: true, error };
+}
+
+/**
+ * Delete automatic backups beyond keepLast; manual files are left alone
+ * @param {FileSystemDirectoryHandle} folder
+ * @param {number} keepLast
+ * @returns {Promise<number>} Number of deleted files
+ */
+async function rotateBackups(folder, keepLast) {
+  const automatic = [];
+  for await (const [name, entry] of folder.entries()) {
+    if (entry.kind !== 'file' || !name.startsWith(AUTO_BACKUP_PREFIX) || !name.endsWith('.json')) continue;
+    // The timestamp in the name sorts correctly and survives copying the folder
+    const stamp = name.slice(AUTO_BACKUP_PREFIX.length, AUTO_BACKUP_PREFIX.length + 19);
+    const createdTime = `${stamp.slice(0, 10)}T${stamp.slice(11).replace(/-/g, ':')}Z`;
+    automatic.push({ name, createdTime });
+  }
+
+  const expired = selectBackupsToPrune(automatic, { keepLast, keepMonthly: 0 });
+  for (const file of expired) {
+    await folder.removeEntry(file.name);
+  }
+  return expired.length;
+}
+
+/**
+ * Write a backup to the folder now
+ * Called by the service worker on schedule, and by the app tab to catch up
+ * runs that needed folder access.
+ * @returns {Promise<{success: boolean, fileName?: string, pending?: boolean, error?: string}>}
+ */
+export async function runLocalFolderBackup() {
+  const settings = await getLocalBackupSettings();
+  if (settings.frequency === 'off' || !settings.passphrase) {
+    return { success: false, error: 'Folder backups are off' };
+  }
+
+  const accounts = await getSessionAccounts();
+  let passphrase = null;
+  if (accounts) {
+    try {
+      passphrase = await openSetting(settings.passphrase);
+    } catch {
+      return recordFailure('Stored backup passphrase no longer matches this vault. Set it again in Settings.');
+    }
+  }
+  if (!passphrase) {
+    await saveLocalBackupSettings({ pending: true });
+    return { success: false, pending: true };
+  }
+
+  let access;
+  try {
+    access = await getLocalFolderAccess();
+  } catch (error) {
+    return recordFailure(`Backup folder is unavailable: ${error.message}`);
+  }
+  if (access === 'missing') {
+    return recordFailure('Backup folder is missing. Choose it again in Settings.');
+  }
+  if (access !== 'granted') {
+    return recordFailure('Open Azkura Auth in a tab and allow access to the backup folder.');
+  }
+
+  try {
+    const folder = await getFolderHandle();
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    const fileName = `${AUTO_BACKUP_PREFIX}${timestamp}.json`;
+    const backup = await createBackupDocument(accounts, await getFolders(), passphrase);
+
+    const file = await folder.getFileHandle(fileName, { create: true });
+    const writable = await file.createWritable();
+    await writable.write(JSON.stringify(backup, null, 2));
+    await writable.close();
+
+    await saveLocalBackupSettings({
+      pending: false,
+      lastSuccessAt: Date.now(),
+      lastSuccessFile: fileName,
+    });
+    console.log('[Folder Backup] Saved', fileName);
+
+    const deleted = await rotateBackups(folder, settings.keepLast);
+    if (deleted > 0) {
+      console.log('[Folder Backup] Rotated', deleted, 'old backup(s)');
+    }
+    return { success: true, fileName };
+  } catch (error) {
+    // A removed drive or unmounted share fails here
+    return recordFailure(`Could not write to the backup folder: ${error.message}`);
+  }
+}
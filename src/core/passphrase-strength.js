@@ -0,0 +1,78 @@
+/**
+ * Passphrase strength estimate for Azkura Auth
+ * A rough entropy estimate used for UI hints only. It never blocks a
+ * passphrase on its own; callers decide the minimum they accept.
+ */
+
+// Frequently used passwords and fragments that add almost no entropy
+const COMMON_FRAGMENTS = [
+  'password', 'passw0rd', 'qwerty', 'azerty', 'letmein', 'welcome', 'admin',
+  'iloveyou', 'monkey', 'dragon', 'sunshine', 'football', 'azkura', 'backup',
+  '123456', '654321', '111111', '000000', 'abc123',
+];
+
+const SEQUENCES = ['abcdefghijklmnopqrstuvwxyz', '0123456789', 'qwertyuiop', 'asdfghjkl', 'zxcvbnm'];
+
+const STRENGTH_LABELS = ['Very weak', 'Weak', 'Fair', 'Good', 'Strong'];
+
+/**
+ * Size of the character pool a passphrase draws from
+ * @param {string} passphrase
+ * @returns {number}
+ */
+function characterPool(passphrase) {
+  let pool = 0;
+  if (/[a-z]/.test(passphrase)) pool += 26;
+  if (/[A-Z]/.test(passphrase)) pool += 26;
+  if (/[0-9]/.test(passphrase)) pool += 10;
+  if (/[^a-zA-Z0-9]/.test(passphrase)) pool += 33;
+  if (/[^\x00-\x7F]/.test(passphrase)) pool += 100; // non-ASCII letters
+  return pool;
+}
+
+/**
+ * Count characters that continue a run (repeats like "aaa" or sequences like "abc")
+ * @param {string} lower - Lower-cased passphrase
+ * @returns {number}
+ */
+function countPredictableChars(lower) {
+  let predictable = 0;
+  for (let i = 2; i < lower.length; i++) {
+    const run = lower.slice(i - 2, i + 1);
+    const isRepeat = run[0] === run[1] && run[1] === run[2];
+    const isSequence = SEQUENCES.some(seq => seq.includes(run) || seq.includes([...run].reverse().join('')));
+    if (isRepeat || isSequence) predictable++;
+  }
+  return predictable;
+}
+
+/**
+ * Estimate how hard a passphrase is to guess
+ * @param {string} passphrase
+ * @returns {{score: number, label: string, bits: number}} score 0 (very weak) to 4 (strong)
+ */
+export function estimatePassphraseStrength(passphrase) {
+  if (!passphrase) {
+    return { score: 0, label: STRENGTH_LABELS[0], bits: 0 };
+  }
+
+  const lower = passphrase.toLowerCase();
+  let effectiveLength = passphrase.length - countPredictableChars(lower);
+
+  // A common password inside the passphrase is worth about one character
+  for (const fragment of COMMON_FRAGMENTS) {
+    if (lower.includes(fragment)) effectiveLength -= fragment.length - 1;
+  }
+
+  const bitsPerChar = Math.log2(Math.max(characterPool(passphrase), 2));
+  const bits = Math.max(0, Math.round(Math.max(effectiveLength, 1) * bitsPerChar));
+
+  let score;
+  if (bits < 28) score = 0;
+  else if (bits < 40) score = 1;
+  else if (bits < 60) score = 2;
+  else if (bits < 80) score = 3;
+  else score = 4;
+
+  return { score, label: STRENGTH_LABELS[score], bits };
+}
@@ -0,0 +1,349 @@
+/**
+ * Scheduled Google Drive backups for Azkura Auth
+ * The service worker runs backups daily, weekly or shortly after the vault
+ * changes (chrome.alarms), then prunes old automatic backups with a
+ * retention policy. The result of every run is recorded for the UI.
+ *
+ * The backup passphrase is a sealed setting (see accounts.js), so backups can
+ * only run while the vault is unlocked. A run that comes due while locked (or
+ * signed out) is marked pending and retried on unlock/sign-in.
+ * A backup made while offline is already encrypted, so it waits in a
+ * persisted upload queue until Drive is reachable again.
+ *
+ * Backups go to the Google account chosen in settings, or to the active
+ * account when none was chosen.
+ */
+
+import { getLocalItem, setLocalItem, getSessionAccounts, getDeviceName } from './storage.js';
+import { sealSetting, openSetting } from './accounts.js';
+import { prepareBackup, uploadPreparedBackup, listBackupsFromDrive, deleteBackupFromDrive } from './google-drive.js';
+import { getAuthToken, getActiveAccountId } from './google-auth.js';
+import { trackBackup } from './stats.js';
+
+const SCHEDULED_BACKUP_KEY = 'scheduledBackup';
+const UPLOAD_QUEUE_KEY = 'backupUploadQueue';
+
+export const BACKUP_ALARM = 'scheduled-backup';
+export const BACKUP_CHANGE_ALARM = 'scheduled-backup-change';
+export const BACKUP_QUEUE_ALARM = 'scheduled-backup-queue';
+
+export const AUTO_BACKUP_PREFIX = 'azkura-backup-auto-';
+
+const FREQUENCY_MINUTES = {
+  daily: 24 * 60,
+  weekly: 7 * 24 * 60,
+};
+const CHANGE_DEBOUNCE_MINUTES = 1; // Batch edits made in quick succession
+const LIST_PAGE_SIZE = 100;
+const QUEUE_RETRY_MINUTES = 5;
+const MAX_QUEUED_BACKUPS = 10; // Oldest queued backups are dropped beyond this
+
+/**
+ * Get scheduled backup settings and status for this device
+ * @returns {Promise<{frequency: 'off'|'daily'|'weekly'|'change', accountId: string|null, keepLast: number,
+ *   keepMonthly: number, passphrase: object|null, pending: boolean, lastSuccessAt: number|null,
+ *   lastSuccessFile: string|null, lastFailureAt: number|null, lastError: string|null}>}
+ */
+export async function getScheduledBackupSettings() {
+  const defaults = {
+    frequency: 'off',
+    accountId: null, // linked Google account; null follows the active one
+    keepLast: 10,
+    keepMonthly: 12,
+    passphrase: null, // sealSetting() bundle
+    pending: false,
+    lastSuccessAt: null,
+    lastSuccessFile: null,
+    lastFailureAt: null,
+    lastError: null,
+  };
+  const saved = await getLocalItem(SCHEDULED_BACKUP_KEY);
+  return { ...defaults, ...saved };
+}
+
+/**
+ * Update scheduled backup settings
+ * @param {object} updates
+ * @returns {Promise<object>} Updated settings
+ */
+async function saveScheduledBackupSettings(updates) {
+  const settings = { ...(await getScheduledBackupSettings()), ...updates };
+  await setLocalItem(SCHEDULED_BACKUP_KEY, settings);
+  return settings;
+}
+
+/**
+ * Create or clear the periodic alarm for the current frequency
+ * @param {string} frequency
+ */
+export async function scheduleBackupAlarm(frequency) {
+  const periodInMinutes = FREQUENCY_MINUTES[frequency];
+  if (!periodInMinutes) {
+    await chrome.alarms.clear(BACKUP_ALARM);
+    return;
+  }
+
+  // Keep an existing alarm with the same period so reopening settings doesn't postpone it
+  const existing = await chrome.alarms.get(BACKUP_ALARM);
+  if (existing?.periodInMinutes === periodInMinutes) return;
+  chrome.alarms.create(BACKUP_ALARM, { delayInMinutes: periodInMinutes, periodInMinutes });
+}
+
+/**
+ * Turn scheduled backups on, off or change their options
+ * Enabling requires the backup passphrase (vault must be unlocked).
+ * @param {object} options
+ * @param {'off'|'daily'|'weekly'|'change'} options.frequency
+ * @param {string} [options.passphrase] - Required unless a passphrase is already stored
+ * @param {string|null} [options.accountId] - Google account to back up to
+ * @param {number} [options.keepLast]
+ * @param {number} [options.keepMonthly]
+ * @returns {Promise<object>} Updated settings
+ */
+export async function configureScheduledBackup({ frequency, passphrase, accountId, keepLast, keepMonthly }) {
+  const current = await getScheduledBackupSettings();
+  const updates = { frequency };
+
+  if (accountId !== undefined) updates.accountId = accountId || null;
+  if (keepLast !== undefined) updates.keepLast = Math.max(1, parseInt(keepLast, 10) || 1);
+  if (keepMonthly !== undefined) updates.keepMonthly = Math.max(0, parseInt(keepMonthly, 10) || 0);
+
+  if (frequency === 'off') {
+    updates.passphrase = null;
+    updates.pending = false;
+  } else if (passphrase) {
+    updates.passphrase = await sealSetting(passphrase, 'enable automatic backups');
+  } else if (!current.passphrase) {
+    throw new Error('Backup passphrase is required');
+  }
+
+  const settings = await saveScheduledBackupSettings(updates);
+  await scheduleBackupAlarm(frequency);
+  return settings;
+}
+
+/**
+ * Queue a backup shortly after the vault changed ("on change" frequency)
+ */
+export async function scheduleBackupAfterChange() {
+  const settings = await getScheduledBackupSettings();
+  if (settings.frequency !== 'change' || !settings.passphrase) return;
+  // Re-creating the alarm restarts the delay, so a burst of edits makes one backup
+  chrome.alarms.create(BACKUP_CHANGE_ALARM, { delayInMinutes: CHANGE_DEBOUNCE_MINUTES });
+}
+
+/**
+ * Pick the automatic backups a retention policy no longer needs
+ * Keeps the newest `keepLast` files plus the newest file of each of the
+ * latest `keepMonthly` months.
+ * @param {Array<{id: string, name: string, createdTime: string}>} files
+ * @param {{keepLast: number, keepMonthly: number}} policy
+ * @returns {Array<object>} Files to delete
+ */
+export function selectBackupsToPrune(files, { keepLast, keepMonthly }) {
+  const sorted = [...files].sort((a, b) => new Date(b.createdTime) - new Date(a.createdTime));
+  const keep = new Set(sorted.slice(0, keepLast));
+
+  const months = new Set();
+  for (const file of sorted) {
+    const month = file.createdTime.slice(0, 7); // "YYYY-MM"
+    if (months.has(month)) continue;
+    if (months.size >= keepMonthly) break;
+    months.add(month);
+    keep.add(file);
+  }
+
+  return sorted.filter(file => !keep.has(file));
+}
+
+/**
+ * Delete automatic backups outside the retention policy
+ * Manual backups and other devices' backups are never touched.
+ * @param {{keepLast: number, keepMonthly: number}} policy
+ * @param {string} accountId - Google account the backups were uploaded to
+ * @returns {Promise<number>} Number of deleted files
+ */
+async function pruneAutomaticBackups(policy, accountId) {
+  const deviceName = await getDeviceName();
+  const automatic = [];
+  let pageToken = null;
+  do {
+    const list = await listBackupsFromDrive({ pageSize: LIST_PAGE_SIZE, pageToken, deviceName, kind: 'automatic', accountId });
+    if (!list.success) {
+      console.error('[Scheduled Backup] Could not list backups for pruning:', list.error);
+      return 0;
+    }
+    automatic.push(...list.files.filter(f => f.name.startsWith(AUTO_BACKUP_PREFIX)));
+    pageToken = list.nextPageToken;
+  } while (pageToken);
+
+  let deleted = 0;
+  for (const file of selectBackupsToPrune(automatic, policy)) {
+    const result = await deleteBackupFromDrive(file.id, { accountId });
+    if (result.success) deleted++;
+  }
+  return deleted;
+}
+
+/**
+ * Record a failed run; the backup stays pending so it is retried
+ * @param {string} error
+ * @returns {Promise<{success: boolean, error: string}>}
+ */
+async function recordFailure(error) {
+  console.error('[Scheduled Backup] Failed:', error);
+  await saveScheduledBackupSettings({ pending: true, lastFailureAt: Date.now(), lastError: error });
+  return { success: false, error };
+}
+
+/**
+ * Record a successful upload, then apply the retention policy
+ * @param {string} fileName
+ * @param {{keepLast: number, keepMonthly: number}} policy
+ * @param {string} accountId
+ */
+async function recordSuccess(fileName, policy, accountId) {
+  await trackBackup();
+  await saveScheduledBackupSettings({
+    pending: false,
+    lastSuccessAt: Date.now(),
+    lastSuccessFile: fileName,
+  });
+  console.log('[Scheduled Backup] Saved', fileName);
+
+  const deleted = await pruneAutomaticBackups(policy, accountId);
+  if (deleted > 0) {
+    console.log('[Scheduled Backup] Pruned', deleted, 'old backup(s)');
+  }
+}
+
+// ─── Offline upload queue ────────────────────────────────────────────────────
+
+/**
+ * Get backups waiting to be uploaded
+ * @returns {Promise<Array<{metadata: object, content: string, accountId: string, queuedAt: number}>>}
+ */
+async function getUploadQueue() {
+  return (await getLocalItem(UPLOAD_QUEUE_KEY)) || [];
+}
+
+/**
+ * Number of backups waiting for a connection
+ * @returns {Promise<number>}
+ */
+export async function getQueuedBackupCount() {
+  return (await getUploadQueue()).length;
+}
+
+/**
+ * Keep an encrypted backup until Drive is reachable again
+ * @param {object} prepared - From prepareBackup()
+ * @param {string} accountId - Google account it is uploaded to
+ */
+async function queueBackupUpload(prepared, accountId) {
+  const queue = [...(await getUploadQueue()), { ...prepared, accountId, queuedAt: Date.now() }];
+  await setLocalItem(UPLOAD_QUEUE_KEY, queue.slice(-MAX_QUEUED_BACKUPS));
+  chrome.alarms.create(BACKUP_QUEUE_ALARM, { delayInMinutes: QUEUE_RETRY_MINUTES, periodInMinutes: QUEUE_RETRY_MINUTES });
+}
+
+/**
+ * Upload queued backups, oldest first (called by the service worker)
+ * Stops at the first failure and keeps the rest for the next attempt.
+ * @returns {Promise<{uploaded: number, remaining: number}>}
+ */
+export async function flushBackupQueue() {
+  const queue = await getUploadQueue();
+  if (queue.length === 0) {
+    await chrome.alarms.clear(BACKUP_QUEUE_ALARM);
+    return { uploaded: 0, remaining: 0 };
+  }
+
+  const settings = await getScheduledBackupSettings();
+  let uploaded = 0;
+  for (const prepared of queue) {
+    // Queued by older versions without an account: use the active one
+    const accountId = prepared.accountId || (await getActiveAccountId());
+
+    // No interactive sign-in from the background; retry after the user signs in
+    if (!(await getAuthToken(accountId))) break;
+
+    const result = await uploadPreparedBackup(prepared, { accountId });
+    if (!result.success) {
+      if (!result.offline) await recordFailure(result.error);
+      break;
+    }
+    uploaded++;
+    await setLocalItem(UPLOAD_QUEUE_KEY, queue.slice(uploaded));
+    await recordSuccess(result.fileName, settings, accountId);
+  }
+
+  const remaining = queue.length - uploaded;
+  if (remaining === 0) {
+    await chrome.alarms.clear(BACKUP_QUEUE_ALARM);
+  }
+  return { uploaded, remaining };
+}
+
+// ─── Run ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Run a scheduled backup now (called by the service worker)
+ * @returns {Promise<{success: boolean, fileName?: string, pending?: boolean, queued?: boolean, error?: string}>}
+ */
+export async function runScheduledBackup() {
+  const settings = await getScheduledBackupSettings();
+  if (settings.frequency === 'off' || !settings.passphrase) {
+    return { success: false, error: 'Automatic backups are off' };
+  }
+
+  // Locked vault: nothing to back up until the user unlocks again
+  const accounts = await getSessionAccounts();
+  if (!accounts) {
+    await saveScheduledBackupSettings({ pending: true });
+    return { success: false, pending: true };
+  }
+
+  let passphrase;
+  try {
+    passphrase = await openSetting(settings.passphrase);
+  } catch {
+    return recordFailure('Stored backup passphrase no longer matches this vault. Set it again in Settings.');
+  }
+  if (!passphrase) {
+    await saveScheduledBackupSettings({ pending: true });
+    return { success: false, pending: true };
+  }
+
+  // Check the token here: an expired token must not trigger the interactive sign-in flow
+  const accountId = settings.accountId || (await getActiveAccountId());
+  if (!accountId || !(await getAuthToken(accountId))) {
+    return recordFailure(settings.accountId
+      ? 'The Google account for automatic backups is signed out. Sign in to it again or choose another account in Settings.'
+      : 'Google sign-in expired. Sign in again to resume automatic backups.');
+  }
+
+  const timestamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+  const prepared = await prepareBackup(accounts, passphrase, {
+    fileName: `${AUTO_BACKUP_PREFIX}${timestamp}.json`,
+    automatic: true,
+  });
+
+  const result = await uploadPreparedBackup(prepared, { accountId });
+  if (result.offline) {
+    // Encrypted already: keep it and upload once the connection is back
+    await queueBackupUpload(prepared, accountId);
+    await saveScheduledBackupSettings({
+      pending: false,
+      lastFailureAt: Date.now(),
+      lastError: 'Offline. The backup is queued and will upload when you are back online.',
+    });
+    console.log('[Scheduled Backup] Offline, queued', prepared.metadata.name);
+    return { success: false, queued: true };
+  }
+  if (!result.success) {
+    return recordFailure(result.error);
+  }
+
+  await recordSuccess(result.fileName, settings, accountId);
+  return { success: true, fileName: result.fileName };
+}
@@ -2,8 +2,8 @@
  * Storage abstraction for Azkura Auth
  *
  * Architecture:
- * - chrome.storage.local  → encrypted vault blob (TOTP secrets)
- * - chrome.storage.session → decrypted vault in memory (while unlocked)
+ * - chrome.storage.local  → encrypted vault blob (TOTP secrets) + wrapped data keys
+ * - chrome.storage.session → decrypted vault + data key in memory (while unlocked)
  * - chrome.storage.sync   → non-sensitive UI preferences + PIN settings
  */
 
@@ -21,6 +21,17 @@ export async function setLocalItem(key, value) {
   });
 }
 
+/**
+ * Set several local items in a single write
+ * chrome.storage applies one set() call atomically
+ * @param {object} items
+ */
+export async function setLocalItems(items) {
+  return new Promise((resolve) => {
+    chrome.storage.local.set(items, resolve);
+  });
+}
+
 export async function removeLocalItem(key) {
   return new Promise((resolve) => {
     chrome.storage.local.remove(key, resolve);
@@ -84,12 +95,29 @@ export async function isPinSetup() {
   return !!pinData;
 }
 
+/**
+ * Get how a protected vault is unlocked
+ * PINs set up before passphrases existed have no type and are numeric.
+ * @returns {Promise<'pin'|'passphrase'>}
+ */
+export async function getUnlockMethod() {
+  const pinData = await getLocalItem('pinData');
+  return pinData?.type === 'passphrase' ? 'passphrase' : 'pin';
+}
+
 /**
  * Check if PIN protection is enabled
  * User can disable PIN after setup for convenience
  * @returns {Promise<boolean>}
  */
 export async function isPinEnabled() {
+  // Envelope vaults are the source of truth: PIN is enabled when the data key
+  // can only be unwrapped with the PIN
+  const vault = await getLocalItem('vault');
+  if (vault && vault.keys) {
+    return !!vault.keys.pin && !vault.keys.device;
+  }
+
   // Default to true if PIN is set up (backward compatibility)
   // Default to false for new users who skip PIN
   const pinEnabled = await getSyncItem('pinEnabled');
@@ -144,6 +172,41 @@ export async function setSessionAccounts(accounts) {
   return setSessionItem('accounts', accounts);
 }
 
+/**
+ * Get the name this device uses to label its Drive backups
+ * Stored locally, since every browser profile is a different device.
+ * @returns {Promise<string>}
+ */
+export async function getDeviceName() {
+  const saved = await getLocalItem('deviceName');
+  if (saved) return saved;
+
+  const ua = navigator.userAgent;
+  let platform = 'Desktop';
+  if (/Android/i.test(ua)) platform = 'Android';
+  else if (/iPhone|iPad|iPod/i.test(ua)) platform = 'iOS';
+  else if (/CrOS/i.test(ua)) platform = 'ChromeOS';
+  else if (/Windows/i.test(ua)) platform = 'Windows';
+  else if (/Mac OS X/i.test(ua)) platform = 'macOS';
+  else if (/Linux/i.test(ua)) platform = 'Linux';
+
+  const browser = /Edg\//.test(ua) ? 'Edge' : 'Chrome';
+  return `${browser} on ${platform}`;
+}
+
+/**
+ * Set the device name used for Drive backups
+ * @param {string} name - Empty to go back to the detected name
+ */
+export async function setDeviceName(name) {
+  const trimmed = (name || '').trim().slice(0, 40);
+  if (trimmed) {
+    await setLocalItem('deviceName', trimmed);
+  } else {
+    await removeLocalItem('deviceName');
+  }
+}
+
 /**
  * Get app preferences (merged sync + local defaults)
  * @returns {Promise<object>}
@@ -156,6 +219,7 @@ export async function getPreferences() {
     compactLayout: false,
     closeAfterCopy: true,
     autoFocusSearch: true,
+    nearExpiryCopy: 'current', // 'current' | 'next' | 'wait' when copying in the last seconds
     pinEnabled: true, // Default PIN enabled for new setups
   };
 
@@ -215,7 +279,8 @@ export async function createFolder(name, color = '#00E5FF') {
   const newFolder = {
     id: 'folder_' + Date.now(),
     name: name.trim(),
-    color
+    color,
+    updatedAt: Date.now()
   };
   folders.push(newFolder);
   await saveFolders(folders);
@@ -231,23 +296,21 @@ export async function deleteFolder(folderId, password) {
   const folders = await getFolders();
   const filtered = folders.filter(f => f.id !== folderId);
   await saveFolders(filtered);
+  await recordDeletions('folders', [folderId]);
   
   // Remove folderId from all accounts in this folder
   const accounts = await getSessionItem('accounts') || [];
   accounts.forEach(acc => {
     if (acc.folderId === folderId) {
       delete acc.folderId;
+      acc.updatedAt = Date.now();
     }
   });
   await setSessionItem('accounts', accounts);
   
   // Re-encrypt vault to persist folder changes
-  // Always save to vault even without password (use default key)
-  const { encrypt, getDefaultKey } = await import('./crypto.js');
-  const vaultPassword = password || await getDefaultKey();
-  const plaintext = JSON.stringify(accounts);
-  const encrypted = await encrypt(plaintext, vaultPassword);
-  await setLocalItem('vault', encrypted);
+  const { saveVault } = await import('./accounts.js');
+  await saveVault(password);
 }
 
 /**
@@ -282,14 +345,156 @@ export async function moveAccountToFolder(accountId, folderId, password) {
     } else {
       delete account.folderId;
     }
+    account.updatedAt = Date.now();
     await setSessionItem('accounts', accounts);
     
     // Re-encrypt vault to persist folder assignment
-    // Always save to vault even without password (use default key)
-    const { encrypt, getDefaultKey } = await import('./crypto.js');
-    const vaultPassword = password || await getDefaultKey();
-    const plaintext = JSON.stringify(accounts);
-    const encrypted = await encrypt(plaintext, vaultPassword);
-    await setLocalItem('vault', encrypted);
+    const { saveVault } = await import('./accounts.js');
+    await saveVault(password);
   }
 }
+
+// ─── Deletion Tombstones ────────────────────────────────────────────────────
+// Ids of deleted accounts and folders with the time of deletion, so Drive
+// sync can remove them on other devices instead of bringing them back.
+// Ids carry no secrets, so tombstones live unencrypted in local storage.
+
+const TOMBSTONES_KEY = 'syncTombstones';
+const TOMBSTONE_MAX_AGE_MS = 180 * 24 * 60 * 60 * 1000; // Devices offline longer may resurrect items
+
+/**
+ * Get deletion tombstones
+ * @returns {Promise<{accounts: Object<string, number>, folders: Object<string, number>}>} id → deletedAt
+ */
+export async function getTombstones() {
+  const tombstones = await getLocalItem(TOMBSTONES_KEY);
+  return { accounts: {}, folders: {}, ...tombstones };
+}
+
+/**
+ * Save deletion tombstones, dropping expired ones
+ * @param {{accounts: Object<string, number>, folders: Object<string, number>}} tombstones
+ */
+export async function saveTombstones(tombstones) {
+  const cutoff = Date.now() - TOMBSTONE_MAX_AGE_MS;
+  const fresh = (entries) => Object.fromEntries(Object.entries(entries || {}).filter(([, at]) => at > cutoff));
+  await setLocalItem(TOMBSTONES_KEY, { accounts: fresh(tombstones.accounts), folders: fresh(tombstones.folders) });
+}
+
+/**
+ * Record deleted accounts or folders
+ * @param {'accounts'|'folders'} kind
+ * @param {string[]} ids
+ */
+export async function recordDeletions(kind, ids) {
+  if (ids.length === 0) return;
+  const tombstones = await getTombstones();
+  const now = Date.now();
+  ids.forEach(id => { tombstones[kind][id] = now; });
+  await saveTombstones(tombstones);
+}
+
+// ─── PIN Attempt Limiting ───────────────────────────────────────────────────
+// Failed PIN attempts are counted in local storage, so closing and reopening
+// the popup doesn't reset them. After a few free tries every failure locks
+// the keypad for longer. Optionally the vault is erased after too many
+// failures; a record of that survives the wipe.
+
+const PIN_ATTEMPTS_KEY = 'pinAttempts';
+const PIN_WIPE_AFTER_KEY = 'pinWipeAfter';
+const PIN_WIPE_RECORD_KEY = 'pinWipeRecord';
+const PIN_FREE_ATTEMPTS = 4;
+const PIN_LOCKOUT_STEPS_MS = [30, 60, 5 * 60, 15 * 60, 30 * 60, 60 * 60].map(s => s * 1000);
+
+export const PIN_WIPE_OPTIONS = [0, 10, 15, 20]; // 0 = never erase
+
+/**
+ * Lockout after a number of consecutive failures
+ * @param {number} failures
+ * @returns {number} Milliseconds (0 while attempts are still free)
+ */
+export function getPinLockoutDelay(failures) {
+  if (failures <= PIN_FREE_ATTEMPTS) return 0;
+  const step = Math.min(failures - PIN_FREE_ATTEMPTS, PIN_LOCKOUT_STEPS_MS.length) - 1;
+  return PIN_LOCKOUT_STEPS_MS[step];
+}
+
+/**
+ * Get the failed PIN attempt state
+ * @returns {Promise<{failures: number, lastFailureAt: number|null, lockedUntil: number|null,
+ *   wipeAfter: number, attemptsLeft: number|null}>} attemptsLeft is null when wiping is off
+ */
+export async function getPinAttempts() {
+  const saved = await getLocalItem(PIN_ATTEMPTS_KEY);
+  const failures = saved?.failures || 0;
+  const lastFailureAt = saved?.lastFailureAt || null;
+  const wipeAfter = await getPinWipeAfter();
+
+  const until = lastFailureAt + getPinLockoutDelay(failures);
+  return {
+    failures,
+    lastFailureAt,
+    lockedUntil: lastFailureAt && until > Date.now() ? until : null,
+    wipeAfter,
+    attemptsLeft: wipeAfter ? Math.max(0, wipeAfter - failures) : null,
+  };
+}
+
+/**
+ * Count a PIN attempt as failed before it is checked
+ * Counting first means closing the popup mid-check doesn't give a free try;
+ * clearPinAttempts() undoes it when the PIN was right.
+ * @returns {Promise<object>} Updated state, as returned by getPinAttempts()
+ * @throws {Error} If PIN entry is locked out
+ */
+export async function registerPinAttempt() {
+  const state = await getPinAttempts();
+  if (state.lockedUntil) {
+    throw new Error('Too many failed attempts. Try again later.');
+  }
+  await setLocalItem(PIN_ATTEMPTS_KEY, { failures: state.failures + 1, lastFailureAt: Date.now() });
+  return getPinAttempts();
+}
+
+/**
+ * Reset the failure counter after a correct PIN
+ */
+export async function clearPinAttempts() {
+  await removeLocalItem(PIN_ATTEMPTS_KEY);
+}
+
+/**
+ * Get after how many failed PINs the vault is erased
+ * @returns {Promise<number>} 0 when erasing is off
+ */
+export async function getPinWipeAfter() {
+  return (await getLocalItem(PIN_WIPE_AFTER_KEY)) || 0;
+}
+
+/**
+ * Set after how many failed PINs the vault is erased
+ * @param {number} attempts - One of PIN_WIPE_OPTIONS
+ * @throws {Error} If the number isn't one of the options
+ */
+export async function setPinWipeAfter(attempts) {
+  if (!PIN_WIPE_OPTIONS.includes(attempts)) {
+    throw new Error(`Unsupported number of attempts: ${attempts}`);
+  }
+  await setLocalItem(PIN_WIPE_AFTER_KEY, attempts);
+}
+
+/**
+ * Remember that the vault was erased after failed PINs (call after the wipe)
+ * @param {number} failures
+ */
+export async function recordPinWipe(failures) {
+  await setLocalItem(PIN_WIPE_RECORD_KEY, { wipedAt: Date.now(), failures });
+}
+
+/**
+ * Get the record of the last erase after failed PINs
+ * @returns {Promise<{wipedAt: number, failures: number}|null>}
+ */
+export async function getPinWipeRecord() {
+  return (await getLocalItem(PIN_WIPE_RECORD_KEY)) || null;
+}
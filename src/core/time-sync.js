@@ -0,0 +1,168 @@
+/**
+ * Clock drift detection for Azkura Auth
+ * Measures the local clock against an HTTP `Date` header and keeps a
+ * per-device time offset that all TOTP generation and countdowns use.
+ */
+
+import { getLocalItem, setLocalItem } from './storage.js';
+import { setTimeOffset } from './totp.js';
+
+const TIME_SYNC_KEY = 'timeSync';
+
+export const DEFAULT_TIME_SOURCE_URL = 'https://www.google.com/generate_204';
+export const DRIFT_WARNING_THRESHOLD_MS = 3000; // Warn when the clock is off by more than 3s
+const AUTO_SYNC_INTERVAL_MS = 6 * 60 * 60 * 1000; // Re-check every 6 hours
+const REQUEST_TIMEOUT_MS = 5000;
+
+/**
+ * Get time sync settings for this device
+ * Stored in chrome.storage.local because drift is a property of the machine.
+ * @returns {Promise<{autoSync: boolean, sourceUrl: string, offsetMs: number, lastSyncAt: number|null, lastError: string|null}>}
+ */
+export async function getTimeSyncSettings() {
+  const defaults = {
+    autoSync: false,
+    sourceUrl: DEFAULT_TIME_SOURCE_URL,
+    offsetMs: 0,
+    lastSyncAt: null,
+    lastError: null,
+  };
+  const saved = await getLocalItem(TIME_SYNC_KEY);
+  return { ...defaults, ...saved };
+}
+
+/**
+ * Update time sync settings and apply the resulting offset
+ * @param {object} updates
+ * @returns {Promise<object>} Updated settings
+ */
+export async function saveTimeSyncSettings(updates) {
+  const settings = { ...(await getTimeSyncSettings()), ...updates };
+  await setLocalItem(TIME_SYNC_KEY, settings);
+  setTimeOffset(settings.offsetMs);
+  return settings;
+}
+
+/**
+ * Build the host permission pattern for a time source URL
+ * @param {string} sourceUrl
+ * @returns {string}
+ */
+function getOriginPattern(sourceUrl) {
+  return `${new URL(sourceUrl).origin}/*`;
+}
+
+/**
+ * Check whether the extension may read response headers from the time source
+ * @param {string} sourceUrl
+ * @returns {Promise<boolean>}
+ */
+export async function hasTimeSourcePermission(sourceUrl) {
+  try {
+    return await chrome.permissions.contains({ origins: [getOriginPattern(sourceUrl)] });
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Ask for host permission on the time source (must run from a user gesture)
+ * @param {string} sourceUrl
+ * @returns {Promise<boolean>}
+ */
+export async function requestTimeSourcePermission(sourceUrl) {
+  try {
+    return await chrome.permissions.request({ origins: [getOriginPattern(sourceUrl)] });
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Measure the offset between the server clock and the local clock
+ * The `Date` header has 1s resolution, so the result is compensated for
+ * half of the round trip and is accurate to about half a second.
+ * @param {string} sourceUrl - Any HTTPS endpoint that returns a `Date` header
+ * @returns {Promise<{success: boolean, offsetMs?: number, error?: string}>}
+ */
+export async function measureClockOffset(sourceUrl) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+  try {
+    const sentAt = Date.now();
+    const response = await fetch(sourceUrl, {
+      method: 'HEAD',
+      cache: 'no-store',
+      credentials: 'omit',
+      signal: controller.signal,
+    });
+    const receivedAt = Date.now();
+
+    const dateHeader = response.headers.get('Date');
+    if (!dateHeader) {
+      throw new Error('Time source did not return a Date header');
+    }
+
+    const serverTime = Date.parse(dateHeader);
+    if (isNaN(serverTime)) {
+      throw new Error('Time source returned an invalid Date header');
+    }
+
+    // Date is truncated to the second: assume the middle of that second
+    const localMidpoint = (sentAt + receivedAt) / 2;
+    const offsetMs = Math.round(serverTime + 500 - localMidpoint);
+
+    return { success: true, offsetMs };
+  } catch (error) {
+    console.error('[Time Sync] Measurement failed:', error);
+    return {
+      success: false,
+      error: error.name === 'AbortError' ? 'Time source did not respond' : error.message
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Apply the stored offset and, when automatic sync is on, refresh it
+ * Skips the network check while the last result is recent unless forced.
+ * @param {object} [options]
+ * @param {boolean} [options.force=false] - Measure even if auto sync is off or recent
+ * @returns {Promise<object>} Current settings
+ */
+export async function syncClockOffset({ force = false } = {}) {
+  const settings = await getTimeSyncSettings();
+  setTimeOffset(settings.offsetMs);
+
+  const isStale = !settings.lastSyncAt || Date.now() - settings.lastSyncAt > AUTO_SYNC_INTERVAL_MS;
+  if (!force && (!settings.autoSync || !isStale)) {
+    return settings;
+  }
+
+  if (!(await hasTimeSourcePermission(settings.sourceUrl))) {
+    return saveTimeSyncSettings({ lastError: 'Permission to contact the time source was not granted' });
+  }
+
+  const result = await measureClockOffset(settings.sourceUrl);
+  if (!result.success) {
+    return saveTimeSyncSettings({ lastError: result.error });
+  }
+
+  console.log('[Time Sync] Clock offset:', result.offsetMs, 'ms');
+  return saveTimeSyncSettings({
+    offsetMs: result.offsetMs,
+    lastSyncAt: Date.now(),
+    lastError: null,
+  });
+}
+
+/**
+ * Whether an offset is large enough to make codes fail without correction
+ * @param {number} offsetMs
+ * @returns {boolean}
+ */
+export function isDriftSignificant(offsetMs) {
+  return Math.abs(offsetMs || 0) > DRIFT_WARNING_THRESHOLD_MS;
+}
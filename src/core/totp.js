@@ -1,11 +1,56 @@
 /**
  * TOTP (Time-based One-Time Password) implementation
  * Using otpauth library for RFC 6238 compliant generation
- * Supports SHA1, SHA256, SHA512 algorithms
+ * Supports SHA1, SHA256, SHA512 algorithms and Steam Guard codes
  */
 
 import * as OTPAuth from 'otpauth';
 
+// Steam Guard renders the truncated HMAC value in its own 26-character alphabet
+const STEAM_ALPHABET = '23456789BCDFGHJKMNPQRTVWXY';
+const STEAM_CODE_LENGTH = 5;
+
+// Correction for a skewed device clock, see time-sync.js
+let timeOffsetMs = 0;
+
+/**
+ * Set the clock correction applied to all code generation and countdowns
+ * @param {number} offsetMs - Milliseconds to add to Date.now()
+ */
+export function setTimeOffset(offsetMs) {
+  timeOffsetMs = Number.isFinite(offsetMs) ? offsetMs : 0;
+}
+
+/**
+ * Get the current clock correction
+ * @returns {number} Offset in milliseconds
+ */
+export function getTimeOffset() {
+  return timeOffsetMs;
+}
+
+/**
+ * Current time corrected for clock drift
+ * @returns {number} Milliseconds since epoch
+ */
+export function getCurrentTime() {
+  return Date.now() + timeOffsetMs;
+}
+
+/**
+ * Encode a raw truncated HOTP value as a Steam Guard code
+ * @param {number} value - 31-bit dynamic truncation result
+ * @returns {string} 5-character Steam code
+ */
+function encodeSteamCode(value) {
+  let code = '';
+  for (let i = 0; i < STEAM_CODE_LENGTH; i++) {
+    code += STEAM_ALPHABET[value % STEAM_ALPHABET.length];
+    value = Math.floor(value / STEAM_ALPHABET.length);
+  }
+  return code;
+}
+
 /**
  * Generate a TOTP code using otpauth
  * @param {string} secretBase32 - Base32 encoded secret (with or without spaces)
@@ -13,6 +58,8 @@ import * as OTPAuth from 'otpauth';
  * @param {number} [options.digits=6] - Number of digits
  * @param {number} [options.period=30] - Time period in seconds
  * @param {string} [options.algorithm='SHA1'] - Hash algorithm (SHA1, SHA256, SHA512)
+ * @param {string} [options.encoder] - 'steam' to render a 5-character Steam Guard code
+ * @param {number} [options.step=0] - Window relative to now (1 = the upcoming code)
  * @returns {Promise<string>} - Zero-padded OTP code
  */
 export async function generateTOTP(secretBase32, options = {}) {
@@ -20,8 +67,12 @@ export async function generateTOTP(secretBase32, options = {}) {
     digits = 6,
     period = 30,
     algorithm = 'SHA1',
+    encoder = null,
+    step = 0,
   } = options;
 
+  const timestamp = getCurrentTime() + step * period * 1000;
+
   // Clean secret (remove spaces, uppercase)
   const cleanSecret = secretBase32.replace(/\s/g, '').toUpperCase();
 
@@ -31,6 +82,17 @@ export async function generateTOTP(secretBase32, options = {}) {
   }
 
   try {
+    if (encoder === 'steam') {
+      // 10 digits keeps the full 31-bit truncated value (no modulo applied)
+      const raw = new OTPAuth.TOTP({
+        secret: OTPAuth.Secret.fromBase32(cleanSecret),
+        digits: 10,
+        period,
+        algorithm: 'SHA1',
+      }).generate({ timestamp });
+      return encodeSteamCode(parseInt(raw, 10));
+    }
+
     // Create TOTP instance
     const totp = new OTPAuth.TOTP({
       secret: OTPAuth.Secret.fromBase32(cleanSecret),
@@ -40,7 +102,7 @@ export async function generateTOTP(secretBase32, options = {}) {
     });
 
     // Generate token
-    const token = totp.generate();
+    const token = totp.generate({ timestamp });
     return token;
   } catch (error) {
     console.error('[TOTP] Generation error:', error);
@@ -48,6 +110,63 @@ export async function generateTOTP(secretBase32, options = {}) {
   }
 }
 
+/**
+ * Generate an HOTP (counter-based) code using otpauth
+ * @param {string} secretBase32 - Base32 encoded secret (with or without spaces)
+ * @param {object} options
+ * @param {number} [options.counter=0] - Moving counter value
+ * @param {number} [options.digits=6] - Number of digits
+ * @param {string} [options.algorithm='SHA1'] - Hash algorithm (SHA1, SHA256, SHA512)
+ * @returns {Promise<string>} - Zero-padded OTP code
+ */
+export async function generateHOTP(secretBase32, options = {}) {
+  const {
+    counter = 0,
+    digits = 6,
+    algorithm = 'SHA1',
+  } = options;
+
+  const cleanSecret = secretBase32.replace(/\s/g, '').toUpperCase();
+
+  if (!isValidSecret(cleanSecret)) {
+    throw new Error('Invalid Base32 secret key');
+  }
+
+  try {
+    const hotp = new OTPAuth.HOTP({
+      secret: OTPAuth.Secret.fromBase32(cleanSecret),
+      digits,
+      algorithm,
+    });
+
+    return hotp.generate({ counter });
+  } catch (error) {
+    console.error('[HOTP] Generation error:', error);
+    throw new Error('Failed to generate HOTP code: ' + error.message);
+  }
+}
+
+/**
+ * Generate the current code for a stored account, TOTP, HOTP or Steam
+ * @param {object} account - Stored account ({secret, type, counter, digits, period, algorithm})
+ * @returns {Promise<string>}
+ */
+export async function generateCode(account) {
+  if (account.type === 'hotp') {
+    return generateHOTP(account.secret, {
+      counter: account.counter || 0,
+      digits: account.digits,
+      algorithm: account.algorithm,
+    });
+  }
+  return generateTOTP(account.secret, {
+    digits: account.digits,
+    period: account.period,
+    algorithm: account.algorithm,
+    encoder: account.type === 'steam' ? 'steam' : null,
+  });
+}
+
 /**
  * Verify a TOTP code (useful for testing)
  * @param {string} token - The code to verify
@@ -73,7 +192,7 @@ export async function verifyTOTP(token, secret, options = {}) {
       algorithm,
     });
 
-    const result = totp.validate({ token, window });
+    const result = totp.validate({ token, window, timestamp: getCurrentTime() });
     return result !== null;
   } catch {
     return false;
@@ -86,7 +205,7 @@ export async function verifyTOTP(token, secret, options = {}) {
  * @returns {number} Seconds remaining (0-period)
  */
 export function getRemainingSeconds(period = 30) {
-  return period - (Math.floor(Date.now() / 1000) % period);
+  return period - (Math.floor(getCurrentTime() / 1000) % period);
 }
 
 /**
@@ -100,10 +219,13 @@ export function getElapsedFraction(period = 30) {
 
 /**
  * Format a 6-digit code as "XXX XXX" (with space)
+ * Steam Guard codes are shown as-is, without grouping.
  * @param {string} code
+ * @param {string} [type] - Account type ('steam' keeps the 5-character code intact)
  * @returns {string}
  */
-export function formatCode(code) {
+export function formatCode(code, type) {
+  if (type === 'steam') return code || '-----';
   if (!code) return '--- ---';
   if (code.length === 6) {
     return `${code.slice(0, 3)} ${code.slice(3)}`;
@@ -168,14 +290,17 @@ export function generateURI({ secret, label, issuer = 'Azkura', digits = 6, peri
  */
 export function parseOtpauthURI(uri) {
   try {
-    const totp = OTPAuth.URI.parse(uri);
+    const otp = OTPAuth.URI.parse(uri);
+    const isHotp = otp instanceof OTPAuth.HOTP;
     return {
-      secret: totp.secret.base32,
-      label: totp.label,
-      issuer: totp.issuer,
-      digits: totp.digits,
-      period: totp.period,
-      algorithm: totp.algorithm,
+      type: isHotp ? 'hotp' : 'totp',
+      secret: otp.secret.base32,
+      label: otp.label,
+      issuer: otp.issuer,
+      digits: otp.digits,
+      period: isHotp ? undefined : otp.period,
+      counter: isHotp ? otp.counter : undefined,
+      algorithm: otp.algorithm,
     };
   } catch (error) {
     console.error('[TOTP] Failed to parse URI:', error);
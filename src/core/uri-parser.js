@@ -1,12 +1,14 @@
 /**
  * Parse and generate otpauth:// URIs
  * Format: otpauth://totp/ISSUER:ACCOUNT?secret=BASE32&issuer=ISSUER&algorithm=SHA1&digits=6&period=30
+ *         otpauth://hotp/ISSUER:ACCOUNT?secret=BASE32&issuer=ISSUER&counter=0
+ *         otpauth://totp/Steam:ACCOUNT?secret=BASE32&issuer=Steam&encoder=steam
  */
 
 /**
  * Parse an otpauth:// URI into an account object
  * @param {string} uri
- * @returns {{type: string, issuer: string, account: string, secret: string, algorithm: string, digits: number, period: number}}
+ * @returns {{type: string, issuer: string, account: string, secret: string, algorithm: string, digits: number, period: number, counter?: number}}
  * @throws {Error}
  */
 export function parseOtpauthURI(uri) {
@@ -75,31 +77,52 @@ export function parseOtpauthURI(uri) {
   const digits = parseInt(params.get('digits') || '6', 10);
   const period = parseInt(params.get('period') || '30', 10);
 
-  return {
+  // Steam Guard: flagged by the encoder parameter or the Steam issuer
+  const encoder = (params.get('encoder') || '').toLowerCase();
+  if (type === 'totp' && (encoder === 'steam' || issuer.toLowerCase() === 'steam')) {
+    type = 'steam';
+  }
+
+  const result = {
     type,
     issuer: issuer || account.split('@')[1] || 'Unknown',
     account,
     secret: secret.replace(/\s/g, '').toUpperCase(),
     algorithm,
-    digits: isNaN(digits) ? 6 : digits,
+    digits: type === 'steam' ? 5 : (isNaN(digits) ? 6 : digits),
     period: isNaN(period) ? 30 : period,
   };
+
+  // HOTP: counter is required by the spec, but be lenient and default to 0
+  if (type === 'hotp') {
+    const counter = parseInt(params.get('counter') || '0', 10);
+    result.counter = isNaN(counter) || counter < 0 ? 0 : counter;
+  }
+
+  return result;
 }
 
 /**
  * Generate an otpauth:// URI from account data
- * @param {{issuer: string, account: string, secret: string, algorithm?: string, digits?: number, period?: number}} account
+ * @param {{type?: string, issuer: string, account: string, secret: string, algorithm?: string, digits?: number, period?: number, counter?: number}} account
  * @returns {string}
  */
 export function generateOtpauthURI(account) {
-  const { issuer, account: acct, secret, algorithm = 'SHA1', digits = 6, period = 30 } = account;
+  const { type = 'totp', issuer, account: acct, secret, algorithm = 'SHA1', digits = 6, period = 30, counter = 0 } = account;
   const label = issuer ? `${encodeURIComponent(issuer)}:${encodeURIComponent(acct)}` : encodeURIComponent(acct);
   const params = new URLSearchParams({
     secret,
     issuer,
     algorithm,
     digits: String(digits),
-    period: String(period),
   });
+  if (type === 'hotp') {
+    params.set('counter', String(counter));
+    return `otpauth://hotp/${label}?${params.toString()}`;
+  }
+  if (type === 'steam') {
+    params.set('encoder', 'steam');
+  }
+  params.set('period', String(period));
   return `otpauth://totp/${label}?${params.toString()}`;
 }
@@ -0,0 +1,364 @@
+/**
+ * WebDAV backup provider for Azkura Auth
+ * Stores the same encrypted backup files as Google Drive on a WebDAV server
+ * (Nextcloud, ownCloud, Apache mod_dav, rclone serve webdav, ...).
+ *
+ * Credentials use HTTP Basic auth. The password is a sealed setting (see
+ * accounts.js), so WebDAV backups only work while the vault is unlocked.
+ * Plain http:// is only accepted for localhost, e.g. a local test server.
+ */
+
+import { getLocalItem, setLocalItem, removeLocalItem, getFolders } from './storage.js';
+import { sealSetting, openSetting, createBackupDocument, isBackupDocument } from './accounts.js';
+
+const WEBDAV_SETTINGS_KEY = 'webdavSettings';
+const BACKUP_PREFIX = 'azkura-backup-';
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+// ─── Settings ────────────────────────────────────────────────────────────────
+
+/**
+ * Get the WebDAV server settings (password stays sealed)
+ * @returns {Promise<{url: string, username: string, password: object|null, directory: string}>}
+ */
+export async function getWebdavSettings() {
+  const defaults = { url: '', username: '', password: null, directory: 'Azkura Auth' };
+  const saved = await getLocalItem(WEBDAV_SETTINGS_KEY);
+  return { ...defaults, ...saved };
+}
+
+/**
+ * Check a server URL and return it normalized with a trailing slash
+ * @param {string} url
+ * @returns {string}
+ * @throws {Error} If the URL is invalid or not https (outside localhost)
+ */
+export function normalizeWebdavUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch {
+    throw new Error('Enter a valid server URL');
+  }
+  if (parsed.protocol !== 'https:' && !(parsed.protocol === 'http:' && LOCAL_HOSTS.includes(parsed.hostname))) {
+    throw new Error('Use an https:// server URL (http:// is only allowed for localhost)');
+  }
+  return parsed.href.endsWith('/') ? parsed.href : `${parsed.href}/`;
+}
+
+/**
+ * Save WebDAV server settings
+ * @param {object} settings
+ * @param {string} settings.url - Server URL, e.g. https://cloud.example.com/remote.php/dav/files/me/
+ * @param {string} settings.username
+ * @param {string} [settings.password] - New password; omit to keep the saved one
+ * @param {string} [settings.directory] - Directory for backups, created if missing
+ * @throws {Error} If the URL is invalid or the vault is locked
+ */
+export async function saveWebdavSettings({ url, username, password, directory }) {
+  const current = await getWebdavSettings();
+  const updated = {
+    url: normalizeWebdavUrl(url),
+    username: (username || '').trim(),
+    password: current.password,
+    directory: (directory ?? current.directory).trim().replace(/^\/+|\/+$/g, ''),
+  };
+
+  if (password) {
+    updated.password = await sealSetting(password, 'save the WebDAV password');
+  }
+
+  await setLocalItem(WEBDAV_SETTINGS_KEY, updated);
+}
+
+/**
+ * Forget the WebDAV server
+ */
+export async function clearWebdavSettings() {
+  await removeLocalItem(WEBDAV_SETTINGS_KEY);
+}
+
+/**
+ * Ask for host permission on the WebDAV server (must run from a user gesture)
+ * @param {string} url
+ * @returns {Promise<boolean>}
+ * @throws {Error} If the URL is invalid
+ */
+export async function requestWebdavPermission(url) {
+  const origin = new URL(normalizeWebdavUrl(url)).origin;
+  try {
+    return await chrome.permissions.request({ origins: [`${origin}/*`] });
+  } catch {
+    return false;
+  }
+}
+
+// ─── Requests ────────────────────────────────────────────────────────────────
+
+/**
+ * Encode a string as Base64 via UTF-8 (btoa alone fails on non-Latin-1)
+ * @param {string} text
+ * @returns {string}
+ */
+function utf8ToBase64(text) {
+  return btoa(String.fromCharCode(...new TextEncoder().encode(text)));
+}
+
+/**
+ * Resolve the backup directory URL and auth header
+ * @param {object} [settings] - Settings to use instead of the saved ones
+ * @param {string} [password] - Plain password (for testing unsaved settings)
+ * @returns {Promise<{baseUrl: string, rootUrl: string, directories: string[], headers: object}>}
+ *   rootUrl: server URL; directories: path segments of the backup directory below it
+ * @throws {Error} If WebDAV isn't set up or the vault is locked
+ */
+async function getConnection(settings = null, password = null) {
+  const config = settings || (await getWebdavSettings());
+  if (!config.url) {
+    throw new Error('WebDAV server is not set up');
+  }
+
+  const secret = password ?? (config.password ? await openSetting(config.password) : '');
+  if (secret === null) {
+    throw new Error('Unlock the vault to use WebDAV backups');
+  }
+
+  const directories = (config.directory || '').split('/').filter(Boolean);
+  const directory = directories.length ? directories.map(encodeURIComponent).join('/') + '/' : '';
+  const headers = config.username
+    ? { 'Authorization': `Basic ${utf8ToBase64(`${config.username}:${secret}`)}` }
+    : {};
+
+  const rootUrl = normalizeWebdavUrl(config.url);
+  return { baseUrl: new URL(directory, rootUrl).href, rootUrl, directories, headers };
+}
+
+/**
+ * Send a WebDAV request
+ * @param {{baseUrl: string, headers: object}} connection
+ * @param {string} method
+ * @param {string} [path] - File name relative to the backup directory
+ * @param {object} [options] - Extra fetch options (headers, body)
+ * @returns {Promise<Response>}
+ * @throws {Error} On network and authentication errors
+ */
+async function webdavRequest(connection, method, path = '', options = {}) {
+  let response;
+  try {
+    response = await fetch(new URL(encodeURIComponent(path).replace(/%2F/g, '/'), connection.baseUrl).href, {
+      ...options,
+      method,
+      headers: { ...connection.headers, ...options.headers },
+    });
+  } catch {
+    throw new Error('Cannot reach the WebDAV server. Check the URL and your connection.');
+  }
+
+  if (response.status === 401 || response.status === 403) {
+    throw new Error('WebDAV server rejected the username or password');
+  }
+  return response;
+}
+
+/**
+ * Create the backup directory and its parents if they don't exist yet
+ * MKCOL only creates one level, so each segment is created in order.
+ * @param {{rootUrl: string, directories: string[], headers: object}} connection
+ * @throws {Error} If a directory can't be created
+ */
+async function ensureDirectory(connection) {
+  const root = { ...connection, baseUrl: connection.rootUrl };
+  for (let depth = 1; depth <= connection.directories.length; depth++) {
+    const path = connection.directories.slice(0, depth).join('/');
+    const response = await webdavRequest(root, 'MKCOL', `${path}/`);
+    // 201 Created, or 405 Method Not Allowed because it already exists
+    if (response.ok || response.status === 405) continue;
+
+    if (response.status === 409) {
+      throw new Error(`Could not create "${path}": its parent folder is missing on the server. Check the server URL.`);
+    }
+    throw new Error(`Could not create the backup directory "${path}" (HTTP ${response.status})`);
+  }
+}
+
+/**
+ * Read the value of a DAV property from a PROPFIND response block
+ * Namespace prefixes differ between servers (d:, D:, lp1:), so they are ignored.
+ * @param {string} xml
+ * @param {string} name - Local property name
+ * @returns {string|null}
+ */
+function readProp(xml, name) {
+  const match = xml.match(new RegExp(`<(?:[\\w-]+:)?${name}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>`, 'i'));
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Decode a percent-encoded href, keeping it as-is if a server sent a
+ * malformed escape
+ * @param {string} href
+ * @returns {string}
+ */
+function decodeHref(href) {
+  try {
+    return decodeURIComponent(href);
+  } catch {
+    return href;
+  }
+}
+
+/**
+ * Parse a PROPFIND multistatus response into files
+ * Works without DOMParser, so the service worker can use it too.
+ * @param {string} xml
+ * @returns {Array<{name: string, size: number, modified: string, isCollection: boolean}>}
+ */
+export function parsePropfind(xml) {
+  const blocks = xml.match(/<(?:[\w-]+:)?response\b[\s\S]*?<\/(?:[\w-]+:)?response>/gi) || [];
+  return blocks.map((block) => {
+    const href = decodeHref(readProp(block, 'href') || '');
+    const name = href.replace(/\/+$/, '').split('/').pop();
+    const modified = new Date(readProp(block, 'getlastmodified') || 0);
+    return {
+      name,
+      size: parseInt(readProp(block, 'getcontentlength'), 10) || 0,
+      modified: (isNaN(modified) ? new Date(0) : modified).toISOString(),
+      isCollection: /<(?:[\w-]+:)?collection\s*\/?>/i.test(readProp(block, 'resourcetype') || ''),
+    };
+  });
+}
+
+/**
+ * Check that the server is reachable and the credentials work
+ * @param {object} settings - {url, username, password (plain), directory}; saved values fill the gaps
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function testWebdavConnection({ url, username, password, directory }) {
+  try {
+    const saved = await getWebdavSettings();
+    const connection = await getConnection(
+      { ...saved, url: normalizeWebdavUrl(url), username: username.trim(), directory: directory ?? saved.directory },
+      password || null
+    );
+    await ensureDirectory(connection);
+
+    const response = await webdavRequest(connection, 'PROPFIND', '', { headers: { 'Depth': '0' } });
+    if (response.status !== 207 && !response.ok) {
+      throw new Error(`Unexpected response from the server (HTTP ${response.status})`);
+    }
+    return { success: true };
+  } catch (error) {
+    console.error('[WebDAV] Connection test failed:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// ─── Provider ────────────────────────────────────────────────────────────────
+
+/** @type {import('./backup-providers.js').BackupProvider} */
+export const webdavProvider = {
+  id: 'webdav',
+  name: 'WebDAV',
+  features: { filters: false },
+
+  async isReady() {
+    const settings = await getWebdavSettings();
+    return !!settings.url;
+  },
+
+  async upload(accountsData, backupPassword, { fileName = null } = {}) {
+    try {
+      if (!backupPassword) {
+        throw new Error('Backup passphrase is required');
+      }
+
+      const timestamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+      const name = fileName || `${BACKUP_PREFIX}${timestamp}.json`;
+      const backup = await createBackupDocument(accountsData, await getFolders(), backupPassword);
+
+      const connection = await getConnection();
+      await ensureDirectory(connection);
+      const response = await webdavRequest(connection, 'PUT', name, {
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(backup, null, 2),
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      return { success: true, fileId: name, fileName: name };
+    } catch (error) {
+      console.error('[WebDAV] Upload failed:', error);
+      return { success: false, error: error.message || 'Failed to upload backup' };
+    }
+  },
+
+  async list({ pageSize = 10, pageToken = null } = {}) {
+    try {
+      const connection = await getConnection();
+      const response = await webdavRequest(connection, 'PROPFIND', '', {
+        headers: { 'Depth': '1', 'Content-Type': 'application/xml' },
+        body: '<?xml version="1.0"?><d:propfind xmlns:d="DAV:"><d:prop><d:getlastmodified/><d:getcontentlength/><d:resourcetype/></d:prop></d:propfind>',
+      });
+      if (response.status === 404) {
+        return { success: true, files: [], nextPageToken: null };
+      }
+      if (response.status !== 207) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const backups = parsePropfind(await response.text())
+        .filter(f => !f.isCollection && f.name.startsWith(BACKUP_PREFIX) && f.name.endsWith('.json'))
+        .sort((a, b) => b.modified.localeCompare(a.modified));
+
+      // WebDAV has no server-side paging; page through the sorted listing
+      const start = parseInt(pageToken, 10) || 0;
+      const end = start + pageSize;
+      return {
+        success: true,
+        files: backups.slice(start, end).map(f => ({
+          id: f.name,
+          name: f.name,
+          createdTime: f.modified,
+          size: String(f.size),
+          appProperties: {},
+        })),
+        nextPageToken: end < backups.length ? String(end) : null,
+      };
+    } catch (error) {
+      console.error('[WebDAV] List backups failed:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  async download(fileId) {
+    try {
+      const response = await webdavRequest(await getConnection(), 'GET', fileId);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const data = JSON.parse(await response.text());
+      if (!isBackupDocument(data)) {
+        throw new Error('Invalid backup file format');
+      }
+      return { success: true, data, encrypted: !!data.encrypted };
+    } catch (error) {
+      console.error('[WebDAV] Download failed:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  async delete(fileId) {
+    try {
+      const response = await webdavRequest(await getConnection(), 'DELETE', fileId);
+      if (!response.ok && response.status !== 404) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      return { success: true };
+    } catch (error) {
+      console.error('[WebDAV] Delete failed:', error);
+      return { success: false, error: error.message };
+    }
+  },
+};
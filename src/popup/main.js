@@ -64,24 +64,79 @@
   }
 })();
 
-import { generateTOTP, getRemainingSeconds, formatCode, isValidSecret } from '../core/totp.js';
-import { setupPin, verifyPin, encrypt, getDefaultKey } from '../core/crypto.js';
+import { generateTOTP, generateHOTP, getRemainingSeconds, formatCode, isValidSecret, setTimeOffset } from '../core/totp.js';
+import {
+  getTimeSyncSettings,
+  saveTimeSyncSettings,
+  syncClockOffset,
+  requestTimeSourcePermission,
+  isDriftSignificant,
+} from '../core/time-sync.js';
+import { getKdfAlgorithm, setKdfAlgorithm } from '../core/crypto.js';
 import { parseOtpauthURI } from '../core/uri-parser.js';
-import { isLoggedIn, loginGoogle, logoutGoogle, getUserProfile, refreshUserProfile } from '../core/google-auth.js';
-import { uploadBackupToDrive, listBackupsFromDrive, downloadBackupFromDrive, deleteBackupFromDrive } from '../core/google-drive.js';
+import { encodeMigrationURIs, isMigratable } from '../core/google-migration.js';
+import { detectImportFormat, parseImportFile } from '../core/importers.js';
+import { getExportFormats } from '../core/exporters.js';
+import { getScheduledBackupSettings, configureScheduledBackup, getQueuedBackupCount } from '../core/scheduled-backup.js';
+import {
+  isFolderPickerSupported,
+  pickLocalBackupFolder,
+  getLocalFolderAccess,
+  getLocalBackupSettings,
+  configureLocalBackup,
+  runLocalFolderBackup,
+} from '../core/local-folder-backup.js';
+import {
+  getDriveSyncSettings,
+  enableDriveSync,
+  disableDriveSync,
+  getSyncConflicts,
+  resolveSyncConflicts,
+} from '../core/drive-sync.js';
+import { estimatePassphraseStrength } from '../core/passphrase-strength.js';
+import qrcode from 'qrcode-generator';
+import {
+  isLoggedIn,
+  loginGoogle,
+  logoutGoogle,
+  logoutAllGoogle,
+  getUserProfile,
+  refreshUserProfile,
+  getLinkedAccounts,
+  getActiveAccountId,
+  setActiveAccount,
+  getRedirectUri,
+  getOAuthConfig,
+  getOAuthClientSettings,
+  saveOAuthClientSettings,
+  requestOAuthDiagnosticsAccess,
+  diagnoseOAuth,
+} from '../core/google-auth.js';
+import { googleDriveProvider, getGoogleDriveProvider } from '../core/google-drive.js';
+import { getActiveBackupProvider, setActiveBackupProvider } from '../core/backup-providers.js';
+import { getWebdavSettings, saveWebdavSettings, testWebdavConnection, requestWebdavPermission } from '../core/webdav.js';
 import {
   unlockVault,
+  unlockWithPin,
+  verifyUnlockSecret,
   lockVault,
+  rewrapVaultKey,
   addAccount,
   updateAccount,
+  incrementHotpCounter,
   deleteAccount,
   deleteAllAccounts,
   wipeAllData,
   exportBackup,
   exportPlainBackup,
-  importBackup,
-  importPlainBackup,
-  restoreFromDriveBackup,
+  exportAccountsAs,
+  IMPORT_ACTIONS,
+  buildImportPlan,
+  applyImportPlan,
+  diffAccounts,
+  externalImportToPayload,
+  openBackup,
+  openBackupFile,
   getAccounts,
   searchAccounts,
   getServiceMeta,
@@ -98,13 +153,19 @@ import {
   getPreferences,
   setPreference,
   setPreferences,
-  getSessionAccounts,
   getFolders,
   createFolder,
   deleteFolder,
   moveAccountToFolder,
   isUncategorizedHidden,
   setUncategorizedHidden,
+  getDeviceName,
+  setDeviceName,
+  getPinAttempts,
+  getPinWipeAfter,
+  setPinWipeAfter,
+  getPinWipeRecord,
+  getUnlockMethod,
 } from '../core/storage.js';
 import {
   trackAccountCopy,
@@ -123,8 +184,16 @@ let prefs = {};
 let pendingImportFile = null;
 let createPinValue = null;
 let googleUser = null;
+let pinLockoutTimer = null;
+let lockScreenInputs = null; // keypad + passphrase field, see initLockScreen()
+let lockScreenMethod = 'pin';
 let currentFolderFilter = 'all'; // 'all', 'uncategorized', or folderId
 let folders = [];
+let timeSyncSettings = null;
+
+const NEXT_CODE_PREVIEW_SECONDS = 10; // Show the upcoming code in the last 10s
+const NEAR_EXPIRY_SECONDS = 5;        // Copy policy applies in the last 5s
+let driftBannerDismissed = false;
 
 // ─── DOM helpers ─────────────────────────────────────────────────────────────
 const $ = (sel) => document.querySelector(sel);
@@ -221,7 +290,16 @@ function buildKeypad(containerId, dotsId, onComplete, errorId) {
     setTimeout(() => dots.forEach(d => d.classList.remove('error')), 600);
   }
 
-  return { flashError };
+  function setLocked(locked) {
+    if (locked) {
+      value = '';
+      updateDots();
+    }
+    container.classList.toggle('locked', locked);
+    container.querySelectorAll('.pin-key').forEach(btn => { btn.disabled = locked; });
+  }
+
+  return { flashError, setLocked };
 }
 
 // ─── Onboarding ───────────────────────────────────────────────────────────────
@@ -255,6 +333,56 @@ function initOnboarding() {
     createPinValue = null;
   });
 
+  // Save the PIN or passphrase and create the vault protected by it
+  async function finishWithSecret(secret, method) {
+    await setLocalItem('pinData', { type: method });
+    await setPinEnabled(true);
+    currentPassword = secret;
+    await unlockVault(secret).catch(() => {});
+    updateStepDots(3);
+    showView('#viewMain');
+    await loadMainView();
+  }
+
+  // Passphrase instead of PIN
+  const stepPassphrase = $('#onboardStepPassphrase');
+  const passphraseInput = $('#onboardPassphrase');
+  const passphraseConfirm = $('#onboardPassphraseConfirm');
+  const passphraseError = $('#onboardPassphraseError');
+
+  $('#btnUsePassphrase').addEventListener('click', () => {
+    step2.style.display = 'none';
+    stepPassphrase.style.display = 'flex';
+    passphraseInput.value = '';
+    passphraseConfirm.value = '';
+    passphraseError.classList.remove('visible');
+    renderPassphraseStrength($('#onboardPassphraseStrength'), '');
+    setTimeout(() => passphraseInput.focus(), 100);
+  });
+
+  $('#btnUsePinInstead').addEventListener('click', () => {
+    stepPassphrase.style.display = 'none';
+    step2.style.display = 'flex';
+  });
+
+  passphraseInput.addEventListener('input', () => {
+    renderPassphraseStrength($('#onboardPassphraseStrength'), passphraseInput.value);
+  });
+
+  const createPassphrase = async () => {
+    const error = validateUnlockSecret('passphrase', passphraseInput.value, passphraseConfirm.value);
+    if (error) {
+      passphraseError.textContent = error;
+      passphraseError.classList.add('visible');
+      return;
+    }
+    await finishWithSecret(passphraseInput.value, 'passphrase');
+  };
+  $('#btnOnboardPassphrase').addEventListener('click', createPassphrase);
+  passphraseConfirm.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') createPassphrase();
+  });
+
   // Skip PIN - go directly to main
   $('#btnSkipPin').addEventListener('click', async () => {
     // Disable PIN protection
@@ -294,44 +422,167 @@ function initOnboarding() {
         }, 700);
         return;
       }
-      // Save PIN
-      const pinData = await setupPin(pin);
-      await setLocalItem('pinData', pinData);
-      await setPinEnabled(true);
-      currentPassword = pin;
-      // Unlock/create empty vault
-      await unlockVault(pin).catch(() => {});
-      updateStepDots(3);
-      showView('#viewMain');
-      await loadMainView();
+      // Save PIN and unlock/create empty vault
+      await finishWithSecret(pin, 'pin');
     },
     'pinConfirmError'
   );
 }
 
 // ─── Lock Screen ─────────────────────────────────────────────────────────────
+
+// The passphrase is the only secret guarding the vault, so it has to be
+// stronger than what backups accept
+const MIN_UNLOCK_PASSPHRASE_SCORE = 3;
+
+/**
+ * Check a new PIN or unlock passphrase
+ * @param {'pin'|'passphrase'} method
+ * @param {string} secret
+ * @param {string} confirmation - The secret typed again
+ * @returns {string|null} Error message, or null when it can be used
+ */
+function validateUnlockSecret(method, secret, confirmation) {
+  if (method === 'pin') {
+    // The lock screen keypad takes exactly 6 digits
+    if (!/^\d{6}$/.test(secret)) return 'PIN must be 6 digits';
+  } else {
+    if (secret.length < 8) return 'Passphrase must be at least 8 characters';
+    const { score, label } = estimatePassphraseStrength(secret);
+    if (score < MIN_UNLOCK_PASSPHRASE_SCORE) {
+      return `Passphrase is too weak (${label}). Add more words, numbers or symbols.`;
+    }
+  }
+  if (secret !== confirmation) {
+    return method === 'pin' ? 'PINs do not match' : 'Passphrases do not match';
+  }
+  return null;
+}
+
 function initLockScreen() {
-  const { flashError } = buildKeypad(
-    'pinKeypadLock', 'pinDotsLock',
-    async (pin) => {
-      try {
-        const pinData = await getLocalItem('pinData');
-        const valid = await verifyPin(pin, pinData.hash, pinData.salt);
-        if (!valid) {
-          flashError('Incorrect PIN. Try again.');
-          return;
-        }
-        currentPassword = pin;
-        await unlockVault(pin);
-        showView('#viewMain');
-        await loadMainView();
-        setupAutoLock();
-      } catch (err) {
-        flashError('Unlock failed. Try again.');
-      }
+  const input = $('#passphraseLockInput');
+  const keypad = buildKeypad('pinKeypadLock', 'pinDotsLock', attemptUnlock, 'pinLockError');
+
+  // Keypad and passphrase field share the error line and the lockout
+  lockScreenInputs = {
+    flashError(msg) {
+      keypad.flashError(msg);
+      input.value = '';
     },
-    'pinLockError'
-  );
+    setLocked(locked) {
+      keypad.setLocked(locked);
+      input.disabled = locked;
+      $('#btnPassphraseUnlock').disabled = locked;
+    },
+  };
+
+  $('#passphraseLockForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    if (input.value) attemptUnlock(input.value);
+  });
+}
+
+/**
+ * Show the lock screen with the keypad or the passphrase field
+ */
+async function showLockScreen() {
+  lockScreenMethod = await getUnlockMethod();
+  const passphrase = lockScreenMethod === 'passphrase';
+
+  $('#lockSubtitle').textContent = passphrase ? 'Enter your passphrase to unlock' : 'Enter your PIN to unlock';
+  $('#pinDotsLock').style.display = passphrase ? 'none' : '';
+  $('#pinKeypadLock').style.display = passphrase ? 'none' : '';
+  $('#passphraseLockForm').style.display = passphrase ? 'flex' : 'none';
+  $('#passphraseLockInput').value = '';
+  $('#pinLockError').classList.remove('visible');
+
+  showView('#viewLock');
+  await refreshPinLockout(lockScreenInputs);
+  if (passphrase) setTimeout(() => $('#passphraseLockInput').focus(), 100);
+}
+
+/**
+ * Try to unlock with the PIN or passphrase from the lock screen
+ * @param {string} secret
+ */
+async function attemptUnlock(secret) {
+  const noun = lockScreenMethod === 'passphrase' ? 'passphrase' : 'PIN';
+  try {
+    // Attempts are counted and delayed by the storage layer
+    const result = await unlockWithPin(secret);
+    if (result.wiped) {
+      await showVaultWiped();
+      return;
+    }
+    if (!result.success) {
+      lockScreenInputs.flashError(result.attemptsLeft !== null && result.attemptsLeft <= 5
+        ? `Incorrect ${noun}. ${result.attemptsLeft} attempt${result.attemptsLeft === 1 ? '' : 's'} left before the vault is erased.`
+        : `Incorrect ${noun}. Try again.`);
+      await refreshPinLockout(lockScreenInputs);
+      return;
+    }
+    currentPassword = secret;
+    $('#passphraseLockInput').value = '';
+    showView('#viewMain');
+    await loadMainView();
+    setupAutoLock();
+    if (result.previousFailures > 0) {
+      showToast(`${result.previousFailures} failed unlock attempt${result.previousFailures === 1 ? '' : 's'} since your last unlock`, 'info', 4000);
+    }
+  } catch (err) {
+    lockScreenInputs.flashError('Unlock failed. Try again.');
+  }
+}
+
+/**
+ * Lock the keypad while failed attempts are being delayed, with a countdown
+ * @param {{setLocked: (locked: boolean) => void}} keypad - Lock screen inputs
+ */
+async function refreshPinLockout(keypad) {
+  const { lockedUntil } = await getPinAttempts();
+  const countdown = $('#pinLockCountdown');
+
+  const tick = () => {
+    const remaining = lockedUntil ? lockedUntil - Date.now() : 0;
+    if (remaining <= 0) {
+      clearInterval(pinLockoutTimer);
+      countdown.style.display = 'none';
+      keypad.setLocked(false);
+      return;
+    }
+    const seconds = Math.ceil(remaining / 1000);
+    const clock = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    countdown.textContent = `Too many failed attempts. Try again in ${clock}`;
+    countdown.style.display = 'block';
+    keypad.setLocked(true);
+  };
+
+  clearInterval(pinLockoutTimer);
+  tick();
+  pinLockoutTimer = setInterval(tick, 1000);
+}
+
+/**
+ * Show onboarding after the vault was erased for too many failed PINs
+ */
+async function showVaultWiped() {
+  currentAccounts = [];
+  currentPassword = null;
+  clearInterval(pinLockoutTimer);
+  await showPinWipeNotice();
+  showView('#viewOnboarding');
+}
+
+/**
+ * Explain on the welcome screen why the vault is gone, if it was erased
+ */
+async function showPinWipeNotice() {
+  const record = await getPinWipeRecord();
+  $('#pinWipeNotice').style.display = record ? 'flex' : 'none';
+  if (record) {
+    $('#pinWipeNoticeText').textContent = `The vault on this device was erased on ${new Date(record.wipedAt).toLocaleString()} `
+      + `after ${record.failures} failed PIN attempts. Restore it from a backup after setting up.`;
+  }
 }
 
 // ─── Auto-lock ────────────────────────────────────────────────────────────────
@@ -370,6 +621,7 @@ function applyPreferences() {
   const cacToggle = $('#closeAfterCopyToggle');
   const afsToggle = $('#autoFocusSearchToggle');
   const alSelect = $('#autoLockSelect');
+  const necSelect = $('#nearExpiryCopySelect');
   const pinToggle = $('#pinProtectionToggle');
 
   if (pmToggle) pmToggle.checked = !!prefs.privacyMode;
@@ -377,6 +629,7 @@ function applyPreferences() {
   if (cacToggle) cacToggle.checked = prefs.closeAfterCopy !== false;
   if (afsToggle) afsToggle.checked = prefs.autoFocusSearch !== false;
   if (alSelect) alSelect.value = String(prefs.autoLockMinutes ?? 5);
+  if (necSelect) necSelect.value = prefs.nearExpiryCopy || 'current';
   if (pinToggle) pinToggle.checked = !!prefs.pinEnabled;
 
   // Sync color swatches
@@ -393,11 +646,23 @@ function updatePinUI() {
   const pinEnabled = prefs.pinEnabled;
   const pinChangeBtn = $('#btnChangePIN');
   const autoLockItem = $('#autoLockItem');
+  const pinWipeItem = $('#pinWipeItem');
   const pinWarning = $('#pinDisabledWarning');
 
   if (pinChangeBtn) pinChangeBtn.style.display = pinEnabled ? 'flex' : 'none';
   if (autoLockItem) autoLockItem.style.display = pinEnabled ? 'flex' : 'none';
+  if (pinWipeItem) pinWipeItem.style.display = pinEnabled ? 'flex' : 'none';
   if (pinWarning) pinWarning.style.display = pinEnabled ? 'none' : 'flex';
+
+  // Kept per device in local storage, not with the synced preferences
+  getPinWipeAfter().then((attempts) => {
+    const select = $('#pinWipeSelect');
+    if (select) select.value = String(attempts);
+  });
+  getKdfAlgorithm().then((algorithm) => {
+    const select = $('#kdfSelect');
+    if (select) select.value = algorithm;
+  });
 }
 
 // ─── Progress Ring ────────────────────────────────────────────────────────────
@@ -450,6 +715,35 @@ function updateProgressRing(ringEl, remaining, period) {
   text.className = `progress-ring-text ${cls}`;
 }
 
+// ─── HOTP Next Code ───────────────────────────────────────────────────────────
+function createHotpNextBtnEl() {
+  const btn = document.createElement('button');
+  btn.className = 'hotp-next-btn';
+  btn.dataset.action = 'next-code';
+  btn.title = 'Next code';
+  btn.innerHTML = `
+    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="23 4 23 10 17 10"/><path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"/></svg>
+  `;
+  return btn;
+}
+
+async function nextHotpCode(card) {
+  const btn = card._ringEl;
+  if (btn.disabled) return;
+  btn.disabled = true;
+  try {
+    const updated = await incrementHotpCounter(card._account.id, currentPassword);
+    card._account = updated;
+    currentAccounts = currentAccounts.map(a => a.id === updated.id ? updated : a);
+    await updateAllCodes();
+    resetAutoLock();
+  } catch (err) {
+    showToast('Failed to advance counter: ' + err.message, 'error');
+  } finally {
+    btn.disabled = false;
+  }
+}
+
 // ─── Account Card ─────────────────────────────────────────────────────────────
 function createAccountCard(account) {
   const meta = getServiceMeta(account.issuer);
@@ -487,14 +781,26 @@ function createAccountCard(account) {
   const codeWrapper = document.createElement('div');
   codeWrapper.className = 'account-code-wrapper';
 
+  const codeStack = document.createElement('div');
+  codeStack.className = 'account-code-stack';
+
   const codeEl = document.createElement('div');
   codeEl.className = 'account-code';
-  codeEl.textContent = '--- ---';
+  codeEl.textContent = formatCode(null, account.type);
 
-  // Progress ring
-  const ringEl = createProgressRingEl(account.period || 30);
+  // Upcoming code, revealed near the end of the period
+  const nextEl = document.createElement('div');
+  nextEl.className = 'account-code-next';
+  nextEl.title = 'Next code';
 
-  codeWrapper.appendChild(codeEl);
+  codeStack.appendChild(codeEl);
+  codeStack.appendChild(nextEl);
+
+  // Progress ring (TOTP) or "next code" button (HOTP)
+  const isHotp = account.type === 'hotp';
+  const ringEl = isHotp ? createHotpNextBtnEl() : createProgressRingEl(account.period || 30);
+
+  codeWrapper.appendChild(codeStack);
   codeWrapper.appendChild(ringEl);
 
   // Copy flash
@@ -528,6 +834,14 @@ function createAccountCard(account) {
     copyCode(account.id, codeEl, flashEl, card);
   });
 
+  // HOTP: advance the counter on demand
+  if (isHotp) {
+    ringEl.addEventListener('click', (e) => {
+      e.stopPropagation();
+      nextHotpCode(card);
+    });
+  }
+
   // Action buttons
   actionsEl.addEventListener('click', (e) => {
     const btn = e.target.closest('[data-action]');
@@ -539,6 +853,8 @@ function createAccountCard(account) {
   });
 
   card._codeEl = codeEl;
+  card._nextEl = nextEl;
+  card._flashEl = flashEl;
   card._ringEl = ringEl;
   card._account = account;
 
@@ -549,8 +865,56 @@ function escHtml(str) {
   return String(str).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;');
 }
 
+/**
+ * Build generateTOTP options for a stored time-based account
+ * @param {object} account
+ * @returns {object}
+ */
+function getTotpOptions(account) {
+  return {
+    digits: account.digits || 6,
+    period: account.period || 30,
+    algorithm: account.algorithm || 'SHA1',
+    encoder: account.type === 'steam' ? 'steam' : null,
+  };
+}
+
 async function copyCode(accountId, codeEl, flashEl, cardEl) {
-  const text = codeEl.textContent.replace(/\s/g, '');
+  const account = cardEl._account;
+
+  // Near expiry the current code may die before it is pasted
+  if (account && account.type !== 'hotp') {
+    const remaining = getRemainingSeconds(account.period || 30);
+    if (remaining <= NEAR_EXPIRY_SECONDS && prefs.nearExpiryCopy === 'wait') {
+      // updateAllCodes() copies once the new window starts
+      cardEl._pendingCopy = true;
+      cardEl.classList.add('copy-pending');
+      showToast(`New code in ${remaining}s, copying then…`, 'info', remaining * 1000);
+      return;
+    }
+    if (remaining <= NEAR_EXPIRY_SECONDS && prefs.nearExpiryCopy === 'next') {
+      try {
+        const nextCode = await generateTOTP(account.secret, { ...getTotpOptions(account), step: 1 });
+        await writeCodeToClipboard(accountId, nextCode, flashEl, cardEl, 'Next code copied!');
+      } catch {
+        showToast('Failed to copy', 'error');
+      }
+      return;
+    }
+  }
+
+  await writeCodeToClipboard(accountId, codeEl.textContent.replace(/\s/g, ''), flashEl, cardEl);
+}
+
+/**
+ * Copy a code, flash the card and track the copy
+ * @param {string} accountId
+ * @param {string} text - Code without spaces
+ * @param {HTMLElement} flashEl
+ * @param {HTMLElement} cardEl
+ * @param {string} [message='Code copied!']
+ */
+async function writeCodeToClipboard(accountId, text, flashEl, cardEl, message = 'Code copied!') {
   try {
     await navigator.clipboard.writeText(text);
     flashEl.classList.remove('animate');
@@ -558,7 +922,7 @@ async function copyCode(accountId, codeEl, flashEl, cardEl) {
     flashEl.classList.add('animate');
     cardEl.classList.add('copied');
     setTimeout(() => cardEl.classList.remove('copied'), 800);
-    showToast('Code copied!', 'success', 1500);
+    showToast(message, 'success', 1500);
     resetAutoLock();
     
     // Track this copy event for statistics
@@ -579,16 +943,28 @@ async function copyCode(accountId, codeEl, flashEl, cardEl) {
 // ─── Main View ────────────────────────────────────────────────────────────────
 async function loadMainView() {
   prefs = await getPreferences();
+  prefs.pinEnabled = await isPinEnabled(); // vault key wrapping is authoritative
   applyPreferences();
   
   // Load folders
   await loadFolders();
   await renderFolderChips();
   
+  // Apply the stored clock correction before the first render
+  timeSyncSettings = await getTimeSyncSettings();
+  setTimeOffset(timeSyncSettings.offsetMs);
+  updateDriftBanner();
+
   currentAccounts = await getAccounts();
   renderAccounts(currentAccounts);
   startTick();
 
+  // Re-measure drift in the background when automatic sync is due
+  syncClockOffset().then((settings) => {
+    timeSyncSettings = settings;
+    updateDriftBanner();
+  });
+
   if (prefs.autoFocusSearch) {
     setTimeout(() => $('#searchInput')?.focus(), 100);
   }
@@ -597,6 +973,129 @@ async function loadMainView() {
   await refreshProfileUI();
 }
 
+// ─── Clock Drift ──────────────────────────────────────────────────────────────
+/**
+ * Describe a clock offset for the user
+ * @param {number} offsetMs - Server time minus local time
+ * @returns {string}
+ */
+function describeClockOffset(offsetMs) {
+  const seconds = (Math.abs(offsetMs) / 1000).toFixed(1);
+  // A positive offset means the server is ahead, i.e. the local clock is behind
+  return offsetMs >= 0 ? `${seconds}s behind` : `${seconds}s ahead`;
+}
+
+function updateDriftBanner() {
+  const banner = $('#clockDriftBanner');
+  if (!banner || !timeSyncSettings) return;
+
+  const show = !driftBannerDismissed && isDriftSignificant(timeSyncSettings.offsetMs);
+  banner.style.display = show ? 'flex' : 'none';
+  if (show) {
+    $('#clockDriftText').textContent =
+      `Your device clock is ${describeClockOffset(timeSyncSettings.offsetMs)}. Codes are corrected for this offset.`;
+  }
+}
+
+function updateTimeSyncUI() {
+  if (!timeSyncSettings) return;
+  $('#autoTimeSyncToggle').checked = !!timeSyncSettings.autoSync;
+  $('#timeSourceInput').value = timeSyncSettings.sourceUrl;
+  $('#timeOffsetInput').value = (timeSyncSettings.offsetMs / 1000).toFixed(1);
+
+  let status = 'Not measured yet';
+  if (timeSyncSettings.lastError) {
+    status = `Last check failed: ${timeSyncSettings.lastError}`;
+  } else if (timeSyncSettings.lastSyncAt) {
+    status = `Clock ${describeClockOffset(timeSyncSettings.offsetMs)} · ${getTimeAgo(timeSyncSettings.lastSyncAt)}`;
+  }
+  $('#timeSyncStatus').textContent = status;
+}
+
+/**
+ * Measure drift now (called from a click, so the host permission prompt can show)
+ * @returns {Promise<boolean>} true if the measurement succeeded
+ */
+async function syncTimeNow() {
+  const granted = await requestTimeSourcePermission(timeSyncSettings.sourceUrl);
+  if (!granted) {
+    showToast('Permission to contact the time source was denied', 'error');
+    return false;
+  }
+
+  timeSyncSettings = await syncClockOffset({ force: true });
+  driftBannerDismissed = false;
+  updateTimeSyncUI();
+  updateDriftBanner();
+
+  if (timeSyncSettings.lastError) {
+    showToast('Time sync failed: ' + timeSyncSettings.lastError, 'error');
+    return false;
+  }
+  showToast(`Clock ${describeClockOffset(timeSyncSettings.offsetMs)}`, 'success');
+  return true;
+}
+
+function initTimeSync() {
+  $('#btnDismissDrift').addEventListener('click', () => {
+    driftBannerDismissed = true;
+    updateDriftBanner();
+  });
+
+  $('#autoTimeSyncToggle').addEventListener('change', async (e) => {
+    if (e.target.checked) {
+      const granted = await requestTimeSourcePermission(timeSyncSettings.sourceUrl);
+      if (!granted) {
+        e.target.checked = false;
+        showToast('Permission to contact the time source was denied', 'error');
+        return;
+      }
+    }
+    timeSyncSettings = await saveTimeSyncSettings({ autoSync: e.target.checked });
+    if (e.target.checked) await syncTimeNow();
+  });
+
+  $('#timeSourceInput').addEventListener('change', async (e) => {
+    const url = e.target.value.trim();
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      parsed = null;
+    }
+    if (!parsed || !['https:', 'http:'].includes(parsed.protocol)) {
+      showToast('Enter a valid http(s) URL', 'error');
+      updateTimeSyncUI();
+      return;
+    }
+    timeSyncSettings = await saveTimeSyncSettings({ sourceUrl: url, lastSyncAt: null, lastError: null });
+    updateTimeSyncUI();
+  });
+
+  $('#timeOffsetInput').addEventListener('change', async (e) => {
+    const seconds = parseFloat(e.target.value);
+    if (isNaN(seconds)) {
+      updateTimeSyncUI();
+      return;
+    }
+    timeSyncSettings = await saveTimeSyncSettings({ offsetMs: Math.round(seconds * 1000) });
+    updateTimeSyncUI();
+    updateDriftBanner();
+    updateAllCodes();
+  });
+
+  $('#btnSyncTimeNow').addEventListener('click', async () => {
+    const btn = $('#btnSyncTimeNow');
+    btn.disabled = true;
+    try {
+      await syncTimeNow();
+      updateAllCodes();
+    } finally {
+      btn.disabled = false;
+    }
+  });
+}
+
 function renderAccounts(accounts) {
   const list = $('#accountsList');
   list.innerHTML = '';
@@ -638,14 +1137,44 @@ async function updateAllCodes() {
   for (const card of cards) {
     const account = card._account;
     if (!account) continue;
+
+    // HOTP codes only change when the counter is advanced
+    if (account.type === 'hotp') {
+      try {
+        const code = await generateHOTP(account.secret, {
+          counter: account.counter || 0,
+          digits: account.digits || 6,
+          algorithm: account.algorithm || 'SHA1',
+        });
+        card._codeEl.textContent = formatCode(code);
+      } catch {
+        card._codeEl.textContent = 'Error';
+      }
+      continue;
+    }
+
     const remaining = getRemainingSeconds(account.period || 30);
     try {
-      const code = await generateTOTP(account.secret, {
-        digits: account.digits || 6,
-        period: account.period || 30,
-        algorithm: account.algorithm || 'SHA1',
-      });
-      card._codeEl.textContent = formatCode(code);
+      const options = getTotpOptions(account);
+      const code = await generateTOTP(account.secret, options);
+      card._codeEl.textContent = formatCode(code, account.type);
+
+      // Preview the upcoming code during the last part of the period
+      if (remaining <= NEXT_CODE_PREVIEW_SECONDS) {
+        const nextCode = await generateTOTP(account.secret, { ...options, step: 1 });
+        card._nextEl.textContent = `next ${formatCode(nextCode, account.type)}`;
+        card._nextEl.classList.add('visible');
+      } else {
+        card._nextEl.classList.remove('visible');
+      }
+
+      // "Wait for new code" copy requested near expiry: the window rolled over.
+      // The click is seconds old by now, so this relies on the clipboardWrite permission
+      if (card._pendingCopy && remaining > NEAR_EXPIRY_SECONDS) {
+        card._pendingCopy = false;
+        card.classList.remove('copy-pending');
+        writeCodeToClipboard(account.id, code, card._flashEl, card);
+      }
 
       // Color based on remaining
       card._codeEl.classList.remove('warning', 'danger');
@@ -778,8 +1307,24 @@ function populateAddForm(parsed) {
   $('#addAccount').value = parsed.account || '';
   $('#addSecret').value = parsed.secret || '';
   $('#addAlgorithm').value = parsed.algorithm || 'SHA1';
-  $('#addDigits').value = String(parsed.digits || 6);
+  $('#addDigits').value = parsed.digits === 8 ? '8' : '6';
   $('#addPeriod').value = String(parsed.period || 30);
+  $('#addType').value = ['hotp', 'steam'].includes(parsed.type) ? parsed.type : 'totp';
+  $('#addCounter').value = String(parsed.counter || 0);
+  syncOtpTypeFields('add');
+}
+
+/**
+ * Show the fields that apply to the selected account type:
+ * period for TOTP, counter for HOTP, neither (nor algorithm/digits) for Steam
+ * @param {'add'|'edit'} prefix - Which modal's fields to update
+ */
+function syncOtpTypeFields(prefix) {
+  const type = $(`#${prefix}Type`).value;
+  const periodGroup = $(`#${prefix}PeriodGroup`);
+  if (periodGroup) periodGroup.style.display = type === 'totp' ? '' : 'none';
+  $(`#${prefix}CounterGroup`).style.display = type === 'hotp' ? '' : 'none';
+  $(`#${prefix}FormatRow`).style.display = type === 'steam' ? 'none' : '';
 }
 
 function clearAddForm() {
@@ -789,6 +1334,9 @@ function clearAddForm() {
   $('#addAlgorithm').value = 'SHA1';
   $('#addDigits').value = '6';
   $('#addPeriod').value = '30';
+  $('#addType').value = 'totp';
+  $('#addCounter').value = '0';
+  syncOtpTypeFields('add');
   $('#addSecretError').classList.remove('visible');
 }
 
@@ -800,6 +1348,8 @@ function initAddAccountModal() {
     if (e.target === e.currentTarget) closeModal('#modalAddAccount');
   });
 
+  $('#addType').addEventListener('change', () => syncOtpTypeFields('add'));
+
   // Secret validation on blur
   $('#addSecret').addEventListener('blur', () => {
     const val = $('#addSecret').value;
@@ -820,6 +1370,8 @@ function initAddAccountModal() {
     const algorithm = $('#addAlgorithm').value;
     const digits = parseInt($('#addDigits').value);
     const period = parseInt($('#addPeriod').value);
+    const type = $('#addType').value;
+    const counter = parseInt($('#addCounter').value) || 0;
 
     if (!secret || !isValidSecret(secret)) {
       $('#addSecret').classList.add('error');
@@ -834,7 +1386,7 @@ function initAddAccountModal() {
 
     try {
       $('#btnAddAccountSubmit').disabled = true;
-      const newAccount = await addAccount({ issuer, account, secret, algorithm, digits, period }, currentPassword);
+      const newAccount = await addAccount({ issuer, account, secret, algorithm, digits, period, type, counter }, currentPassword);
       currentAccounts = await getAccounts();
       
       // Track first account creation
@@ -863,7 +1415,10 @@ function openEditModal(accountId) {
   $('#editAccountName').value = account.account || '';
   $('#editSecret').value = account.secret || '';
   $('#editAlgorithm').value = account.algorithm || 'SHA1';
-  $('#editDigits').value = String(account.digits || 6);
+  $('#editDigits').value = account.digits === 8 ? '8' : '6';
+  $('#editType').value = ['hotp', 'steam'].includes(account.type) ? account.type : 'totp';
+  $('#editCounter').value = String(account.counter || 0);
+  syncOtpTypeFields('edit');
 
   openModal('#modalEditAccount');
 }
@@ -875,6 +1430,8 @@ function initEditAccountModal() {
     if (e.target === e.currentTarget) closeModal('#modalEditAccount');
   });
 
+  $('#editType').addEventListener('change', () => syncOtpTypeFields('edit'));
+
   $('#toggleSecretVisibility').addEventListener('click', () => {
     const inp = $('#editSecret');
     inp.type = inp.type === 'password' ? 'text' : 'password';
@@ -887,15 +1444,21 @@ function initEditAccountModal() {
     const secret = $('#editSecret').value.trim();
     const algorithm = $('#editAlgorithm').value;
     const digits = parseInt($('#editDigits').value);
+    const type = $('#editType').value;
+    const counter = Math.max(0, parseInt($('#editCounter').value) || 0);
 
     if (!secret || !isValidSecret(secret)) {
       showToast('Invalid secret key', 'error');
       return;
     }
 
+    const updates = { issuer, account, secret, algorithm, digits, type };
+    if (type === 'hotp') updates.counter = counter;
+    if (type === 'steam') updates.digits = 5;
+
     try {
       $('#btnEditAccountSubmit').disabled = true;
-      await updateAccount(id, { issuer, account, secret, algorithm, digits }, currentPassword);
+      await updateAccount(id, updates, currentPassword);
       currentAccounts = await getAccounts();
       renderAccounts(currentAccounts);
       closeModal('#modalEditAccount');
@@ -986,9 +1549,21 @@ function initProfileMenu() {
     }
   });
 
-  // Logout
+  // Link another Google account next to the current ones
+  $('#btnAddGoogleAccount').addEventListener('click', async () => {
+    showToast('Connecting to Google...', 'info');
+    const result = await loginGoogle();
+    if (result.success) {
+      showToast(`Linked ${result.user.email}`, 'success');
+      await refreshProfileUI();
+    } else {
+      showToast('Login failed: ' + result.error, 'error', 5000);
+    }
+  });
+
+  // Logout (every linked account)
   $('#btnLogoutGoogle').addEventListener('click', async () => {
-    const result = await logoutGoogle();
+    const result = await logoutAllGoogle();
     if (result.success) {
       showToast('Signed out', 'info');
       await refreshProfileUI();
@@ -996,42 +1571,71 @@ function initProfileMenu() {
     }
   });
 
+  // Switch or unlink one of several linked accounts
+  $('#linkedAccountsList').addEventListener('click', async (e) => {
+    const row = e.target.closest('.linked-account');
+    if (!row) return;
+    const accountId = row.dataset.accountId;
+
+    if (e.target.closest('.linked-account-unlink')) {
+      const email = row.dataset.email;
+      if (!confirm(`Unlink ${email}? Its backups stay in Drive, and the other accounts stay signed in.`)) return;
+      const result = await logoutGoogle(accountId);
+      if (result.success) showToast(`Unlinked ${email}`, 'info');
+    } else {
+      await setActiveAccount(accountId);
+    }
+    await refreshProfileUI();
+  });
+
   // Backup to Drive
   $('#btnBackupToDrive').addEventListener('click', async () => {
     overlay.classList.remove('open');
-    await backupToDrive();
+    await backupToProvider(googleDriveProvider);
   });
 
   // Restore from Drive (profile menu)
   $('#btnRestoreFromDriveMenu')?.addEventListener('click', async () => {
     overlay.classList.remove('open');
-    await restoreFromDrive();
+    await restoreFromProvider(googleDriveProvider);
+  });
+
+  // Browse another linked account's backups
+  $('#restoreDriveAccount').addEventListener('change', async (e) => {
+    restoreProvider = getGoogleDriveProvider(e.target.value);
+    await resetRestoreFilters();
+    await loadDriveBackups(true);
   });
 
-  // Backup from settings
+  // Backup from settings (chosen destination)
   $('#btnBackupDriveSettings')?.addEventListener('click', async () => {
     closeModal('#modalSettings');
-    await backupToDrive();
+    await backupToProvider(await getActiveBackupProvider());
   });
 
-  // Restore from settings
+  // Restore from settings (chosen destination)
   $('#btnRestoreDriveSettings')?.addEventListener('click', async () => {
     closeModal('#modalSettings');
-    await restoreFromDrive();
+    await restoreFromProvider(await getActiveBackupProvider());
   });
 
   // Close restore drive modal
   $('#closeModalRestoreDrive')?.addEventListener('click', () => closeModal('#modalRestoreDrive'));
+  $('#restoreDriveDevice').addEventListener('change', () => loadDriveBackups(true));
+  $('#restoreDriveKind').addEventListener('change', () => loadDriveBackups(true));
+  $('#btnRestoreDriveMore').addEventListener('click', () => loadDriveBackups(false));
   $('#modalRestoreDrive')?.addEventListener('click', (e) => {
     if (e.target === e.currentTarget) closeModal('#modalRestoreDrive');
   });
+
+  // Close backup passphrase modal
+  $('#closeModalBackupPassphrase')?.addEventListener('click', () => closeModal('#modalBackupPassphrase'));
 }
 
 async function refreshProfileUI() {
   const loggedOutView = $('#profileMenuLoggedOut');
   const loggedInView = $('#profileMenuLoggedIn');
-  const settingsBackupBtn = $('#btnBackupDriveSettings');
-  const settingsRestoreBtn = $('#btnRestoreDriveSettings');
+  const autoBackupSettings = $('#autoBackupSettings');
 
   // Check login status
   const loggedIn = await isLoggedIn();
@@ -1059,16 +1663,20 @@ async function refreshProfileUI() {
       }
     }
 
+    const accounts = await getLinkedAccounts();
+    renderLinkedAccounts(accounts, user?.id);
+    $('#logoutGoogleLabel').textContent = accounts.length > 1 ? 'Sign Out of All Accounts' : 'Sign Out';
+
     loggedOutView.style.display = 'none';
     loggedInView.style.display = 'block';
-    if (settingsBackupBtn) settingsBackupBtn.style.display = 'flex';
-    if (settingsRestoreBtn) settingsRestoreBtn.style.display = 'flex';
+    if (autoBackupSettings) autoBackupSettings.style.display = 'block';
+    await updateAutoBackupUI();
+    await updateDriveSyncUI();
   } else {
     googleUser = null;
     loggedOutView.style.display = 'block';
     loggedInView.style.display = 'none';
-    if (settingsBackupBtn) settingsBackupBtn.style.display = 'none';
-    if (settingsRestoreBtn) settingsRestoreBtn.style.display = 'none';
+    if (autoBackupSettings) autoBackupSettings.style.display = 'none';
 
     // Reset header avatar
     $('#profileAvatar').innerHTML = `
@@ -1078,6 +1686,48 @@ async function refreshProfileUI() {
       </svg>
     `;
   }
+
+  await updateBackupProviderUI();
+}
+
+/**
+ * List the linked Google accounts in the profile menu
+ * Only shown when there is more than one to switch between.
+ * @param {Array<object>} accounts
+ * @param {string|null} activeId
+ */
+function renderLinkedAccounts(accounts, activeId) {
+  const list = $('#linkedAccountsList');
+  list.style.display = accounts.length > 1 ? 'flex' : 'none';
+  list.innerHTML = accounts.map(account => `
+    <div class="linked-account${account.id === activeId ? ' active' : ''}" data-account-id="${escHtml(account.id)}" data-email="${escHtml(account.email)}">
+      <button class="linked-account-select" title="Use for backups and restores">
+        ${account.picture
+          ? `<img class="linked-account-avatar" src="${escHtml(account.picture)}" alt="" />`
+          : '<span class="linked-account-avatar"></span>'}
+        <span class="profile-info">
+          <span class="profile-name" style="display:block;font-size:12px;">${escHtml(account.name)}</span>
+          <span class="profile-email" style="display:block;">${escHtml(account.email)}${account.id === activeId ? ' · active' : ''}</span>
+        </span>
+      </button>
+      <button class="linked-account-unlink" title="Unlink this account" aria-label="Unlink ${escHtml(account.email)}">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>
+      </button>
+    </div>
+  `).join('');
+}
+
+/**
+ * Fill a select with the linked Google accounts
+ * @param {HTMLSelectElement} select
+ * @param {Array<object>} accounts
+ * @param {string|null} selectedId
+ */
+function renderGoogleAccountOptions(select, accounts, selectedId) {
+  select.innerHTML = accounts
+    .map(account => `<option value="${escHtml(account.id)}">${escHtml(account.email || account.name)}</option>`)
+    .join('');
+  select.value = selectedId || accounts[0]?.id || '';
 }
 
 /**
@@ -1130,40 +1780,737 @@ async function refreshProfileStats() {
   
   // Update Folder Distribution
   renderFolderDistribution(stats.folderDistribution);
+
+  await updateAutoBackupUI();
 }
 
+// ─── Automatic Drive Backups ──────────────────────────────────────────────────
+
 /**
- * Animate counter from 0 to target value
- * @param {string} selector
- * @param {number} target
- * @param {string} suffix
+ * Show scheduled backup settings and the result of the last runs
  */
-function animateCounter(selector, target, suffix = '') {
-  const el = $(selector);
-  if (!el) return;
-  
-  const duration = 800;
-  const start = performance.now();
-  const startValue = 0;
-  
-  function update(currentTime) {
-    const elapsed = currentTime - start;
-    const progress = Math.min(elapsed / duration, 1);
-    
-    // Easing function (ease-out)
-    const easeOut = 1 - Math.pow(1 - progress, 3);
-    const current = Math.floor(startValue + (target - startValue) * easeOut);
-    
-    el.textContent = current + suffix;
-    
-    if (progress < 1) {
-      requestAnimationFrame(update);
-    } else {
-      el.textContent = target + suffix;
-    }
-  }
-  
-  requestAnimationFrame(update);
+async function updateAutoBackupUI() {
+  const settings = await getScheduledBackupSettings();
+
+  $('#deviceNameInput').value = await getDeviceName();
+
+  const accounts = await getLinkedAccounts();
+  $('#autoBackupAccountRow').style.display = accounts.length > 1 ? 'flex' : 'none';
+  renderGoogleAccountOptions($('#autoBackupAccount'), accounts, settings.accountId || (await getActiveAccountId()));
+
+  $('#autoBackupFrequency').value = settings.frequency;
+  $('#autoBackupKeepLast').value = settings.keepLast;
+  $('#autoBackupKeepMonthly').value = settings.keepMonthly;
+  $('#autoBackupRetentionRow').style.display = settings.frequency === 'off' ? 'none' : 'flex';
+
+  const hasHistory = settings.lastSuccessAt || settings.lastFailureAt;
+  $('#autoBackupStatusSection').style.display = settings.frequency !== 'off' || hasHistory ? 'block' : 'none';
+  $('#autoBackupLastSuccess').textContent = getTimeAgo(settings.lastSuccessAt);
+  $('#autoBackupLastFailure').textContent = settings.lastFailureAt ? getTimeAgo(settings.lastFailureAt) : 'None';
+
+  // Only show the error while it is newer than the last success
+  const failedLast = settings.lastFailureAt && settings.lastFailureAt > (settings.lastSuccessAt || 0);
+  let status = failedLast ? settings.lastError || '' : '';
+  if (!status && settings.pending) status = 'Waiting for the vault to be unlocked';
+
+  const queued = await getQueuedBackupCount();
+  if (queued > 0) status = `${queued} backup(s) waiting for a connection to upload`;
+  $('#autoBackupLastError').textContent = status;
+}
+
+/**
+ * Save scheduled backup options, asking for the passphrase when turning them on
+ * @param {string} frequency
+ */
+async function changeAutoBackupFrequency(frequency) {
+  const current = await getScheduledBackupSettings();
+  const options = {
+    frequency,
+    accountId: $('#autoBackupAccount').value || null,
+    keepLast: $('#autoBackupKeepLast').value,
+    keepMonthly: $('#autoBackupKeepMonthly').value,
+  };
+
+  if (frequency === 'off' || current.passphrase) {
+    await configureScheduledBackup(options);
+    await updateAutoBackupUI();
+    return;
+  }
+
+  // Revert the select until the passphrase is confirmed
+  $('#autoBackupFrequency').value = current.frequency;
+  askBackupPassphrase({
+    title: 'Automatic Drive Backups',
+    info: 'Choose the passphrase for automatic backups. It is stored encrypted with your vault and is needed to restore them.',
+    confirm: true,
+    onSubmit: async (passphrase) => {
+      await configureScheduledBackup({ ...options, passphrase });
+      await updateAutoBackupUI();
+      showToast('Automatic backups enabled', 'success');
+    },
+  });
+}
+
+function initAutoBackup() {
+  $('#autoBackupFrequency').addEventListener('change', async (e) => {
+    try {
+      await changeAutoBackupFrequency(e.target.value);
+    } catch (err) {
+      showToast('Failed to update automatic backups: ' + err.message, 'error');
+      await updateAutoBackupUI();
+    }
+  });
+
+  const saveRetention = async () => {
+    const { frequency } = await getScheduledBackupSettings();
+    await configureScheduledBackup({
+      frequency,
+      keepLast: $('#autoBackupKeepLast').value,
+      keepMonthly: $('#autoBackupKeepMonthly').value,
+    });
+    await updateAutoBackupUI();
+  };
+  $('#autoBackupKeepLast').addEventListener('change', saveRetention);
+  $('#autoBackupKeepMonthly').addEventListener('change', saveRetention);
+
+  $('#autoBackupAccount').addEventListener('change', async (e) => {
+    const { frequency } = await getScheduledBackupSettings();
+    await configureScheduledBackup({ frequency, accountId: e.target.value });
+    await updateAutoBackupUI();
+  });
+
+  $('#deviceNameInput').addEventListener('change', async (e) => {
+    await setDeviceName(e.target.value);
+    e.target.value = await getDeviceName();
+    showToast('Device name saved', 'success');
+  });
+}
+
+// ─── Drive Vault Sync ─────────────────────────────────────────────────────────
+let pendingSyncConflicts = [];
+
+const SYNC_CONFLICT_LABELS = {
+  local: 'Keep this device',
+  remote: 'Use other device',
+  both: 'Keep both',
+};
+
+/**
+ * Show whether sync is on, when it last ran and any conflicts
+ */
+async function updateDriveSyncUI() {
+  const settings = await getDriveSyncSettings();
+  const conflicts = settings.enabled ? await getSyncConflicts() : [];
+
+  $('#driveSyncToggle').checked = settings.enabled;
+  $('#driveSyncActions').style.display = settings.enabled ? 'flex' : 'none';
+
+  let status = 'Keep one encrypted vault in Drive';
+  if (settings.enabled) {
+    status = `Last synced: ${getTimeAgo(settings.lastSyncAt)}`;
+    if (settings.lastError && settings.lastErrorAt > (settings.lastSyncAt || 0)) status = settings.lastError;
+    else if (settings.pending) status = 'Waiting for the vault to be unlocked';
+
+    // Sync stays with the account it was turned on with
+    const account = settings.accountId && (await getLinkedAccounts()).length > 1
+      ? await getUserProfile(settings.accountId)
+      : null;
+    if (account) status = `${account.email} · ${status}`;
+  }
+  $('#driveSyncStatus').textContent = status;
+
+  const conflictsBtn = $('#btnDriveSyncConflicts');
+  conflictsBtn.style.display = conflicts.length > 0 ? 'block' : 'none';
+  conflictsBtn.textContent = `Resolve ${conflicts.length} conflict(s)`;
+}
+
+/**
+ * Reload accounts and folders after a sync changed the vault
+ */
+async function reloadAfterSync() {
+  currentAccounts = await getAccounts();
+  await loadFolders();
+  await renderFolderChips();
+  renderAccounts(currentAccounts);
+}
+
+/**
+ * Describe the outcome of a sync for a toast
+ * @param {object} result - Sync result
+ * @returns {string}
+ */
+function describeSyncResult(result) {
+  if (result.conflicts > 0) return `Synced with ${result.conflicts} conflict(s) to resolve`;
+  if (result.pulled > 0) return `Synced: ${result.pulled} account change(s) from other devices`;
+  return 'Vault is in sync';
+}
+
+/**
+ * Sync now through the service worker, so it never overlaps a background sync
+ */
+async function syncDriveNow() {
+  const btn = $('#btnDriveSyncNow');
+  try {
+    btn.disabled = true;
+    const result = await chrome.runtime.sendMessage({ type: 'RUN_DRIVE_SYNC' });
+    if (result?.success) {
+      showToast(describeSyncResult(result), result.conflicts > 0 ? 'info' : 'success', 3000);
+      if (result.conflicts > 0) await openSyncConflicts();
+    } else if (result?.pending) {
+      showToast('Sync will run when the vault is unlocked', 'info');
+    } else {
+      showToast('Sync failed: ' + (result?.error || 'Unknown error'), 'error');
+    }
+  } finally {
+    btn.disabled = false;
+    await updateDriveSyncUI();
+  }
+}
+
+async function toggleDriveSync(enabled) {
+  if (!enabled) {
+    if (!confirm('Stop syncing this device? The sync vault stays in Drive and other devices keep syncing.')) {
+      $('#driveSyncToggle').checked = true;
+      return;
+    }
+    await disableDriveSync();
+    await updateDriveSyncUI();
+    showToast('Sync turned off', 'info');
+    return;
+  }
+
+  // Stay off until the passphrase is accepted
+  $('#driveSyncToggle').checked = false;
+  askBackupPassphrase({
+    title: 'Sync Across Devices',
+    info: 'Choose a sync passphrase, or enter the one already used on your other devices. It encrypts the sync vault in Drive and cannot be recovered if lost.',
+    confirm: true,
+    onSubmit: async (passphrase) => {
+      const result = await enableDriveSync(passphrase);
+      await reloadAfterSync();
+      await updateDriveSyncUI();
+      showToast(describeSyncResult(result), 'success', 3000);
+      if (result.conflicts > 0) setTimeout(openSyncConflicts, 300);
+    },
+  });
+}
+
+async function openSyncConflicts() {
+  pendingSyncConflicts = await getSyncConflicts();
+  if (pendingSyncConflicts.length === 0) {
+    showToast('No sync conflicts', 'info');
+    return;
+  }
+
+  const list = $('#syncConflictList');
+  list.innerHTML = '';
+  pendingSyncConflicts.forEach((conflict) => {
+    const { local, remote } = conflict;
+    const fields = diffAccounts(local, remote);
+    const detail = fields.includes('secret')
+      ? 'Different secret on the other device'
+      : `Different ${fields.join(', ')} on the other device`;
+
+    const options = Object.entries(SYNC_CONFLICT_LABELS)
+      .map(([choice, label]) => `<option value="${choice}">${label}</option>`)
+      .join('');
+
+    const row = document.createElement('div');
+    row.className = 'review-item';
+    row.innerHTML = `
+      <span class="review-badge conflict">Conflict</span>
+      <div style="flex:1;min-width:0;">
+        <div class="review-item-title">${escHtml(local.issuer || 'Unknown')}${local.account ? ` · ${escHtml(local.account)}` : ''}</div>
+        <small>${escHtml(detail)}</small>
+      </div>
+      <select class="form-select review-action" data-id="${escHtml(conflict.id)}">${options}</select>
+    `;
+    list.appendChild(row);
+  });
+
+  closeModal('#modalSettings');
+  openModal('#modalSyncConflicts');
+}
+
+function closeSyncConflicts() {
+  // Drop the other device's secrets from memory and the DOM
+  pendingSyncConflicts = [];
+  $('#syncConflictList').innerHTML = '';
+  closeModal('#modalSyncConflicts');
+}
+
+async function confirmSyncConflicts() {
+  const choices = {};
+  $$('#syncConflictList .review-action').forEach((select) => {
+    choices[select.dataset.id] = select.value;
+  });
+
+  const confirmBtn = $('#btnSyncConflictsConfirm');
+  try {
+    confirmBtn.disabled = true;
+    const result = await resolveSyncConflicts(choices);
+    closeSyncConflicts();
+    await reloadAfterSync();
+    await updateDriveSyncUI();
+    if (result.success) {
+      showToast('Conflicts resolved and synced', 'success');
+    } else {
+      showToast('Resolved locally, sync will retry: ' + (result.error || 'vault locked'), 'info', 4000);
+    }
+  } catch (err) {
+    showToast('Failed to resolve conflicts: ' + err.message, 'error');
+  } finally {
+    confirmBtn.disabled = false;
+  }
+}
+
+function initDriveSync() {
+  $('#driveSyncToggle').addEventListener('change', (e) => toggleDriveSync(e.target.checked));
+  $('#btnDriveSyncNow').addEventListener('click', syncDriveNow);
+  $('#btnDriveSyncConflicts').addEventListener('click', openSyncConflicts);
+
+  $('#closeModalSyncConflicts').addEventListener('click', closeSyncConflicts);
+  $('#modalSyncConflicts').addEventListener('click', (e) => {
+    if (e.target === e.currentTarget) closeSyncConflicts();
+  });
+  $('#btnSyncConflictsConfirm').addEventListener('click', confirmSyncConflicts);
+
+  // Background syncs from the service worker may change the open vault
+  chrome.storage.onChanged.addListener(async (changes, areaName) => {
+    if (areaName !== 'local' || !changes.driveSync) return;
+    const before = changes.driveSync.oldValue?.lastSyncAt;
+    const after = changes.driveSync.newValue?.lastSyncAt;
+    if (after && after !== before && $('#viewMain').classList.contains('active')) {
+      await reloadAfterSync();
+    }
+    await updateDriveSyncUI();
+  });
+}
+
+// ─── Backup Destination ───────────────────────────────────────────────────────
+
+/**
+ * Show the chosen backup provider, its settings and the settings backup buttons
+ */
+async function updateBackupProviderUI() {
+  const provider = await getActiveBackupProvider();
+  const ready = await provider.isReady();
+
+  $('#backupProviderSelect').value = provider.id;
+  $('#btnBackupDriveSettings').style.display = ready ? 'flex' : 'none';
+
+  const accounts = provider.id === googleDriveProvider.id ? await getLinkedAccounts() : [];
+  $('#backupAccountRow').style.display = accounts.length > 1 ? 'flex' : 'none';
+  if (accounts.length > 1) {
+    renderGoogleAccountOptions($('#backupAccountSelect'), accounts, await getActiveAccountId());
+  }
+  $('#btnRestoreDriveSettings').style.display = ready ? 'flex' : 'none';
+  $('#backupSettingsTitle').textContent = `Backup to ${provider.name}`;
+  $('#restoreSettingsTitle').textContent = `Restore from ${provider.name}`;
+
+  const webdavBlock = $('#webdavSettings');
+  webdavBlock.style.display = provider.id === 'webdav' ? 'flex' : 'none';
+  if (provider.id === 'webdav') {
+    const settings = await getWebdavSettings();
+    $('#webdavUrl').value = settings.url;
+    $('#webdavUsername').value = settings.username;
+    $('#webdavPassword').value = '';
+    $('#webdavPassword').placeholder = settings.password ? 'Saved (leave empty to keep)' : 'Password or app password';
+    $('#webdavDirectory').value = settings.directory;
+    $('#webdavStatus').textContent = settings.url ? '' : 'Enter your server to enable WebDAV backups';
+  }
+}
+
+/**
+ * Read the WebDAV fields
+ * @returns {{url: string, username: string, password: string, directory: string}}
+ */
+function readWebdavFields() {
+  return {
+    url: $('#webdavUrl').value,
+    username: $('#webdavUsername').value,
+    password: $('#webdavPassword').value,
+    directory: $('#webdavDirectory').value,
+  };
+}
+
+function initBackupProviders() {
+  $('#backupProviderSelect').addEventListener('change', async (e) => {
+    await setActiveBackupProvider(e.target.value);
+    await updateBackupProviderUI();
+  });
+
+  // The chosen Drive is the active Google account
+  $('#backupAccountSelect').addEventListener('change', async (e) => {
+    await setActiveAccount(e.target.value);
+    await refreshProfileUI();
+  });
+
+  $('#btnWebdavTest').addEventListener('click', async () => {
+    const fields = readWebdavFields();
+    const status = $('#webdavStatus');
+    try {
+      // Ask for host access first, while the click still counts as a user gesture
+      if (!(await requestWebdavPermission(fields.url))) {
+        throw new Error('Allow access to the server to use it for backups');
+      }
+      status.textContent = 'Connecting...';
+      const result = await testWebdavConnection(fields);
+      status.textContent = result.success ? '✓ Connected' : result.error;
+    } catch (err) {
+      status.textContent = err.message;
+    }
+  });
+
+  $('#btnWebdavSave').addEventListener('click', async () => {
+    const fields = readWebdavFields();
+    try {
+      if (!(await requestWebdavPermission(fields.url))) {
+        throw new Error('Allow access to the server to use it for backups');
+      }
+      await saveWebdavSettings(fields);
+      await updateBackupProviderUI();
+      showToast('WebDAV server saved', 'success');
+    } catch (err) {
+      $('#webdavStatus').textContent = err.message;
+    }
+  });
+}
+
+// ─── Folder Backups ───────────────────────────────────────────────────────────
+
+/**
+ * Show the backup folder, schedule and the result of the last runs
+ */
+async function updateLocalBackupUI() {
+  const isAppPage = window.location.pathname.includes('/app/');
+  const settings = await getLocalBackupSettings();
+  const pickBtn = $('#btnLocalBackupPick');
+
+  if (isAppPage && !isFolderPickerSupported()) {
+    $('#localBackupFolderName').textContent = 'Not supported in this browser';
+    pickBtn.style.display = 'none';
+  } else if (settings.folderName) {
+    $('#localBackupFolderName').textContent = `📁 ${settings.folderName}`;
+    pickBtn.textContent = isAppPage ? 'Change' : 'Open tab';
+  } else {
+    $('#localBackupFolderName').textContent = isAppPage
+      ? 'Back up to a folder on this computer or a network share'
+      : 'Open Azkura in a tab to choose a folder';
+    pickBtn.textContent = isAppPage ? 'Choose' : 'Open tab';
+  }
+
+  $('#localBackupOptions').style.display = settings.folderName ? 'flex' : 'none';
+  $('#localBackupFrequency').value = settings.frequency;
+  $('#localBackupKeepLast').value = settings.keepLast;
+
+  const enabled = settings.frequency !== 'off';
+  $('#localBackupStatusRow').style.display = enabled ? 'flex' : 'none';
+  if (!enabled) return;
+
+  // Only show the error while it is newer than the last success
+  const failedLast = settings.lastFailureAt && settings.lastFailureAt > (settings.lastSuccessAt || 0);
+  let status = `Last backup: ${getTimeAgo(settings.lastSuccessAt)}`;
+  if (failedLast) status = settings.lastError;
+  else if (settings.pending) status = 'Waiting for the vault to be unlocked';
+  $('#localBackupStatus').textContent = status;
+
+  const access = isAppPage ? await getLocalFolderAccess().catch(() => 'missing') : 'granted';
+  $('#btnLocalBackupAllow').style.display = access === 'prompt' ? 'block' : 'none';
+}
+
+/**
+ * Save folder backup options, asking for the passphrase when turning them on
+ * @param {string} frequency
+ */
+async function changeLocalBackupFrequency(frequency) {
+  const current = await getLocalBackupSettings();
+  const options = { frequency, keepLast: $('#localBackupKeepLast').value };
+
+  if (frequency === 'off' || current.passphrase) {
+    await configureLocalBackup(options);
+    await updateLocalBackupUI();
+    return;
+  }
+
+  // Revert the select until the passphrase is confirmed
+  $('#localBackupFrequency').value = current.frequency;
+  askBackupPassphrase({
+    title: 'Folder Backups',
+    info: 'Choose the passphrase for folder backups. It is stored encrypted with your vault and is needed to restore them.',
+    confirm: true,
+    onSubmit: async (passphrase) => {
+      await configureLocalBackup({ ...options, passphrase });
+      await updateLocalBackupUI();
+      showToast('Folder backups enabled', 'success');
+    },
+  });
+}
+
+/**
+ * Write a folder backup from this tab and report the result
+ */
+async function runLocalBackupNow() {
+  const result = await runLocalFolderBackup();
+  await updateLocalBackupUI();
+  if (result.success) {
+    showToast(`Backup saved: ${result.fileName}`, 'success', 3000);
+  } else if (result.error) {
+    showToast(result.error, 'error', 4000);
+  }
+}
+
+function initLocalBackup() {
+  const isAppPage = window.location.pathname.includes('/app/');
+
+  $('#btnLocalBackupPick').addEventListener('click', async () => {
+    if (!isAppPage) {
+      // The popup closes when the folder picker opens, so pick in the app tab
+      chrome.tabs.create({ url: chrome.runtime.getURL('src/app/index.html') });
+      setTimeout(() => window.close(), 50);
+      return;
+    }
+    try {
+      const name = await pickLocalBackupFolder();
+      await updateLocalBackupUI();
+      showToast(`Backups will be saved to "${name}"`, 'success');
+    } catch (err) {
+      if (err.name !== 'AbortError') showToast('Could not use this folder: ' + err.message, 'error');
+    }
+  });
+
+  $('#localBackupFrequency').addEventListener('change', async (e) => {
+    try {
+      await changeLocalBackupFrequency(e.target.value);
+    } catch (err) {
+      showToast('Failed to update folder backups: ' + err.message, 'error');
+      await updateLocalBackupUI();
+    }
+  });
+
+  $('#localBackupKeepLast').addEventListener('change', async (e) => {
+    const { frequency } = await getLocalBackupSettings();
+    await configureLocalBackup({ frequency, keepLast: e.target.value }).catch(() => {});
+    await updateLocalBackupUI();
+  });
+
+  $('#btnLocalBackupAllow').addEventListener('click', async () => {
+    const access = await getLocalFolderAccess(true);
+    if (access === 'granted') {
+      await runLocalBackupNow();
+    } else {
+      await updateLocalBackupUI();
+    }
+  });
+
+  $('#btnLocalBackupNow').addEventListener('click', async () => {
+    if (!isAppPage) {
+      showToast('Open Azkura in a tab to write folder backups', 'info');
+      return;
+    }
+    await runLocalBackupNow();
+  });
+
+  chrome.storage.onChanged.addListener(async (changes, areaName) => {
+    if (areaName !== 'local' || !changes.localFolderBackup) return;
+    const { oldValue, newValue } = changes.localFolderBackup;
+
+    // The service worker couldn't write: catch up from this tab if it has access
+    if (isAppPage && newValue?.pending && !oldValue?.pending) {
+      await catchUpLocalBackup();
+    }
+    await updateLocalBackupUI();
+  });
+
+  updateLocalBackupUI();
+  if (isAppPage) catchUpLocalBackup();
+}
+
+/**
+ * Write a folder backup that is still pending, if this tab has folder access
+ */
+async function catchUpLocalBackup() {
+  const settings = await getLocalBackupSettings();
+  if (!settings.pending || (await getLocalFolderAccess().catch(() => null)) !== 'granted') return;
+  await runLocalFolderBackup();
+}
+
+// ─── Google OAuth Settings ────────────────────────────────────────────────────
+
+/**
+ * Fill the OAuth settings form from storage
+ */
+async function loadOAuthSettingsForm() {
+  const settings = await getOAuthClientSettings();
+  $('#oauthDesktopClientId').value = settings.desktopClientId;
+  $('#oauthDesktopClientSecret').value = settings.desktopClientSecret;
+  $('#oauthWebClientId').value = settings.webClientId;
+  $('#oauthWebClientSecret').value = settings.webClientSecret;
+  $('#oauthRedirectUri').value = getRedirectUri();
+  $('#oauthSettingsError').classList.remove('visible');
+  $('#oauthDiagnostics').style.display = 'none';
+
+  const labels = { custom: 'Custom client', 'built-in': 'Built-in client' };
+  $('#oauthSettingsSub').textContent = labels[(await getOAuthConfig()).clientSource];
+}
+
+/**
+ * Save OAuth client settings; signs out when the client changes
+ * @param {object} settings
+ * @returns {Promise<boolean>} False if the user kept the current sign-in
+ */
+async function applyOAuthSettings(settings) {
+  const previous = await getOAuthClientSettings();
+  const changed = await saveOAuthClientSettings(settings);
+  if (!changed || !(await isLoggedIn())) return true;
+
+  // Tokens belong to the client that issued them
+  if (!confirm('Changing the OAuth client signs out all linked Google accounts. Continue?')) {
+    await saveOAuthClientSettings(previous);
+    return false;
+  }
+  await logoutAllGoogle();
+  await refreshProfileUI();
+  return true;
+}
+
+/**
+ * Show diagnostic results
+ * @param {Array<{check: string, status: string, detail: string}>} results
+ */
+function renderOAuthDiagnostics(results) {
+  const icons = { ok: '✓', warn: '⚠️', error: '✕' };
+  const colors = { ok: '#34A853', warn: 'var(--totp-warning)', error: 'var(--totp-danger)' };
+  const list = $('#oauthDiagnostics');
+  list.innerHTML = '';
+
+  for (const result of results) {
+    const item = document.createElement('div');
+    item.style.cssText = 'font-size:12px;line-height:1.4;';
+    const title = document.createElement('div');
+    title.style.cssText = `font-weight:600;color:${colors[result.status]};`;
+    title.textContent = `${icons[result.status]} ${result.check}`;
+    // Details contain server messages, so they are set as text
+    const detail = document.createElement('div');
+    detail.style.cssText = 'color:var(--text-secondary);word-break:break-word;';
+    detail.textContent = result.detail;
+    item.append(title, detail);
+    list.appendChild(item);
+  }
+  list.style.display = 'flex';
+}
+
+/**
+ * Read the OAuth settings form
+ * @returns {{desktopClientId: string, desktopClientSecret: string, webClientId: string, webClientSecret: string}}
+ */
+function readOAuthFields() {
+  return {
+    desktopClientId: $('#oauthDesktopClientId').value,
+    desktopClientSecret: $('#oauthDesktopClientSecret').value,
+    webClientId: $('#oauthWebClientId').value,
+    webClientSecret: $('#oauthWebClientSecret').value,
+  };
+}
+
+function initOAuthSettings() {
+  const showError = (message) => {
+    $('#oauthSettingsError').textContent = message;
+    $('#oauthSettingsError').classList.add('visible');
+  };
+
+  $('#btnOAuthSettings').addEventListener('click', async () => {
+    await loadOAuthSettingsForm();
+    openModal('#modalOAuthSettings');
+  });
+  $('#closeModalOAuthSettings').addEventListener('click', () => closeModal('#modalOAuthSettings'));
+  $('#modalOAuthSettings').addEventListener('click', (e) => {
+    if (e.target === e.currentTarget) closeModal('#modalOAuthSettings');
+  });
+
+  $('#btnOAuthCopyRedirect').addEventListener('click', async () => {
+    await navigator.clipboard.writeText($('#oauthRedirectUri').value);
+    showToast('Redirect URI copied', 'success', 1500);
+  });
+
+  $('#btnOAuthSave').addEventListener('click', async () => {
+    try {
+      if (!(await applyOAuthSettings(readOAuthFields()))) return;
+      await loadOAuthSettingsForm();
+      showToast('OAuth settings saved', 'success');
+    } catch (err) {
+      showError(err.message);
+    }
+  });
+
+  $('#btnOAuthReset').addEventListener('click', async () => {
+    const empty = { desktopClientId: '', desktopClientSecret: '', webClientId: '', webClientSecret: '' };
+    if (!(await applyOAuthSettings(empty))) return;
+    await loadOAuthSettingsForm();
+    showToast('Using the built-in OAuth clients', 'success');
+  });
+
+  $('#btnOAuthDiagnose').addEventListener('click', async () => {
+    // Ask for access first, while the click still counts as a user gesture
+    const allowed = await requestOAuthDiagnosticsAccess();
+    try {
+      if (!(await applyOAuthSettings(readOAuthFields()))) return;
+    } catch (err) {
+      showError(err.message);
+      return;
+    }
+    $('#oauthSettingsError').classList.remove('visible');
+    if (!allowed) {
+      showError('Allow access to Google sign-in to run the diagnostics');
+      return;
+    }
+
+    const btn = $('#btnOAuthDiagnose');
+    btn.disabled = true;
+    btn.textContent = 'Checking...';
+    try {
+      renderOAuthDiagnostics(await diagnoseOAuth());
+    } finally {
+      btn.disabled = false;
+      btn.textContent = 'Diagnose';
+    }
+  });
+
+  loadOAuthSettingsForm();
+}
+
+/**
+ * Animate counter from 0 to target value
+ * @param {string} selector
+ * @param {number} target
+ * @param {string} suffix
+ */
+function animateCounter(selector, target, suffix = '') {
+  const el = $(selector);
+  if (!el) return;
+  
+  const duration = 800;
+  const start = performance.now();
+  const startValue = 0;
+  
+  function update(currentTime) {
+    const elapsed = currentTime - start;
+    const progress = Math.min(elapsed / duration, 1);
+    
+    // Easing function (ease-out)
+    const easeOut = 1 - Math.pow(1 - progress, 3);
+    const current = Math.floor(startValue + (target - startValue) * easeOut);
+    
+    el.textContent = current + suffix;
+    
+    if (progress < 1) {
+      requestAnimationFrame(update);
+    } else {
+      el.textContent = target + suffix;
+    }
+  }
+  
+  requestAnimationFrame(update);
 }
 
 /**
@@ -1336,15 +2683,142 @@ function renderFolderDistribution(folderDistribution) {
   });
 }
 
-async function backupToDrive() {
-  if (!(await isLoggedIn())) {
-    showToast('Please sign in with Google first', 'error');
+/**
+ * Ask for the Drive backup passphrase
+ * onSubmit runs while the modal stays open; if it throws, the error is shown
+ * and the user can try again (e.g. wrong passphrase on restore).
+ * @param {object} options
+ * @param {string} options.title
+ * @param {string} options.info
+ * @param {boolean} [options.confirm=false] - Require typing the passphrase twice (also shows a strength hint)
+ * @param {(passphrase: string) => Promise<void>} options.onSubmit
+ * @param {{label: string, onClick: () => Promise<boolean|void>}} [options.alternative] - Extra action instead of
+ *   a passphrase; returning false keeps the modal open
+ */
+function askBackupPassphrase({ title, info, confirm = false, onSubmit, alternative = null }) {
+  const input = $('#backupPassphrase');
+  const confirmInput = $('#backupPassphraseConfirm');
+  const errorEl = $('#backupPassphraseError');
+  const submitBtn = $('#btnBackupPassphraseSubmit');
+  const altBtn = $('#btnBackupPassphraseAlt');
+  const strengthEl = $('#backupPassphraseStrength');
+
+  $('#backupPassphraseTitle').textContent = title;
+  $('#backupPassphraseInfo').textContent = info;
+  $('#backupPassphraseConfirmGroup').style.display = confirm ? 'block' : 'none';
+  input.value = '';
+  confirmInput.value = '';
+  errorEl.classList.remove('visible');
+
+  // Strength hint only matters when a new passphrase is being chosen
+  strengthEl.style.display = 'none';
+  input.oninput = confirm ? () => renderPassphraseStrength(strengthEl, input.value) : null;
+
+  altBtn.style.display = alternative ? 'block' : 'none';
+  altBtn.textContent = alternative?.label || '';
+  altBtn.onclick = alternative
+    ? async () => {
+        try {
+          if ((await alternative.onClick()) !== false) {
+            closeModal('#modalBackupPassphrase');
+          }
+        } catch (err) {
+          errorEl.textContent = err.message;
+          errorEl.classList.add('visible');
+        }
+      }
+    : null;
+
+  submitBtn.onclick = async () => {
+    const passphrase = input.value;
+
+    if (!passphrase) {
+      errorEl.textContent = 'Please enter the backup passphrase';
+      errorEl.classList.add('visible');
+      return;
+    }
+    if (confirm && passphrase.length < 8) {
+      errorEl.textContent = 'Passphrase must be at least 8 characters';
+      errorEl.classList.add('visible');
+      return;
+    }
+    if (confirm && passphrase !== confirmInput.value) {
+      errorEl.textContent = 'Passphrases do not match';
+      errorEl.classList.add('visible');
+      return;
+    }
+
+    try {
+      submitBtn.disabled = true;
+      await onSubmit(passphrase);
+      closeModal('#modalBackupPassphrase');
+    } catch (err) {
+      errorEl.textContent = err.message;
+      errorEl.classList.add('visible');
+    } finally {
+      submitBtn.disabled = false;
+    }
+  };
+
+  openModal('#modalBackupPassphrase');
+  setTimeout(() => input.focus(), 100);
+}
+
+/**
+ * Show the strength meter for a passphrase being typed
+ * @param {HTMLElement} el - .passphrase-strength container
+ * @param {string} passphrase
+ */
+function renderPassphraseStrength(el, passphrase) {
+  if (!passphrase) {
+    el.style.display = 'none';
     return;
   }
+  const { score, label } = estimatePassphraseStrength(passphrase);
+  el.style.display = 'flex';
+  el.dataset.score = String(score);
+  el.querySelector('.passphrase-strength-label').textContent = label;
+}
+
+/**
+ * Check that a backup provider can be used, explaining what to do if not
+ * @param {import('../core/backup-providers.js').BackupProvider} provider
+ * @returns {Promise<boolean>}
+ */
+async function ensureProviderReady(provider) {
+  if (await provider.isReady()) return true;
+  showToast(provider.id === googleDriveProvider.id
+    ? 'Please sign in with Google first'
+    : `Set up ${provider.name} in Settings first`, 'error');
+  return false;
+}
+
+/**
+ * Back up to a provider after asking for the backup passphrase
+ * @param {import('../core/backup-providers.js').BackupProvider} provider
+ */
+async function backupToProvider(provider) {
+  if (!(await ensureProviderReady(provider))) return;
+
+  askBackupPassphrase({
+    title: `Encrypt ${provider.name} Backup`,
+    info: 'Choose a backup passphrase. It is needed to restore this backup and cannot be recovered if lost.',
+    confirm: true,
+    onSubmit: (passphrase) => {
+      // Upload in background so the modal closes right away
+      uploadEncryptedBackup(provider, passphrase);
+    },
+  });
+}
 
-  showToast('Backing up to Drive...', 'info');
+async function uploadEncryptedBackup(provider, backupPassword) {
+  // Pin the Drive account now, in case another one is made active meanwhile
+  if (provider.id === googleDriveProvider.id && !provider.accountId) {
+    provider = getGoogleDriveProvider(await getActiveAccountId());
+  }
+  showToast(`Backing up to ${provider.name}...`, 'info');
 
-  const result = await uploadBackupToDrive(currentAccounts);
+  const result = await provider.upload(currentAccounts, backupPassword);
   if (result.success) {
     // Track backup event
     await trackBackup();
@@ -1363,27 +2837,89 @@ async function backupToDrive() {
   }
 }
 
-// Restore from Google Drive
-async function restoreFromDrive() {
-  if (!(await isLoggedIn())) {
-    showToast('Please sign in with Google first', 'error');
-    return;
+// Restore from a backup provider
+let restoreProvider = googleDriveProvider;
+let restoreDrivePageToken = null;
+const knownBackupDevices = new Set();
+
+/**
+ * Open the restore modal for a provider's backups
+ * @param {import('../core/backup-providers.js').BackupProvider} provider
+ */
+async function restoreFromProvider(provider) {
+  if (!(await ensureProviderReady(provider))) return;
+
+  // Drive: start with the active account, offering the other linked ones
+  const accountSelect = $('#restoreDriveAccount');
+  const accounts = provider.id === googleDriveProvider.id ? await getLinkedAccounts() : [];
+  if (accounts.length > 0) {
+    const accountId = provider.accountId || (await getActiveAccountId());
+    renderGoogleAccountOptions(accountSelect, accounts, accountId);
+    provider = getGoogleDriveProvider(accountId);
   }
+  accountSelect.style.display = accounts.length > 1 ? 'block' : 'none';
+
+  restoreProvider = provider;
+  $('#restoreDriveTitle').textContent = `Restore from ${provider.name}`;
+  $('#restoreDriveFilters').style.display = provider.features.filters ? 'flex' : 'none';
+  await resetRestoreFilters();
 
   // Show modal
   openModal('#modalRestoreDrive');
-  
-  // Reset state
-  $('#restoreDriveLoading').style.display = 'block';
+  await loadDriveBackups(true);
+}
+
+/**
+ * Start the restore list unfiltered, offering this device until others show up
+ */
+async function resetRestoreFilters() {
+  knownBackupDevices.clear();
+  knownBackupDevices.add(await getDeviceName());
+  renderBackupDeviceFilter();
+  $('#restoreDriveDevice').value = '';
+  $('#restoreDriveKind').value = '';
+}
+
+/**
+ * Fill the device filter with every device seen in the list so far
+ */
+function renderBackupDeviceFilter() {
+  const select = $('#restoreDriveDevice');
+  const selected = select.value;
+  select.innerHTML = '<option value="">All devices</option>' + [...knownBackupDevices]
+    .sort()
+    .map(name => `<option value="${escHtml(name)}">${escHtml(name)}</option>`)
+    .join('');
+  select.value = selected;
+}
+
+/**
+ * Load a page of backups with the current filters
+ * @param {boolean} reset - Start over from the newest backup
+ */
+async function loadDriveBackups(reset) {
+  const container = $('#restoreDriveFiles');
+  const moreBtn = $('#btnRestoreDriveMore');
+
+  if (reset) {
+    restoreDrivePageToken = null;
+    container.innerHTML = '';
+    $('#restoreDriveLoading').style.display = 'block';
+    $('#restoreDriveList').style.display = 'none';
+  }
   $('#restoreDriveEmpty').style.display = 'none';
-  $('#restoreDriveList').style.display = 'none';
   $('#restoreDriveError').style.display = 'none';
-  $('#restoreDriveFiles').innerHTML = '';
+  moreBtn.disabled = true;
 
-  // Fetch backups
-  const result = await listBackupsFromDrive(10);
+  const result = await restoreProvider.list({
+    pageSize: 10,
+    pageToken: restoreDrivePageToken,
+    deviceName: $('#restoreDriveDevice').value,
+    kind: $('#restoreDriveKind').value,
+  });
   
   $('#restoreDriveLoading').style.display = 'none';
+  moreBtn.disabled = false;
 
   if (!result.success) {
     // Check if session expired
@@ -1399,70 +2935,102 @@ async function restoreFromDrive() {
     return;
   }
 
-  const files = result.files;
-  if (!files || files.length === 0) {
+  restoreDrivePageToken = result.nextPageToken;
+  moreBtn.style.display = restoreDrivePageToken ? 'block' : 'none';
+
+  if (container.children.length === 0 && result.files.length === 0) {
+    const filtered = $('#restoreDriveDevice').value || $('#restoreDriveKind').value;
+    $('#restoreDriveEmptyText').textContent = filtered ? 'No backups match these filters' : `No backups found in ${restoreProvider.name}`;
     $('#restoreDriveEmpty').style.display = 'block';
     return;
   }
 
   // Show file list
   $('#restoreDriveList').style.display = 'block';
-  const container = $('#restoreDriveFiles');
+  result.files.forEach(file => container.appendChild(createRestoreFileItem(file)));
+
+  const before = knownBackupDevices.size;
+  result.files.forEach(file => {
+    if (file.appProperties.deviceName) knownBackupDevices.add(file.appProperties.deviceName);
+  });
+  if (knownBackupDevices.size !== before) renderBackupDeviceFilter();
+}
+
+/**
+ * Describe a backup from its appProperties
+ * @param {object} props - appProperties (empty for older Drive backups and WebDAV)
+ * @returns {string}
+ */
+function describeBackupProperties(props) {
+  const parts = [];
+  if (props.deviceName) parts.push(props.deviceName);
+  if (props.accountCount) parts.push(`${props.accountCount} account(s)`);
+  if (props.appVersion) parts.push(`v${props.appVersion}`);
+  if (props.kind === 'automatic') parts.push('Automatic');
+  if (props.encrypted === 'true') parts.push('🔒 Encrypted');
+  return parts.join(' · ');
+}
+
+/**
+ * Build the list row for one backup
+ * @param {import('../core/backup-providers.js').BackupFile} file
+ * @returns {HTMLElement}
+ */
+function createRestoreFileItem(file) {
+  const date = new Date(file.createdTime).toLocaleString('id-ID', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+  const size = file.size ? `(${(parseInt(file.size) / 1024).toFixed(1)} KB)` : '';
+  const meta = describeBackupProperties(file.appProperties);
   
-  files.forEach(file => {
-    const date = new Date(file.createdTime).toLocaleString('id-ID', {
-      day: 'numeric',
-      month: 'short',
-      year: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
-    });
-    const size = file.size ? `(${(parseInt(file.size) / 1024).toFixed(1)} KB)` : '';
-    
-    const item = document.createElement('div');
-    item.className = 'restore-file-item';
-    item.innerHTML = `
-      <div class="restore-file-icon">📦</div>
-      <div class="restore-file-info">
-        <div class="restore-file-name">${file.name}</div>
-        <div class="restore-file-date">${date} ${size}</div>
-      </div>
-      <div class="restore-file-actions">
-        <button class="restore-btn restore-btn-restore" title="Restore this backup">
-          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="width:16px;height:16px;">
-            <polyline points="17 8 12 3 7 8"/>
-            <line x1="12" y1="3" x2="12" y2="15"/>
-          </svg>
-        </button>
-        <button class="restore-btn restore-btn-delete" title="Delete this backup">
-          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="width:16px;height:16px;">
-            <polyline points="3 6 5 6 21 6"/>
-            <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a1 1 0 0 1 1-1h4a1 1 0 0 1 1 1v2"/>
-          </svg>
-        </button>
-      </div>
-    `;
-    
-    // Restore button
-    item.querySelector('.restore-btn-restore').addEventListener('click', (e) => {
-      e.stopPropagation();
-      downloadAndRestore(file.id, file.name);
-    });
-    
-    // Delete button
-    item.querySelector('.restore-btn-delete').addEventListener('click', (e) => {
-      e.stopPropagation();
-      deleteBackup(file.id, file.name, item);
-    });
-    
-    container.appendChild(item);
+  const item = document.createElement('div');
+  item.className = 'restore-file-item';
+  item.innerHTML = `
+    <div class="restore-file-icon">📦</div>
+    <div class="restore-file-info">
+      <div class="restore-file-name">${escHtml(file.name)}</div>
+      <div class="restore-file-date">${date} ${size}</div>
+      ${meta ? `<div class="restore-file-meta">${escHtml(meta)}</div>` : ''}
+    </div>
+    <div class="restore-file-actions">
+      <button class="restore-btn restore-btn-restore" title="Restore this backup">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="width:16px;height:16px;">
+          <polyline points="17 8 12 3 7 8"/>
+          <line x1="12" y1="3" x2="12" y2="15"/>
+        </svg>
+      </button>
+      <button class="restore-btn restore-btn-delete" title="Delete this backup">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="width:16px;height:16px;">
+          <polyline points="3 6 5 6 21 6"/>
+          <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a1 1 0 0 1 1-1h4a1 1 0 0 1 1 1v2"/>
+        </svg>
+      </button>
+    </div>
+  `;
+  
+  // Restore button
+  item.querySelector('.restore-btn-restore').addEventListener('click', (e) => {
+    e.stopPropagation();
+    downloadAndRestore(file.id, file.name);
+  });
+  
+  // Delete button
+  item.querySelector('.restore-btn-delete').addEventListener('click', (e) => {
+    e.stopPropagation();
+    deleteBackup(file.id, file.name, item);
   });
+  
+  return item;
 }
 
 async function downloadAndRestore(fileId, fileName) {
   showToast('Downloading backup...', 'info');
   
-  const result = await downloadBackupFromDrive(fileId);
+  const result = await restoreProvider.download(fileId);
   
   if (!result.success) {
     // Check if session expired
@@ -1478,40 +3046,37 @@ async function downloadAndRestore(fileId, fileName) {
 
   // Close restore modal
   closeModal('#modalRestoreDrive');
-  
+
+  if (result.encrypted) {
+    askBackupPassphrase({
+      title: `Unlock ${restoreProvider.name} Backup`,
+      info: `Enter the passphrase used when "${fileName}" was created.`,
+      onSubmit: (passphrase) => applyDriveRestore(result.data, passphrase),
+    });
+    return;
+  }
+
+  // Legacy plaintext backup - no passphrase needed
   try {
-    // Get vault password (PIN or default)
-    const vaultPw = currentPassword || await getDefaultKey();
-    
-    // Restore with folders if present (Drive backup is not encrypted with user password)
-    const foldersData = result.data.folders || null;
-    const restoreResult = await restoreFromDriveBackup(result.data.accounts, vaultPw, foldersData);
-    
-    currentAccounts = await getAccounts();
-    
-    // Reload folders after restore
-    await loadFolders();
-    await renderFolderChips();
-    
-    renderAccounts(currentAccounts);
-    closeModal('#modalSettings');
-    
-    let msg = `Restored ${restoreResult.imported} account(s) from Drive`;
-    if (restoreResult.foldersImported > 0) {
-      msg += ` and ${restoreResult.foldersImported} folder(s)`;
-    }
-    showToast(msg + '!', 'success');
+    await applyDriveRestore(result.data, null);
   } catch (err) {
     showToast('Restore failed: ' + err.message, 'error');
   }
 }
 
+async function applyDriveRestore(backup, backupPassword) {
+  // Throws on wrong passphrase so the passphrase modal can show it
+  const payload = await openBackup(backup, backupPassword);
+  closeModal('#modalSettings');
+  await openImportReview(payload, { source: restoreProvider.name });
+}
+
 async function deleteBackup(fileId, fileName, element) {
   if (!confirm(`Delete backup "${fileName}"?`)) return;
   
   showToast('Deleting backup...', 'info');
   
-  const result = await deleteBackupFromDrive(fileId);
+  const result = await restoreProvider.delete(fileId);
   
   if (result.success) {
     // Remove element from list
@@ -1523,7 +3088,8 @@ async function deleteBackup(fileId, fileName, element) {
     
     // Check if list is empty
     const container = $('#restoreDriveFiles');
-    if (container.children.length === 0) {
+    if (container.children.length === 0 && !restoreDrivePageToken) {
+      $('#restoreDriveEmptyText').textContent = `No backups found in ${restoreProvider.name}`;
       $('#restoreDriveList').style.display = 'none';
       $('#restoreDriveEmpty').style.display = 'block';
     }
@@ -1543,6 +3109,8 @@ async function deleteBackup(fileId, fileName, element) {
 function initSettings() {
   $('#btnSettings').addEventListener('click', () => {
     applyPreferences(); // sync toggles
+    updateTimeSyncUI();
+    updateLocalBackupUI();
     openModal('#modalSettings');
   });
 
@@ -1557,20 +3125,25 @@ function initSettings() {
     const enabled = e.target.checked;
     
     if (enabled) {
-      // Enabling PIN - require setup if no PIN exists
-      const hasPin = await isPinSetup();
-      if (!hasPin) {
-        // Show PIN setup modal
-        closeModal('#modalSettings');
-        showPinSetupForEnable();
-        return;
-      }
+      // Enabling PIN - the vault key must be re-wrapped with a new PIN
+      e.target.checked = false;
+      closeModal('#modalSettings');
+      showPinSetupForEnable();
+      return;
+    }
+
+    try {
+      // Disabling PIN - re-wrap the vault key with the device key
+      await rewrapVaultKey(null, null);
+      currentPassword = null;
+      prefs.pinEnabled = false;
+      await setPinEnabled(false);
+      applyPreferences();
+      showToast('PIN protection disabled', 'info');
+    } catch (err) {
+      e.target.checked = true;
+      showToast('Failed to disable PIN: ' + err.message, 'error');
     }
-    
-    prefs.pinEnabled = enabled;
-    await setPinEnabled(enabled);
-    applyPreferences();
-    showToast(enabled ? 'PIN protection enabled' : 'PIN protection disabled', 'info');
   });
 
   // Other toggles
@@ -1596,12 +3169,49 @@ function initSettings() {
     await setPreference('autoFocusSearch', prefs.autoFocusSearch);
   });
 
+  $('#nearExpiryCopySelect').addEventListener('change', async (e) => {
+    prefs.nearExpiryCopy = e.target.value;
+    await setPreference('nearExpiryCopy', prefs.nearExpiryCopy);
+  });
+
   $('#autoLockSelect').addEventListener('change', async (e) => {
     prefs.autoLockMinutes = parseInt(e.target.value);
     await setPreference('autoLockMinutes', prefs.autoLockMinutes);
     setupAutoLock();
   });
 
+  $('#pinWipeSelect').addEventListener('change', async (e) => {
+    const attempts = parseInt(e.target.value, 10);
+    if (attempts > 0 && !confirm(
+      `After ${attempts} failed PIN attempts in a row, all data on this device is erased, `
+      + 'including Google sign-in and backup settings. Backups already saved elsewhere are kept. Continue?'
+    )) {
+      e.target.value = String(await getPinWipeAfter());
+      return;
+    }
+    await setPinWipeAfter(attempts);
+    showToast(attempts ? `Vault will be erased after ${attempts} failed PINs` : 'Vault will not be erased after failed PINs', 'info');
+  });
+
+  $('#kdfSelect').addEventListener('change', async (e) => {
+    const algorithm = e.target.value;
+    if (algorithm === 'argon2id' && !confirm(
+      'Argon2id makes guessing your PIN or passphrase much harder, but unlocking takes about a second longer. '
+      + 'Backups encrypted with it need this version of Azkura Auth or newer. Continue?'
+    )) {
+      e.target.value = await getKdfAlgorithm();
+      return;
+    }
+    await setKdfAlgorithm(algorithm);
+
+    // The vault is re-wrapped now if the PIN is at hand, otherwise at the next unlock
+    const pinData = await getLocalItem('pinData');
+    if (currentPassword && pinData) {
+      await rewrapVaultKey(currentPassword, pinData);
+    }
+    showToast(`Using ${algorithm === 'argon2id' ? 'Argon2id' : 'PBKDF2'} for new encryption`, 'success');
+  });
+
   // Color picker
   $$('#accentColorPicker .color-swatch').forEach(swatch => {
     swatch.addEventListener('click', async () => {
@@ -1617,82 +3227,100 @@ function initSettings() {
     await lockVault();
     currentPassword = null;
     closeModal('#modalSettings');
-    showView('#viewLock');
+    await showLockScreen();
     if (tickInterval) clearInterval(tickInterval);
   });
 
-  // Change PIN
-  $('#btnChangePIN').addEventListener('click', () => {
+  // Change PIN (or switch between PIN and passphrase)
+  $('#btnChangePIN').addEventListener('click', async () => {
+    // Leave "enable PIN" mode if it was opened and dismissed earlier
+    $('#btnChangePinConfirm').onclick = null;
+    const method = await getUnlockMethod();
+    const isPassphrase = method === 'passphrase';
+    $('#changePinTitle').textContent = isPassphrase ? 'Change Passphrase' : 'Change PIN';
+    $('#currentPinLabel').textContent = isPassphrase ? 'Current Passphrase' : 'Current PIN';
+    $('#btnChangePinConfirm').textContent = 'Update';
+    $('#currentPin').closest('.form-group').style.display = 'block';
     $('#currentPin').value = '';
-    $('#newPin').value = '';
-    $('#confirmNewPin').value = '';
-    $('#changePinError').classList.remove('visible');
+    setSecretInputMode($('#currentPin'), method);
+    setNewSecretMethod(method);
     openModal('#modalChangePin');
   });
 
   $('#closeModalChangePin').addEventListener('click', () => closeModal('#modalChangePin'));
 
+  $('#unlockMethodSelect').addEventListener('change', (e) => setNewSecretMethod(e.target.value));
+
+  $('#newPin').addEventListener('input', (e) => {
+    if ($('#unlockMethodSelect').value === 'passphrase') {
+      renderPassphraseStrength($('#newPinStrength'), e.target.value);
+    }
+  });
+
   $('#btnChangePinConfirm').addEventListener('click', async () => {
+    // Enable-PIN mode (no current PIN) is handled by showPinSetupForEnable
+    if ($('#btnChangePinConfirm').onclick) return;
+
     const current = $('#currentPin').value;
     const newPinVal = $('#newPin').value;
     const confirm = $('#confirmNewPin').value;
+    const method = $('#unlockMethodSelect').value;
     const errorEl = $('#changePinError');
 
-    if (newPinVal.length < 4) {
-      errorEl.textContent = 'PIN must be at least 4 digits';
-      errorEl.classList.add('visible');
-      return;
-    }
-    if (newPinVal !== confirm) {
-      errorEl.textContent = 'New PINs do not match';
+    const error = validateUnlockSecret(method, newPinVal, confirm);
+    if (error) {
+      errorEl.textContent = error;
       errorEl.classList.add('visible');
       return;
     }
 
     try {
-      const pinData = await getLocalItem('pinData');
-      const valid = await verifyPin(current, pinData.hash, pinData.salt);
-      if (!valid) {
-        errorEl.textContent = 'Current PIN is incorrect';
+      if (!(await verifyUnlockSecret(current))) {
+        errorEl.textContent = (await getUnlockMethod()) === 'passphrase'
+          ? 'Current passphrase is incorrect'
+          : 'Current PIN is incorrect';
         errorEl.classList.add('visible');
         return;
       }
 
-      // Re-encrypt vault with new PIN
-      const accounts = await getSessionAccounts();
-      const newPinData = await setupPin(newPinVal);
-      await setLocalItem('pinData', newPinData);
-
-      if (accounts) {
-        const plaintext = JSON.stringify(accounts);
-        const encrypted = await encrypt(plaintext, newPinVal);
-        await setLocalItem('vault', encrypted);
-      }
+      // Re-wrap vault key with the new secret (vault key + PIN settings in one write)
+      await rewrapVaultKey(newPinVal, { type: method });
 
       currentPassword = newPinVal;
       closeModal('#modalChangePin');
-      showToast('PIN updated successfully!', 'success');
+      showToast(method === 'passphrase' ? 'Passphrase updated successfully!' : 'PIN updated successfully!', 'success');
     } catch (err) {
       errorEl.textContent = 'Failed: ' + err.message;
       errorEl.classList.add('visible');
     }
   });
 
-  // Export (Plain text - no password)
-  $('#btnExportData').addEventListener('click', async () => {
-    try {
-      const json = await exportPlainBackup();
-      const blob = new Blob([json], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `azkura-backup-${new Date().toISOString().slice(0,10)}.json`;
-      a.click();
-      URL.revokeObjectURL(url);
-      showToast('Backup exported!', 'success');
-    } catch (err) {
-      showToast('Export failed: ' + err.message, 'error');
-    }
+  // Export (encrypted by default, plain text on request)
+  $('#btnExportData').addEventListener('click', () => {
+    const fileName = `azkura-backup-${new Date().toISOString().slice(0,10)}.json`;
+    closeModal('#modalSettings');
+
+    askBackupPassphrase({
+      title: 'Export Backup',
+      info: 'Choose a passphrase to encrypt this backup. It is needed to restore the file and cannot be recovered if lost.',
+      confirm: true,
+      onSubmit: async (passphrase) => {
+        const json = await exportBackup(passphrase);
+        downloadFile(json, fileName, 'application/json');
+        showToast('Encrypted backup exported!', 'success');
+      },
+      alternative: {
+        label: 'Export without encryption',
+        onClick: async () => {
+          if (!confirm('The file will contain your secrets in plain text. Export anyway?')) {
+            return false;
+          }
+          const json = await exportPlainBackup();
+          downloadFile(json, fileName, 'application/json');
+          showToast('Backup exported!', 'success');
+        },
+      },
+    });
   });
 
   // Import/Restore - For popup mode: open app tab with import flag
@@ -1764,53 +3392,642 @@ function initSettings() {
   });
 }
 
+/**
+ * Save text content as a file download
+ * @param {string} content
+ * @param {string} fileName
+ * @param {string} mimeType
+ */
+function downloadFile(content, fileName, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// ─── Export to Other Apps ─────────────────────────────────────────────────────
+
+function openExportFormatModal() {
+  if (currentAccounts.length === 0) {
+    showToast('No accounts to export', 'info');
+    return;
+  }
+
+  const list = $('#exportFormatList');
+  list.innerHTML = '';
+
+  getExportFormats().forEach((format, index) => {
+    const item = document.createElement('label');
+    item.className = 'pick-list-item';
+    item.innerHTML = `
+      <input type="radio" name="exportFormat" value="${escHtml(format.id)}" ${index === 0 ? 'checked' : ''}/>
+      <div style="flex:1;min-width:0;">
+        <div>${escHtml(format.name)}</div>
+        <small>.${escHtml(format.extension)}${format.supportsPassword ? ' · can be encrypted' : ''}</small>
+      </div>
+    `;
+    list.appendChild(item);
+  });
+
+  $('#exportFormatEncrypt').checked = true;
+  syncExportEncryptOption();
+  closeModal('#modalSettings');
+  openModal('#modalExportFormat');
+}
+
+/**
+ * Show the encrypt option only for formats that support it
+ */
+function syncExportEncryptOption() {
+  const formatId = $('#exportFormatList input:checked')?.value;
+  const format = getExportFormats().find(f => f.id === formatId);
+  const canEncrypt = !!format?.supportsPassword;
+  $('#exportFormatEncryptRow').style.display = canEncrypt ? 'flex' : 'none';
+  $('#exportFormatPlainWarning').style.display = canEncrypt && $('#exportFormatEncrypt').checked ? 'none' : 'flex';
+}
+
+/**
+ * Generate the export and download it
+ * @param {string} formatId
+ * @param {string|null} password
+ */
+async function downloadExport(formatId, password) {
+  const { content, mimeType, extension } = await exportAccountsAs(formatId, password);
+  const date = new Date().toISOString().slice(0, 10);
+  downloadFile(content, `azkura-export-${formatId}-${date}.${extension}`, mimeType);
+  closeModal('#modalExportFormat');
+  showToast(`Exported ${currentAccounts.length} account(s)`, 'success');
+}
+
+function initExportFormats() {
+  $('#btnExportOther').addEventListener('click', openExportFormatModal);
+  $('#closeModalExportFormat').addEventListener('click', () => closeModal('#modalExportFormat'));
+
+  $('#modalExportFormat').addEventListener('click', (e) => {
+    if (e.target === e.currentTarget) closeModal('#modalExportFormat');
+  });
+
+  $('#exportFormatList').addEventListener('change', syncExportEncryptOption);
+  $('#exportFormatEncrypt').addEventListener('change', syncExportEncryptOption);
+
+  $('#btnExportFormatSubmit').addEventListener('click', async () => {
+    const formatId = $('#exportFormatList input:checked')?.value;
+    const format = getExportFormats().find(f => f.id === formatId);
+    if (!format) return;
+
+    if (format.supportsPassword && $('#exportFormatEncrypt').checked) {
+      askBackupPassphrase({
+        title: `Encrypt ${format.name} Export`,
+        info: `${format.name} will ask for this password when importing the file.`,
+        confirm: true,
+        onSubmit: (password) => downloadExport(format.id, password),
+      });
+      return;
+    }
+
+    try {
+      await downloadExport(format.id, null);
+    } catch (err) {
+      showToast('Export failed: ' + err.message, 'error');
+    }
+  });
+}
+
+// ─── Google Authenticator Transfer ────────────────────────────────────────────
+let migrationUris = [];
+let migrationPage = 0;
+
+function openMigrationExportModal() {
+  const list = $('#migrationAccountList');
+  list.innerHTML = '';
+
+  if (currentAccounts.length === 0) {
+    showToast('No accounts to transfer', 'info');
+    return;
+  }
+
+  for (const account of currentAccounts) {
+    const supported = isMigratable(account);
+    const item = document.createElement('label');
+    item.className = `pick-list-item ${supported ? '' : 'disabled'}`;
+    item.innerHTML = `
+      <input type="checkbox" value="${escHtml(account.id)}" ${supported ? 'checked' : 'disabled'}/>
+      <div style="flex:1;min-width:0;">
+        <div>${escHtml(account.issuer || 'Unknown')}</div>
+        <small>${escHtml(account.account || '')}${supported ? '' : ' · not supported by Google Authenticator'}</small>
+      </div>
+    `;
+    list.appendChild(item);
+  }
+
+  $('#migrationSelectStep').style.display = 'block';
+  $('#migrationQrStep').style.display = 'none';
+  closeModal('#modalSettings');
+  openModal('#modalMigrationExport');
+}
+
+function renderMigrationQr() {
+  const qr = qrcode(0, 'M'); // type 0 = pick the smallest version that fits
+  qr.addData(migrationUris[migrationPage]);
+  qr.make();
+
+  const img = document.createElement('img');
+  img.src = qr.createDataURL(4, 0);
+  img.alt = `Migration QR code ${migrationPage + 1}`;
+  $('#migrationQrImage').replaceChildren(img);
+
+  $('#migrationQrPage').textContent = `${migrationPage + 1} / ${migrationUris.length}`;
+  $('#btnMigrationPrev').disabled = migrationPage === 0;
+  $('#btnMigrationNext').disabled = migrationPage === migrationUris.length - 1;
+}
+
+function closeMigrationExport() {
+  // Drop the secrets from memory and the DOM
+  migrationUris = [];
+  migrationPage = 0;
+  $('#migrationQrImage').innerHTML = '';
+  closeModal('#modalMigrationExport');
+}
+
+function initMigrationExport() {
+  $('#btnExportMigration').addEventListener('click', openMigrationExportModal);
+  $('#closeModalMigrationExport').addEventListener('click', closeMigrationExport);
+
+  $('#modalMigrationExport').addEventListener('click', (e) => {
+    if (e.target === e.currentTarget) closeMigrationExport();
+  });
+
+  $('#btnMigrationSelectAll').addEventListener('click', () => {
+    const boxes = [...$$('#migrationAccountList input:not(:disabled)')];
+    const allChecked = boxes.every(b => b.checked);
+    boxes.forEach(b => { b.checked = !allChecked; });
+  });
+
+  $('#btnMigrationGenerate').addEventListener('click', () => {
+    const selectedIds = new Set([...$$('#migrationAccountList input:checked')].map(b => b.value));
+    const selected = currentAccounts.filter(a => selectedIds.has(a.id));
+    if (selected.length === 0) {
+      showToast('Select at least one account', 'error');
+      return;
+    }
+
+    const { uris, skipped } = encodeMigrationURIs(selected);
+    migrationUris = uris;
+    migrationPage = 0;
+
+    $('#migrationSkippedNote').textContent = skipped.length > 0
+      ? `${skipped.length} account(s) skipped: not supported by Google Authenticator`
+      : '';
+    $('#migrationSkippedNote').classList.toggle('visible', skipped.length > 0);
+
+    $('#migrationSelectStep').style.display = 'none';
+    $('#migrationQrStep').style.display = 'block';
+    renderMigrationQr();
+    resetAutoLock();
+  });
+
+  $('#btnMigrationPrev').addEventListener('click', () => {
+    if (migrationPage > 0) {
+      migrationPage--;
+      renderMigrationQr();
+    }
+  });
+
+  $('#btnMigrationNext').addEventListener('click', () => {
+    if (migrationPage < migrationUris.length - 1) {
+      migrationPage++;
+      renderMigrationQr();
+    }
+  });
+}
+
 // Process import file (used by both popup and tab mode)
 async function processImportFile(file) {
   try {
-    const text = await file.text();
-    const backup = JSON.parse(text);
+    // Keep the raw bytes too: 1Password exports are ZIP archives
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const text = new TextDecoder().decode(bytes);
+    let backup = null;
+    try {
+      backup = JSON.parse(text);
+    } catch {
+      // Not JSON - may still be a plain-text export from another app
+    }
     
     // Check if it's a valid backup
-    if (backup.accounts && Array.isArray(backup.accounts)) {
-      // Plain backup - import directly without password
-      const result = await importPlainBackup(text, currentPassword);
-      currentAccounts = await getAccounts();
-      
-      // Reload folders after import
-      await loadFolders();
-      await renderFolderChips();
-      
-      renderAccounts(currentAccounts);
-      closeModal('#modalSettings');
-      
-      let msg = `Restored ${result.imported} account(s)`;
-      if (result.foldersImported > 0) {
-        msg += ` and ${result.foldersImported} folder(s)`;
-      }
-      showToast(msg + '!', 'success');
-      
+    if (backup && backup.accounts && Array.isArray(backup.accounts)) {
+      // Plain backup - review directly without password
+      await openImportReview(await openBackupFile(text), { source: 'backup file' });
       return true;
-    } else if (backup.encrypted) {
-      // Encrypted backup (old format) - show error
-      showToast('This backup is encrypted. Please use a plain backup file.', 'error');
-      return false;
-    } else {
+    } else if (backup && backup.app === 'azkura-auth' && backup.encrypted) {
+      // Encrypted backup - ask for the passphrase it was exported with
+      openImportPasswordModal(text, backup);
+      return true;
+    }
+
+    // Export from another authenticator app?
+    const format = detectImportFormat(text, bytes);
+    if (!format) {
       showToast('Invalid backup file format', 'error');
       return false;
     }
+
+    if (format.needsPassword) {
+      askBackupPassphrase({
+        title: `Import from ${format.name}`,
+        info: `This ${format.name} export is encrypted. Enter the password it was exported with.`,
+        onSubmit: (password) => applyExternalImport(text, password, bytes),
+      });
+      return true;
+    }
+
+    await applyExternalImport(text, null, bytes);
+    return true;
   } catch (err) {
     showToast('Failed to read file: ' + err.message, 'error');
     return false;
   }
 }
 
+/**
+ * Parse another app's export and merge it into the vault
+ * Password manager exports go through the pick list first.
+ * @param {string} text - Export file content
+ * @param {string|null} password - Export password, if encrypted
+ * @param {Uint8Array} [bytes] - Raw file content
+ */
+async function applyExternalImport(text, password, bytes = null) {
+  const parsed = await parseImportFile(text, password, bytes);
+  if (parsed.accounts.length === 0) {
+    throw new Error(`No supported accounts found in this ${parsed.name} export`);
+  }
+
+  if (parsed.pickList) {
+    openImportPickModal(parsed);
+    return;
+  }
+  await openImportReview(externalImportToPayload(parsed), { source: parsed.name, unsupported: parsed.skipped });
+}
+
+// ─── Import Review ────────────────────────────────────────────────────────────
+let pendingImportPlan = null;
+let pendingImportSource = '';
+
+const IMPORT_ACTION_LABELS = {
+  add: 'Add',
+  skip: 'Skip',
+  replace: 'Replace existing',
+  'keep-both': 'Keep both',
+};
+
+const IMPORT_STATUS_LABELS = {
+  new: 'New',
+  identical: 'Identical',
+  conflict: 'Conflict',
+};
+
+/**
+ * Show what an import will change and let the user decide per item
+ * Nothing is written to the vault until the review is confirmed.
+ * @param {{accounts: Array<object>, folders?: Array<object>|null}} payload
+ * @param {object} options
+ * @param {string} options.source - Shown to the user, e.g. "Google Drive"
+ * @param {number} [options.unsupported=0] - Entries the importer could not convert
+ */
+async function openImportReview(payload, { source, unsupported = 0 }) {
+  const plan = await buildImportPlan(payload);
+  if (plan.items.length === 0) {
+    throw new Error(`No accounts found in this ${source}`);
+  }
+
+  pendingImportPlan = plan;
+  pendingImportSource = source;
+
+  const counts = { new: 0, identical: 0, conflict: 0 };
+  plan.items.forEach(item => { counts[item.status]++; });
+  let info = `From ${source}: ${counts.new} new, ${counts.identical} identical, ${counts.conflict} conflicting`;
+  if (unsupported > 0) info += ` (${unsupported} unsupported entries left out)`;
+  $('#importReviewInfo').textContent = info;
+
+  $('#importReviewMode').value = 'merge';
+  renderImportReview();
+  closeModal('#modalSettings');
+  openModal('#modalImportReview');
+}
+
+/**
+ * Describe how a conflicting account differs from the vault copy
+ * @param {object} item - Import plan item
+ * @returns {string}
+ */
+function describeImportConflict(item) {
+  const fields = diffAccounts(item.existing, item.incoming);
+  if (fields.includes('secret')) {
+    return 'Different secret than the account in your vault';
+  }
+  return `Different ${fields.join(', ')}`;
+}
+
+function renderImportReview() {
+  const replaceVault = $('#importReviewMode').value === 'replace';
+  $('#importReviewReplaceWarning').style.display = replaceVault ? 'flex' : 'none';
+
+  const list = $('#importReviewList');
+  list.innerHTML = '';
+
+  pendingImportPlan.items.forEach((item, index) => {
+    const { incoming } = item;
+    const row = document.createElement('div');
+    row.className = 'review-item';
+
+    let detail = incoming.account || '';
+    if (item.status === 'conflict') detail = describeImportConflict(item);
+
+    const options = IMPORT_ACTIONS[item.status]
+      .map(action => `<option value="${action}" ${item.action === action ? 'selected' : ''}>${IMPORT_ACTION_LABELS[action]}</option>`)
+      .join('');
+
+    row.innerHTML = `
+      <span class="review-badge ${item.status}">${IMPORT_STATUS_LABELS[item.status]}</span>
+      <div style="flex:1;min-width:0;">
+        <div class="review-item-title">${escHtml(incoming.issuer || 'Unknown')}${incoming.account && item.status === 'conflict' ? ` · ${escHtml(incoming.account)}` : ''}</div>
+        <small>${escHtml(detail)}</small>
+      </div>
+      <select class="form-select review-action" data-index="${index}" ${replaceVault ? 'disabled' : ''}>${options}</select>
+    `;
+    list.appendChild(row);
+  });
+
+  const folderList = $('#importReviewFolders');
+  folderList.innerHTML = '';
+  $('#importReviewFoldersSection').style.display = pendingImportPlan.folders.length > 0 ? 'block' : 'none';
+
+  pendingImportPlan.folders.forEach((entry, index) => {
+    const isNew = entry.status === 'new';
+    const item = document.createElement('label');
+    item.className = `pick-list-item ${isNew ? '' : 'disabled'}`;
+    item.innerHTML = `
+      <input type="checkbox" data-index="${index}" ${entry.include ? 'checked' : ''} ${isNew ? '' : 'disabled'}/>
+      <div style="flex:1;min-width:0;">
+        <div>${escHtml(entry.folder.name)}</div>
+        <small>${isNew ? 'New folder' : 'Already exists'}</small>
+      </div>
+    `;
+    folderList.appendChild(item);
+  });
+}
+
+function closeImportReview() {
+  // Drop the imported secrets from memory and the DOM
+  pendingImportPlan = null;
+  $('#importReviewList').innerHTML = '';
+  closeModal('#modalImportReview');
+}
+
+async function confirmImportReview() {
+  if (!pendingImportPlan) return;
+  const replaceVault = $('#importReviewMode').value === 'replace';
+
+  if (replaceVault && !confirm(`Replace all ${currentAccounts.length} account(s) in your vault with this import?`)) {
+    return;
+  }
+
+  const confirmBtn = $('#btnImportReviewConfirm');
+  try {
+    confirmBtn.disabled = true;
+    const result = await applyImportPlan(pendingImportPlan, currentPassword, { replaceVault });
+    const source = pendingImportSource;
+    closeImportReview();
+
+    currentAccounts = await getAccounts();
+    await loadFolders();
+    await renderFolderChips();
+    renderAccounts(currentAccounts);
+
+    let msg = replaceVault
+      ? `Vault replaced with ${result.imported} account(s) from ${source}`
+      : `Imported ${result.imported} account(s) from ${source}`;
+    if (result.replaced > 0) msg += `, replaced ${result.replaced}`;
+    if (result.foldersImported > 0) msg += ` and ${result.foldersImported} folder(s)`;
+    showToast(msg, 'success', 4000);
+  } catch (err) {
+    showToast('Import failed: ' + err.message, 'error');
+  } finally {
+    confirmBtn.disabled = false;
+  }
+}
+
+function initImportReview() {
+  $('#closeModalImportReview').addEventListener('click', closeImportReview);
+  $('#modalImportReview').addEventListener('click', (e) => {
+    if (e.target === e.currentTarget) closeImportReview();
+  });
+
+  $('#importReviewMode').addEventListener('change', renderImportReview);
+
+  $('#importReviewList').addEventListener('change', (e) => {
+    if (!e.target.matches('.review-action') || !pendingImportPlan) return;
+    pendingImportPlan.items[Number(e.target.dataset.index)].action = e.target.value;
+  });
+
+  $('#importReviewFolders').addEventListener('change', (e) => {
+    if (e.target.type !== 'checkbox' || !pendingImportPlan) return;
+    pendingImportPlan.folders[Number(e.target.dataset.index)].include = e.target.checked;
+  });
+
+  $('#btnImportReviewConfirm').addEventListener('click', confirmImportReview);
+}
+
+// ─── Encrypted Backup Import ──────────────────────────────────────────────────
+let pendingEncryptedImport = null;
+
+/**
+ * Ask for the passphrase of an encrypted Azkura backup file
+ * @param {string} text - Backup file content
+ * @param {object} backup - Parsed backup document
+ */
+function openImportPasswordModal(text, backup) {
+  pendingEncryptedImport = text;
+
+  const exportedAt = backup.exportedAt ? new Date(backup.exportedAt).toLocaleString() : null;
+  const details = [
+    backup.accountCount != null ? `${backup.accountCount} account(s)` : null,
+    exportedAt ? `exported ${exportedAt}` : null,
+  ].filter(Boolean).join(', ');
+  $('#importFileInfo').textContent = 'Enter the password used when this backup was exported.'
+    + (details ? ` (${details})` : '');
+
+  $('#importPassword').value = '';
+  $('#importPasswordError').classList.remove('visible');
+  closeModal('#modalSettings');
+  openModal('#modalImportPassword');
+  setTimeout(() => $('#importPassword').focus(), 100);
+}
+
+function closeImportPassword() {
+  pendingEncryptedImport = null;
+  $('#importPassword').value = '';
+  closeModal('#modalImportPassword');
+}
+
+async function confirmEncryptedImport() {
+  const errorEl = $('#importPasswordError');
+  const password = $('#importPassword').value;
+  if (!pendingEncryptedImport) return;
+
+  if (!password) {
+    errorEl.textContent = 'Please enter the backup password';
+    errorEl.classList.add('visible');
+    return;
+  }
+
+  const confirmBtn = $('#btnImportConfirm');
+  try {
+    confirmBtn.disabled = true;
+    const payload = await openBackupFile(pendingEncryptedImport, password);
+    closeImportPassword();
+    await openImportReview(payload, { source: 'backup file' });
+  } catch (err) {
+    errorEl.textContent = err.message;
+    errorEl.classList.add('visible');
+  } finally {
+    confirmBtn.disabled = false;
+  }
+}
+
+function initImportPassword() {
+  $('#closeModalImport').addEventListener('click', closeImportPassword);
+  $('#modalImportPassword').addEventListener('click', (e) => {
+    if (e.target === e.currentTarget) closeImportPassword();
+  });
+  $('#btnImportConfirm').addEventListener('click', confirmEncryptedImport);
+  $('#importPassword').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') confirmEncryptedImport();
+  });
+}
+
+// ─── Import Pick List ─────────────────────────────────────────────────────────
+let pendingPickImport = null;
+
+/**
+ * Let the user choose which accounts of a password manager export to import
+ * @param {object} parsed - Result of parseImportFile()
+ */
+function openImportPickModal(parsed) {
+  pendingPickImport = parsed;
+  const list = $('#importPickList');
+  list.innerHTML = '';
+
+  parsed.accounts.forEach((account, index) => {
+    const source = account.source || {};
+    const details = [account.account || source.username, source.url].filter(Boolean).join(' · ');
+    const item = document.createElement('label');
+    item.className = 'pick-list-item';
+    item.innerHTML = `
+      <input type="checkbox" value="${index}" checked/>
+      <div style="flex:1;min-width:0;">
+        <div>${escHtml(source.name || account.issuer || 'Unknown')}</div>
+        <small>${escHtml(details)}</small>
+      </div>
+    `;
+    list.appendChild(item);
+  });
+
+  $('#importPickTitle').textContent = `Import from ${parsed.name}`;
+  $('#importPickInfo').textContent = `Found ${parsed.accounts.length} item(s) with a one-time password. Choose the ones to add.`;
+  closeModal('#modalSettings');
+  openModal('#modalImportPick');
+}
+
+function closeImportPick() {
+  // Drop the parsed secrets from memory and the DOM
+  pendingPickImport = null;
+  $('#importPickList').innerHTML = '';
+  closeModal('#modalImportPick');
+}
+
+function initImportPick() {
+  $('#closeModalImportPick').addEventListener('click', closeImportPick);
+
+  $('#modalImportPick').addEventListener('click', (e) => {
+    if (e.target === e.currentTarget) closeImportPick();
+  });
+
+  $('#btnImportPickSelectAll').addEventListener('click', () => {
+    const boxes = [...$$('#importPickList input')];
+    const allChecked = boxes.every(b => b.checked);
+    boxes.forEach(b => { b.checked = !allChecked; });
+  });
+
+  $('#btnImportPickConfirm').addEventListener('click', async () => {
+    if (!pendingPickImport) return;
+    const indexes = [...$$('#importPickList input:checked')].map(b => Number(b.value));
+    if (indexes.length === 0) {
+      showToast('Select at least one account', 'error');
+      return;
+    }
+
+    const accounts = indexes.map(i => pendingPickImport.accounts[i]);
+    const parsed = {
+      ...pendingPickImport,
+      accounts,
+      // Only create folders that selected accounts actually use
+      groups: [...new Set(accounts.map(a => a.group).filter(Boolean))],
+    };
+
+    try {
+      closeImportPick();
+      await openImportReview(externalImportToPayload(parsed), { source: parsed.name });
+    } catch (err) {
+      showToast('Import failed: ' + err.message, 'error');
+    }
+  });
+}
+
+/**
+ * Make a secret input take a 6-digit PIN or a free-form passphrase
+ * @param {HTMLInputElement} input
+ * @param {'pin'|'passphrase'} method
+ */
+function setSecretInputMode(input, method) {
+  if (method === 'passphrase') {
+    input.removeAttribute('maxlength');
+    input.inputMode = 'text';
+    input.placeholder = 'Passphrase';
+  } else {
+    input.maxLength = 6;
+    input.inputMode = 'numeric';
+    input.placeholder = '••••••';
+  }
+}
+
+/**
+ * Switch the new-secret fields of the Change PIN modal between PIN and passphrase
+ * @param {'pin'|'passphrase'} method
+ */
+function setNewSecretMethod(method) {
+  const isPassphrase = method === 'passphrase';
+  $('#unlockMethodSelect').value = method;
+  for (const input of [$('#newPin'), $('#confirmNewPin')]) {
+    input.value = '';
+    setSecretInputMode(input, method);
+  }
+  $('#newPinLabel').textContent = isPassphrase ? 'New Passphrase' : 'New PIN';
+  $('#confirmNewPinLabel').textContent = isPassphrase ? 'Confirm New Passphrase' : 'Confirm New PIN';
+  renderPassphraseStrength($('#newPinStrength'), '');
+  $('#changePinError').classList.remove('visible');
+}
+
 // Show PIN setup when enabling PIN protection
 async function showPinSetupForEnable() {
   // For simplicity, use the existing change PIN modal but adapt it
   $('#currentPin').closest('.form-group').style.display = 'none';
-  $('#newPin').placeholder = 'Create PIN';
-  $('#confirmNewPin').placeholder = 'Confirm PIN';
-  $('#changePinError').classList.remove('visible');
+  $('#changePinTitle').textContent = 'Set Up PIN';
+  $('#btnChangePinConfirm').textContent = 'Enable';
+  setNewSecretMethod(await getUnlockMethod());
   
   // Store original handler
   const originalHandler = $('#btnChangePinConfirm').onclick;
@@ -1818,44 +4035,31 @@ async function showPinSetupForEnable() {
   $('#btnChangePinConfirm').onclick = async () => {
     const newPinVal = $('#newPin').value;
     const confirm = $('#confirmNewPin').value;
+    const method = $('#unlockMethodSelect').value;
     const errorEl = $('#changePinError');
 
-    if (newPinVal.length < 4) {
-      errorEl.textContent = 'PIN must be at least 4 digits';
-      errorEl.classList.add('visible');
-      return;
-    }
-    if (newPinVal !== confirm) {
-      errorEl.textContent = 'PINs do not match';
+    const error = validateUnlockSecret(method, newPinVal, confirm);
+    if (error) {
+      errorEl.textContent = error;
       errorEl.classList.add('visible');
       return;
     }
 
     try {
-      // Setup new PIN
-      const pinData = await setupPin(newPinVal);
-      await setLocalItem('pinData', pinData);
+      // Re-wrap vault key with the new PIN or passphrase
+      await rewrapVaultKey(newPinVal, { type: method });
       await setPinEnabled(true);
       prefs.pinEnabled = true;
       currentPassword = newPinVal;
-      
-      // Re-encrypt vault if exists
-      const accounts = await getSessionAccounts();
-      if (accounts) {
-        const plaintext = JSON.stringify(accounts);
-        const encrypted = await encrypt(plaintext, newPinVal);
-        await setLocalItem('vault', encrypted);
-      }
 
       closeModal('#modalChangePin');
-      showToast('PIN protection enabled!', 'success');
+      showToast(method === 'passphrase' ? 'Passphrase protection enabled!' : 'PIN protection enabled!', 'success');
       applyPreferences();
       
       // Restore original handler
+      $('#btnChangePinConfirm').onclick = originalHandler;
       setTimeout(() => {
         $('#currentPin').closest('.form-group').style.display = 'block';
-        $('#newPin').placeholder = '';
-        $('#confirmNewPin').placeholder = '';
       }, 300);
     } catch (err) {
       errorEl.textContent = 'Failed: ' + err.message;
@@ -2121,6 +4325,7 @@ function initAppElements() {
     navSettings.addEventListener('click', () => {
       navSettings.classList.add('active');
       if (navAccounts) navAccounts.classList.remove('active');
+      updateTimeSyncUI();
       openModal('#modalSettings');
     });
   }
@@ -2144,6 +4349,17 @@ async function init() {
     initEditAccountModal();
     initDeleteModal();
     initSettings();
+    initTimeSync();
+    initMigrationExport();
+    initExportFormats();
+    initAutoBackup();
+    initDriveSync();
+    initBackupProviders();
+    initLocalBackup();
+    initOAuthSettings();
+    initImportPick();
+    initImportPassword();
+    initImportReview();
     initProfileMenu();
     initFolders();
     initAppElements(); // Initialize app-specific elements if present
@@ -2155,11 +4371,12 @@ async function init() {
     const unlocked = await isUnlocked();
 
     if (firstTime) {
-      // New user - show onboarding
+      // New user (or a vault erased after failed PINs) - show onboarding
+      await showPinWipeNotice();
       showView('#viewOnboarding');
     } else if (pinSetup && pinEnabled && !unlocked) {
       // Has PIN, PIN enabled, locked
-      showView('#viewLock');
+      await showLockScreen();
     } else {
       // Either no PIN, or PIN disabled, or already unlocked
       if (pinEnabled && pinSetup) {
@@ -2172,7 +4389,17 @@ async function init() {
       
       // Unlock with default key if needed
       if (!unlocked) {
-        await unlockVault(null);
+        try {
+          await unlockVault(null);
+        } catch (err) {
+          // Vault is still wrapped by a PIN (e.g. PIN flag out of sync)
+          if (pinSetup) {
+            console.warn('[Init] Device key unlock failed, asking for PIN:', err.message);
+            await showLockScreen();
+            return;
+          }
+          throw err;
+        }
       }
       
       showView('#viewMain');
@@ -2214,7 +4441,9 @@ async function init() {
             secret: parsed.secret,
             algorithm: parsed.algorithm || 'SHA1',
             digits: parsed.digits || 6,
-            period: parsed.period || 30
+            period: parsed.period || 30,
+            type: parsed.type,
+            counter: parsed.counter
           }, currentPassword);
           
           // Refresh accounts list
@@ -2239,6 +4468,20 @@ async function init() {
       }
     }
   });
+
+  // Check for pending Google Authenticator transfers (all batches already decoded)
+  chrome.storage.session.get('pendingMigration', async (result) => {
+    if (!result.pendingMigration) return;
+    chrome.storage.session.remove('pendingMigration');
+
+    try {
+      const { accounts, skipped } = result.pendingMigration;
+      await openImportReview({ accounts }, { source: 'Google Authenticator', unsupported: skipped });
+    } catch (e) {
+      console.error('[App] Migration import error:', e);
+      showToast('Failed to import accounts: ' + e.message, 'error', 5000);
+    }
+  });
 }
 
 // Handle import from URL params (when redirected from popup)
@@ -2270,20 +4513,7 @@ async function handlePendingImport() {
     try {
       const backup = JSON.parse(pendingImportData);
       if (backup.accounts && Array.isArray(backup.accounts)) {
-        const result = await importPlainBackup(pendingImportData, currentPassword);
-        currentAccounts = await getAccounts();
-        
-        // Reload folders after import
-        await loadFolders();
-        await renderFolderChips();
-        
-        renderAccounts(currentAccounts);
-        
-        let msg = `Restored ${result.imported} account(s)`;
-        if (result.foldersImported > 0) {
-          msg += ` and ${result.foldersImported} folder(s)`;
-        }
-        showToast(msg + '!', 'success');
+        await openImportReview(await openBackupFile(pendingImportData), { source: 'backup file' });
         return true;
       }
     } catch (err) {
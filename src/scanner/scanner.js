@@ -1,8 +1,11 @@
 /**
  * Azkura Auth — QR Scanner Tab
  * Uses native BarcodeDetector API (Chrome 88+) for camera and file scanning
+ * Accepts otpauth:// codes and Google Authenticator otpauth-migration:// batches
  */
 
+import { isMigrationURI, decodeMigrationURI } from '../core/google-migration.js';
+
 const video = document.getElementById('video');
 const canvas = document.getElementById('canvas');
 const statusTextCamera = document.getElementById('statusTextCamera');
@@ -15,6 +18,10 @@ const uploadArea = document.getElementById('uploadArea');
 let stream = null;
 let scanActive = false;
 
+// Google Authenticator transfers can span several QR codes
+let migrationBatchId = null;
+let migrationBatches = new Map(); // batchIndex → decoded batch
+
 // Tab switching - Fixed for mobile
 window.switchTab = function(tabName) {
   console.log('[Scanner] switchTab called:', tabName);
@@ -214,6 +221,11 @@ async function onQRFound(data, source) {
     stream = null;
   }
 
+  if (isMigrationURI(data)) {
+    await onMigrationQRFound(data, source);
+    return;
+  }
+
   // Validate it's an otpauth URI
   if (!data || !data.startsWith('otpauth://')) {
     const msg = '⚠ QR code found, but not a valid TOTP code. Data: ' + (data ? data.substring(0, 50) : 'empty');
@@ -293,6 +305,82 @@ async function onQRFound(data, source) {
   }
 }
 
+/**
+ * Update the status line of the active tab
+ * @param {'camera'|'upload'} source
+ * @param {string} text
+ * @param {string} [state] - '', 'success' or 'error'
+ */
+function setStatus(source, text, state = '') {
+  const el = source === 'camera' ? statusTextCamera : statusTextUpload;
+  if (!el) return;
+  el.textContent = text;
+  el.className = `status-text ${state}`.trim();
+}
+
+/**
+ * Handle one Google Authenticator migration QR code
+ * Batches are collected until the whole transfer has been scanned, then all
+ * accounts are handed to the app in one go.
+ * @param {string} data - otpauth-migration:// URI
+ * @param {'camera'|'upload'} source
+ */
+async function onMigrationQRFound(data, source) {
+  const resumeCamera = (delay) => {
+    if (source !== 'camera') return;
+    setTimeout(() => {
+      scanActive = true;
+      startScanner();
+    }, delay);
+  };
+
+  let batch;
+  try {
+    batch = decodeMigrationURI(data);
+  } catch (error) {
+    console.error('[Scanner] Invalid migration QR:', error);
+    setStatus(source, '⚠ ' + error.message, 'error');
+    resumeCamera(3000);
+    return;
+  }
+
+  // A new transfer started on the phone: drop batches from the old one
+  if (batch.batchId !== migrationBatchId) {
+    migrationBatchId = batch.batchId;
+    migrationBatches = new Map();
+  }
+  migrationBatches.set(batch.batchIndex, batch);
+
+  if (migrationBatches.size < batch.batchSize) {
+    const next = source === 'camera' ? 'Show the next QR code' : 'Upload the next QR code';
+    setStatus(source, `✓ Scanned ${migrationBatches.size} of ${batch.batchSize} transfer QR codes. ${next}...`, 'success');
+    resumeCamera(1500);
+    return;
+  }
+
+  const batches = [...migrationBatches.keys()]
+    .sort((a, b) => a - b)
+    .map(index => migrationBatches.get(index));
+  const accounts = batches.flatMap(b => b.accounts);
+  const skipped = batches.reduce((sum, b) => sum + b.skipped, 0);
+
+  try {
+    await chrome.storage.session.set({ pendingMigration: { accounts, skipped } });
+    migrationBatches = new Map();
+    migrationBatchId = null;
+
+    const note = skipped ? ` (${skipped} unsupported left out)` : '';
+    setStatus(source, `✓ ${accounts.length} account(s) found${note}! Redirecting...`, 'success');
+    setTimeout(() => {
+      window.location.href = chrome.runtime.getURL('src/app/index.html');
+    }, 800);
+  } catch (error) {
+    console.error('Failed to process migration QR:', error);
+    setStatus(source, '✗ Failed to save: ' + error.message, 'error');
+    resumeCamera(2000);
+  }
+}
+
 // Check URL params for initial tab
 const urlParams = new URLSearchParams(window.location.search);
 const initialTab = urlParams.get('tab');